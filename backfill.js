@@ -0,0 +1,80 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const BackfillJob = require('./src/models/BackfillJob');
+const backfillService = require('./src/services/backfillService');
+const logger = require('./src/utils/logger');
+
+// Run a historical backfill job from the command line. Runs in the foreground
+// and shares the job collection with POST /api/admin/backfill, so a job
+// started from either side can be resumed from the other.
+//
+//   node backfill.js --type stock --symbols RELIANCE,TCS --years 10   (stocks: at most CANDLE_RETENTION_YEARS)
+//   node backfill.js --type mutualFund                  every active fund
+//   node backfill.js --resume <jobId>
+//   node backfill.js --list
+const usage = 'Usage: node backfill.js --type stock|mutualFund [--symbols A,B] [--years 20] [--chunk-years 2] | --resume <jobId> | --list';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--list') {
+      args.list = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function printJob(job) {
+  const { total, completed, failed, percent } = job.progress;
+  logger.info(`Job ${job._id} [${job.assetType}] ${job.status}: ${completed}/${total} completed, ${failed} failed (${percent}%)` +
+    (job.message ? ` - ${job.message}` : ''));
+}
+
+async function backfill() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for backfill');
+
+    if (args.list) {
+      const jobs = await BackfillJob.find().sort({ createdAt: -1 }).limit(20);
+      jobs.forEach(printJob);
+      process.exit(0);
+    }
+
+    let jobId = args.resume;
+    if (!jobId) {
+      if (!args.type) {
+        logger.error(usage);
+        process.exit(1);
+      }
+
+      const job = await backfillService.createJob({
+        assetType: args.type,
+        symbols: args.symbols ? args.symbols.split(',').filter(Boolean) : [],
+        years: args.years ? parseInt(args.years, 10) : undefined,
+        chunkYears: args['chunk-years'] ? parseInt(args['chunk-years'], 10) : undefined,
+        source: 'cli'
+      });
+      jobId = job._id;
+    }
+
+    const job = await backfillService.run(jobId);
+    printJob(job);
+
+    job.items
+      .filter(item => item.status === 'failed')
+      .forEach(item => logger.warn(`${item.symbol}: ${item.error}`));
+
+    process.exit(job.status === 'completed' ? 0 : 1);
+  } catch (error) {
+    logger.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+backfill();
@@ -0,0 +1,54 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const dataSync = require('./src/services/dataSync');
+const navAllService = require('./src/services/navAllService');
+const logger = require('./src/utils/logger');
+
+// Ingest AMFI's NAVAll file from a URL or a local copy. Runs as a 'nav-all'
+// sync run (recorded in SyncRun, one at a time across instances), the same
+// as the nightly cron and POST /api/admin/sync/nav-all.
+//
+//   node ingest-navall.js                        download from AMFI
+//   node ingest-navall.js --file ./NAVAll.txt    use a local copy
+//   node ingest-navall.js --url https://...      use another URL
+//   node ingest-navall.js --dry-run              parse and report, write nothing
+//   node ingest-navall.js --keep-missing         do not deactivate unlisted schemes
+//
+// New schemes get a queued backfill job for their NAV history; run it with
+// `node backfill.js --resume <jobId>` (the id is in the summary).
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function ingestNavAll() {
+  const source = argValue('--file') || argValue('--url');
+  const dryRun = process.argv.includes('--dry-run');
+  const deactivateMissing = !process.argv.includes('--keep-missing');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for NAVAll ingestion');
+
+    if (dryRun) {
+      const summary = await navAllService.ingest({ source, deactivateMissing, dryRun: true });
+      logger.info('Dry run summary:', summary);
+      process.exit(0);
+    }
+
+    const report = await dataSync.ingestNavAll({ source, deactivateMissing, trigger: 'cli' });
+    if (!report) {
+      logger.error('❌ A NAVAll ingestion is already running');
+      process.exit(1);
+    }
+
+    report.failures.slice(0, 20).forEach(failure => logger.warn(`${failure.symbol}: ${failure.error}`));
+    logger.info(`NAVAll ingestion ${report.status}${report.message ? `: ${report.message}` : ''}`);
+    process.exit(report.status === 'failed' ? 1 : 0);
+  } catch (error) {
+    logger.error('❌ NAVAll ingestion failed:', error.message);
+    process.exit(1);
+  }
+}
+
+ingestNavAll();
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const schemeVariantService = require('./src/services/schemeVariantService');
+const cache = require('./src/services/cache');
+const logger = require('./src/utils/logger');
+
+// Groups stored mutual funds into parent schemes and sets each fund's plan
+// (Direct/Regular) and option (Growth/IDCW) from its scheme name.
+//
+//   node link-scheme-variants.js                                link every fund
+//   node link-scheme-variants.js --fund-house "Axis Mutual Fund"  link one fund house
+async function linkSchemeVariants() {
+  const index = process.argv.indexOf('--fund-house');
+  const fundHouse = index !== -1 ? process.argv[index + 1] : null;
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for scheme variant linking');
+
+    const { schemes, funds } = await schemeVariantService.linkVariants({ fundHouse });
+    await cache.invalidate('mutual-funds');
+
+    logger.info(`✅ Linked ${funds} funds to ${schemes} schemes`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Scheme variant linking failed:', error);
+    process.exit(1);
+  }
+}
+
+linkSchemeVariants();
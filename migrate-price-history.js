@@ -0,0 +1,65 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Stock = require('./src/models/Stocks');
+const Candle = require('./src/models/Candle');
+const candleService = require('./src/services/candleService');
+const logger = require('./src/utils/logger');
+
+// Moves the embedded Stock.priceHistory arrays into the candles collection and
+// removes them from the stock documents. Safe to re-run: bars are upserted by
+// (ticker, interval, date).
+//
+//   node migrate-price-history.js            migrate and unset priceHistory
+//   node migrate-price-history.js --dry-run  report what would be migrated
+//   node migrate-price-history.js --keep     migrate but leave priceHistory in place
+async function migratePriceHistory() {
+  const dryRun = process.argv.includes('--dry-run');
+  const keep = process.argv.includes('--keep');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for price history migration');
+
+    await Candle.init();
+
+    // priceHistory is no longer on the Stock schema, so read the raw documents
+    const cursor = Stock.collection.find(
+      { priceHistory: { $exists: true } },
+      { projection: { ticker: 1, priceHistory: 1 } }
+    );
+
+    let stocks = 0;
+    let bars = 0;
+    let upserted = 0;
+
+    for await (const stock of cursor) {
+      const history = stock.priceHistory || [];
+      stocks += 1;
+      bars += history.length;
+
+      if (dryRun) {
+        logger.info(`${stock.ticker}: ${history.length} bars would be migrated`);
+        continue;
+      }
+
+      const result = await candleService.upsertCandles(stock.ticker, history, { source: 'migration' });
+      upserted += result.upserted;
+
+      if (!keep) {
+        await Stock.collection.updateOne({ _id: stock._id }, { $unset: { priceHistory: '' } });
+      }
+
+      logger.info(`Migrated ${stock.ticker}: ${history.length} bars (${result.upserted} new)`);
+    }
+
+    logger.info(dryRun
+      ? `✅ Dry run: ${bars} bars across ${stocks} stocks would be migrated`
+      : `✅ Price history migration completed: ${stocks} stocks, ${bars} bars, ${upserted} new candles`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Price history migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migratePriceHistory();
@@ -0,0 +1,89 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const MutualFund = require('./src/models/MutualFund');
+const schemeClassifier = require('./src/services/schemeClassifier');
+const providers = require('./src/services/providers');
+const cache = require('./src/services/cache');
+const logger = require('./src/utils/logger');
+
+// Reclassifies stored mutual funds into SEBI categories with schemeClassifier.
+// Funds with an AMFI category header (from NAVAll or mfapi) use it; others
+// fall back to their scheme name unless --fetch-headers looks the header up.
+//
+//   node reclassify-funds.js                   reclassify every fund
+//   node reclassify-funds.js --dry-run         report the changes only
+//   node reclassify-funds.js --fetch-headers   fetch missing headers from mfapi first
+async function reclassifyFunds() {
+  const dryRun = process.argv.includes('--dry-run');
+  const fetchHeaders = process.argv.includes('--fetch-headers');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for fund reclassification');
+
+    // Read raw documents: old category values may not pass the current enum
+    const cursor = MutualFund.collection.find(
+      {},
+      { projection: { schemeCode: 1, schemeName: 1, category: 1, subCategory: 1, amfiCategory: 1 } }
+    );
+
+    let funds = 0;
+    let changed = 0;
+    const transitions = {};
+
+    for await (const fund of cursor) {
+      funds += 1;
+      const update = {};
+      let amfiCategory = fund.amfiCategory || null;
+
+      if (!amfiCategory && fetchHeaders) {
+        try {
+          const scheme = await providers.call('nav', fund.schemeCode);
+          amfiCategory = scheme.schemeCategory;
+          update.amfiCategory = scheme.schemeCategory;
+          update.schemeType = scheme.schemeType;
+        } catch (error) {
+          logger.warn(`${fund.schemeCode}: could not fetch scheme category (${error.message})`);
+        }
+      }
+
+      const { category, subCategory, source } = schemeClassifier.classify({
+        schemeName: fund.schemeName,
+        amfiCategory
+      });
+
+      if (category === fund.category && subCategory === fund.subCategory && !update.amfiCategory) {
+        continue;
+      }
+
+      const transition = `${fund.category}/${fund.subCategory} -> ${category}/${subCategory}`;
+      transitions[transition] = (transitions[transition] || 0) + 1;
+      changed += 1;
+
+      if (!dryRun) {
+        await MutualFund.collection.updateOne(
+          { _id: fund._id },
+          { $set: { ...update, category, subCategory, categorySource: source } }
+        );
+      }
+    }
+
+    Object.entries(transitions)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([transition, count]) => logger.info(`${count.toString().padStart(6)}  ${transition}`));
+
+    if (!dryRun && changed > 0) {
+      await cache.invalidate('mutual-funds');
+    }
+
+    logger.info(dryRun
+      ? `✅ Dry run: ${changed} of ${funds} funds would be reclassified`
+      : `✅ Reclassification completed: ${changed} of ${funds} funds updated`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Fund reclassification failed:', error);
+    process.exit(1);
+  }
+}
+
+reclassifyFunds();
@@ -0,0 +1,161 @@
+process.env.MARKET_DATA_MODE = 'fixtures';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const providers = require('../src/services/providers');
+const BaseProvider = require('../src/services/providers/baseProvider');
+const indices = require('../src/config/indices');
+const logger = require('../src/utils/logger');
+const { writeSyntheticFixtures } = require('./syntheticFixtures');
+
+// Offline checks of the market data providers: the committed fixtures parse;
+// every index and the long stock and NAV histories load from synthetic
+// fixtures generated into a scratch directory; and the registry fails over
+// from a failing primary to a stub secondary provider, opening the primary's
+// circuit breaker on upstream failures only.
+//
+//   npm test    (or node scripts/check-providers.js)
+
+// Secondary provider answering every quote with a fixed payload
+class StubProvider extends BaseProvider {
+  constructor() {
+    super('stub');
+    this.capabilities = ['quote'];
+    this.calls = 0;
+    this.failWith = null;
+  }
+
+  async getQuote(ticker) {
+    this.calls += 1;
+    if (this.failWith) {
+      throw this.failWith;
+    }
+    return { ticker: ticker.toUpperCase(), currentPrice: 100, source: 'stub' };
+  }
+}
+
+const upstreamError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+const requestError = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+
+// The committed set: one index, one stock and two schemes
+async function checkCommittedFixtures() {
+  const nifty = indices.find(index => index.symbol === '^NSEI');
+  const quote = await providers.call('indices', nifty);
+  assert.ok(quote.value > 0 && quote.intraday.length > 0, 'NIFTY 50 index quote');
+  const bars = await providers.call('history', nifty.symbol, { range: '1mo', interval: '1d' });
+  assert.ok(bars.length > 0, 'NIFTY 50 1mo history');
+
+  const stock = await providers.call('quote', 'RELIANCE');
+  assert.ok(stock.currentPrice > 0 && stock.priceHistory.length === 90, 'RELIANCE quote');
+
+  for (const schemeCode of ['120503', '120465']) {
+    const scheme = await providers.call('nav', schemeCode);
+    assert.strictEqual(scheme.schemeCode, schemeCode);
+    assert.ok(scheme.navs.length > 0, `${schemeCode}: NAVs`);
+  }
+  logger.info('✅ Committed index, stock and NAV fixtures load');
+}
+
+async function checkSyntheticFixtures() {
+  for (const index of indices) {
+    const quote = await providers.call('indices', index);
+    assert.ok(quote.value > 0 && quote.intraday.length > 0, `${index.symbol}: index quote`);
+
+    for (const range of ['5y', '1y', '1mo']) {
+      const bars = await providers.call('history', index.symbol, { range, interval: '1d' });
+      assert.ok(bars.length > 0, `${index.symbol}: ${range} history`);
+    }
+  }
+  logger.info(`✅ Quotes and 5y/1y/1mo history load for all ${indices.length} indices`);
+
+  const history = await providers.call('history', 'RELIANCE', { range: '5y' });
+  assert.ok(history.length > 1000, 'RELIANCE 5y history');
+
+  for (const schemeCode of ['120503', '120465']) {
+    const scheme = await providers.call('nav', schemeCode);
+    assert.ok(scheme.navs.length > 1000, `${schemeCode}: NAV history`);
+  }
+  logger.info('✅ Long stock and NAV histories load');
+}
+
+async function checkFailover() {
+  const yahoo = providers.providers.get('yahoo');
+  const stub = new StubProvider();
+  providers.register(stub);
+  process.env.MARKET_DATA_QUOTE_PROVIDERS = 'yahoo,stub';
+
+  const getQuote = yahoo.getQuote;
+  try {
+    // Primary answers: the secondary is never asked
+    let quote = await providers.call('quote', 'RELIANCE');
+    assert.notStrictEqual(quote.source, 'stub');
+    assert.strictEqual(stub.calls, 0);
+
+    // A request error (404) fails over but does not count against the breaker
+    yahoo.getQuote = async () => { throw requestError(); };
+    quote = await providers.call('quote', 'RELIANCE');
+    assert.strictEqual(quote.source, 'stub');
+    assert.strictEqual(yahoo.breaker.failures, 0);
+
+    // Upstream failures fail over and open the primary's breaker at the threshold
+    yahoo.getQuote = async () => { throw upstreamError(); };
+    for (let i = 0; i < yahoo.breaker.failureThreshold; i++) {
+      quote = await providers.call('quote', 'RELIANCE');
+      assert.strictEqual(quote.source, 'stub');
+    }
+    assert.strictEqual(yahoo.breaker.state, 'open');
+    logger.info(`✅ Failover to stub provider; yahoo breaker opened after ${yahoo.breaker.failureThreshold} upstream failures`);
+
+    // With the primary's breaker open it is skipped without a request
+    let primaryCalls = 0;
+    yahoo.getQuote = async () => { primaryCalls += 1; throw upstreamError(); };
+    quote = await providers.call('quote', 'RELIANCE');
+    assert.strictEqual(quote.source, 'stub');
+    assert.strictEqual(primaryCalls, 0);
+
+    // Every provider asked rejecting the request is reported as such
+    stub.failWith = requestError();
+    await assert.rejects(providers.call('quote', 'RELIANCE'), error => error.code === 'REQUEST_REJECTED');
+
+    // Every provider failing surfaces an error; every breaker open fails fast
+    stub.failWith = upstreamError();
+    await assert.rejects(providers.call('quote', 'RELIANCE'), error => /All quote providers failed/.test(error.message) && !error.code);
+    stub.breaker.open();
+    await assert.rejects(providers.call('quote', 'RELIANCE'), error => error.code === 'PROVIDERS_UNAVAILABLE');
+
+    // After the cooldown a successful probe closes the primary's breaker again
+    yahoo.getQuote = getQuote;
+    yahoo.breaker.openedAt -= yahoo.breaker.cooldownMs;
+    quote = await providers.call('quote', 'RELIANCE');
+    assert.notStrictEqual(quote.source, 'stub');
+    assert.strictEqual(yahoo.breaker.state, 'closed');
+    logger.info('✅ Open breakers are skipped, exhausted providers fail fast, and a probe recovers the primary');
+  } finally {
+    yahoo.getQuote = getQuote;
+    delete process.env.MARKET_DATA_QUOTE_PROVIDERS;
+  }
+}
+
+async function checkProviders() {
+  const scratch = path.join(os.tmpdir(), `stock-info-fixtures-${process.pid}`);
+  try {
+    await checkCommittedFixtures();
+    await checkFailover();
+
+    writeSyntheticFixtures(scratch);
+    await checkSyntheticFixtures();
+
+    logger.info('✅ Provider checks passed');
+    process.exitCode = 0;
+  } catch (error) {
+    logger.error('❌ Provider check failed:', error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+    process.exit();
+  }
+}
+
+checkProviders();
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const providers = require('../src/services/providers');
+const marketCalendar = require('../src/services/marketCalendar');
+const indices = require('../src/config/indices');
+const logger = require('../src/utils/logger');
+
+// Bulk SYNTHETIC fixtures for the provider checks, written to a scratch
+// directory at check time (never committed).
+//
+// The payloads have the shape of Yahoo chart/search and mfapi responses, but
+// every price, volume and NAV is a seeded random walk, not market data. Each
+// file carries a top-level "_fixture" block saying so.
+//
+// Coverage: every index in config/indices.js (5y, 1y and 1mo daily bars and
+// a 5-minute session), RELIANCE (1y and 5y daily bars and search), and mfapi
+// schemes 120503 and 120465 with NAVs from their launch.
+
+// Fixtures end on this session; fixed so regenerating gives the same files
+const AS_OF = '2025-10-17';
+const IST_OFFSET_SECONDS = 19800;
+
+const label = (description) => ({
+  synthetic: true,
+  generatedBy: 'scripts/syntheticFixtures.js',
+  asOf: AS_OF,
+  description
+});
+
+// mulberry32, seeded from the symbol so each series is stable on its own
+const randomFor = (seedText) => {
+  let seed = Array.from(seedText).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261) >>> 0;
+  const next = () => {
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Standard normal (Box-Muller)
+  next.normal = () => Math.sqrt(-2 * Math.log(next() || 1e-12)) * Math.cos(2 * Math.PI * next());
+  return next;
+};
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+// IST wall-clock time on a day, as epoch seconds
+const istSeconds = (day, time) => Math.floor(marketCalendar.istTime(day, time).getTime() / 1000);
+
+// Business days from `from` to AS_OF inclusive
+const businessDays = (from) => {
+  const days = [];
+  for (let day = from; day <= AS_OF; day = marketCalendar.addDays(day, 1)) {
+    if (marketCalendar.isBusinessDay(day)) {
+      days.push(day);
+    }
+  }
+  return days;
+};
+
+const yearsBefore = (years) => `${Number(AS_OF.slice(0, 4)) - years}${AS_OF.slice(4)}`;
+
+// Daily OHLCV bars as a geometric random walk (or, for volatility indices, a
+// mean-reverting level)
+const dailyBars = (symbol, { start, drift, volatility, volume = 0, meanReverting = false }) => {
+  const random = randomFor(symbol);
+  const dailyVol = volatility / Math.sqrt(252);
+  let close = start;
+
+  return businessDays(yearsBefore(5)).map(day => {
+    const open = close * (1 + random.normal() * dailyVol * 0.3);
+    close = meanReverting
+      ? Math.max(8, close + 0.05 * (start - close) + random.normal() * dailyVol * close)
+      : close * Math.exp(drift / 252 - dailyVol * dailyVol / 2 + random.normal() * dailyVol);
+    const spread = Math.abs(random.normal()) * dailyVol * 0.6;
+
+    return {
+      day,
+      open: round(open),
+      high: round(Math.max(open, close) * (1 + spread)),
+      low: round(Math.min(open, close) * (1 - spread)),
+      close: round(close),
+      volume: volume ? Math.round(volume * Math.exp(random.normal() * 0.35)) : 0
+    };
+  });
+};
+
+const chart = (meta, timestamps, bars, description) => ({
+  _fixture: label(description),
+  chart: {
+    result: [{
+      meta,
+      timestamp: timestamps,
+      indicators: {
+        quote: [{
+          open: bars.map(bar => bar.open),
+          high: bars.map(bar => bar.high),
+          low: bars.map(bar => bar.low),
+          close: bars.map(bar => bar.close),
+          volume: bars.map(bar => bar.volume)
+        }]
+      }
+    }],
+    error: null
+  }
+});
+
+const chartMeta = (instrument, bars, rangeStart) => {
+  const last = bars[bars.length - 1];
+  const previous = bars[bars.length - 2];
+  const lastYear = bars.slice(-252);
+  return {
+    currency: 'INR',
+    symbol: instrument.symbol,
+    exchangeName: instrument.exchange === 'BSE' ? 'BSE' : 'NSI',
+    fullExchangeName: instrument.exchange,
+    instrumentType: instrument.instrumentType,
+    regularMarketTime: istSeconds(AS_OF, '15:30'),
+    gmtoffset: IST_OFFSET_SECONDS,
+    timezone: 'IST',
+    exchangeTimezoneName: 'Asia/Kolkata',
+    regularMarketPrice: last.close,
+    fiftyTwoWeekHigh: Math.max(...lastYear.map(bar => bar.high)),
+    fiftyTwoWeekLow: Math.min(...lastYear.map(bar => bar.low)),
+    regularMarketDayHigh: last.high,
+    regularMarketDayLow: last.low,
+    regularMarketVolume: last.volume,
+    longName: instrument.name,
+    shortName: instrument.name,
+    chartPreviousClose: rangeStart > 0 ? bars[rangeStart - 1].close : bars[0].open,
+    previousClose: previous.close
+  };
+};
+
+// Daily charts for the named ranges Yahoo is asked for, all slices of one walk
+const dailyCharts = (instrument, bars, ranges) => ranges.map(([range, from]) => {
+  const start = bars.findIndex(bar => bar.day > from);
+  const slice = bars.slice(start);
+  return {
+    key: `chart_${instrument.symbol}_1d_${range}`,
+    data: chart(
+      chartMeta(instrument, bars, start),
+      slice.map(bar => istSeconds(bar.day, '09:15')),
+      slice,
+      `Synthetic ${range} daily chart for ${instrument.symbol}`
+    )
+  };
+});
+
+// The AS_OF session in 5-minute bars (09:15-15:25), ending on the daily close
+const intradayChart = (instrument, bars) => {
+  const random = randomFor(`${instrument.symbol}:5m`);
+  const last = bars[bars.length - 1];
+  const previous = bars[bars.length - 2];
+  const steps = 75;
+
+  const path = [];
+  let value = last.open;
+  for (let i = 0; i < steps; i++) {
+    // Random steps pulled towards the session's close
+    value += (last.close - value) / (steps - i) + random.normal() * last.close * 0.0006;
+    path.push(i === steps - 1 ? last.close : value);
+  }
+
+  let open = last.open;
+  const intraday = path.map(close => {
+    const bar = {
+      open: round(open),
+      high: round(Math.max(open, close) * (1 + Math.abs(random.normal()) * 0.0003)),
+      low: round(Math.min(open, close) * (1 - Math.abs(random.normal()) * 0.0003)),
+      close: round(close),
+      volume: 0
+    };
+    open = close;
+    return bar;
+  });
+
+  const meta = chartMeta(instrument, bars, bars.length - 1);
+  meta.regularMarketDayHigh = Math.max(...intraday.map(bar => bar.high));
+  meta.regularMarketDayLow = Math.min(...intraday.map(bar => bar.low));
+  meta.chartPreviousClose = previous.close;
+
+  return {
+    key: `chart_${instrument.symbol}_5m_1d`,
+    data: chart(
+      meta,
+      intraday.map((bar, i) => istSeconds(AS_OF, '09:15') + i * 300),
+      intraday,
+      `Synthetic 5-minute session for ${instrument.symbol}`
+    )
+  };
+};
+
+const indexProfile = {
+  broad: { start: 12000, drift: 0.12, volatility: 0.15 },
+  midcap: { start: 20000, drift: 0.16, volatility: 0.19 },
+  smallcap: { start: 7000, drift: 0.17, volatility: 0.23 },
+  sectoral: { start: 15000, drift: 0.12, volatility: 0.21 },
+  thematic: { start: 5000, drift: 0.13, volatility: 0.18 },
+  volatility: { start: 15, drift: 0, volatility: 0.9, meanReverting: true }
+};
+
+const yahooFixtures = () => {
+  const fixtures = [];
+
+  indices.forEach(index => {
+    const instrument = { ...index, instrumentType: 'INDEX' };
+    const bars = dailyBars(index.symbol, indexProfile[index.category] || indexProfile.broad);
+    fixtures.push(...dailyCharts(instrument, bars, [['5y', yearsBefore(5)], ['1y', yearsBefore(1)], ['1mo', marketCalendar.addDays(AS_OF, -30)]]));
+    fixtures.push(intradayChart(instrument, bars));
+  });
+
+  const reliance = { symbol: 'RELIANCE.NS', name: 'Reliance Industries Limited', exchange: 'NSE', instrumentType: 'EQUITY' };
+  const relianceBars = dailyBars(reliance.symbol, { start: 1000, drift: 0.1, volatility: 0.24, volume: 8000000 });
+  fixtures.push(...dailyCharts(reliance, relianceBars, [['5y', yearsBefore(5)], ['1y', yearsBefore(1)]]));
+
+  fixtures.push({
+    key: 'search_reliance',
+    data: {
+      _fixture: label('Synthetic search response for "reliance"'),
+      explains: [],
+      count: 2,
+      quotes: [
+        { exchange: 'NSI', shortname: 'RELIANCE INDUSTRIES LTD', quoteType: 'EQUITY', symbol: 'RELIANCE.NS', longname: 'Reliance Industries Limited', exchDisp: 'NSE', sector: 'Energy', industry: 'Oil & Gas Refining & Marketing' },
+        { exchange: 'BSE', shortname: 'RELIANCE INDUSTRIES LTD.', quoteType: 'EQUITY', symbol: 'RELIANCE.BO', longname: 'Reliance Industries Limited', exchDisp: 'Bombay', sector: 'Energy', industry: 'Oil & Gas Refining & Marketing' }
+      ],
+      news: []
+    }
+  });
+
+  return fixtures;
+};
+
+// Scheme details are the real AMFI master data for these codes; NAVs are synthetic
+const schemes = [
+  {
+    code: 120503,
+    name: 'Axis ELSS Tax Saver Fund - Direct Plan - Growth',
+    category: 'Equity Scheme - ELSS',
+    isinGrowth: 'INF846K01EW2',
+    launch: '2013-01-01',
+    drift: 0.14,
+    volatility: 0.17
+  },
+  {
+    code: 120465,
+    name: 'Axis Bluechip Fund - Direct Plan - Growth',
+    category: 'Equity Scheme - Large Cap Fund',
+    isinGrowth: 'INF846K01DP8',
+    launch: '2013-01-01',
+    drift: 0.13,
+    volatility: 0.15
+  }
+];
+
+const mfapiFixtures = () => schemes.map(scheme => {
+  const random = randomFor(`mf:${scheme.code}`);
+  const dailyVol = scheme.volatility / Math.sqrt(252);
+  let nav = 10;
+  const rows = businessDays(scheme.launch).map(day => {
+    nav *= Math.exp(scheme.drift / 252 - dailyVol * dailyVol / 2 + random.normal() * dailyVol);
+    return { date: `${day.slice(8, 10)}-${day.slice(5, 7)}-${day.slice(0, 4)}`, nav: nav.toFixed(5) };
+  });
+
+  return {
+    key: `mf_${scheme.code}`,
+    data: {
+      _fixture: label(`Synthetic NAV history for scheme ${scheme.code} (scheme details are real)`),
+      meta: {
+        fund_house: 'Axis Mutual Fund',
+        scheme_type: 'Open Ended Schemes',
+        scheme_category: scheme.category,
+        scheme_code: scheme.code,
+        scheme_name: scheme.name,
+        isin_growth: scheme.isinGrowth,
+        isin_div_reinvestment: null
+      },
+      // mfapi lists the latest NAV first
+      data: rows.reverse(),
+      status: 'SUCCESS'
+    }
+  };
+});
+
+const write = (provider, fixtures) => {
+  fixtures.forEach(({ key, data }) => {
+    const file = provider.fixturePath(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Compact: the 5y charts are large
+    fs.writeFileSync(file, `${JSON.stringify(data)}\n`);
+  });
+  logger.debug(`Wrote ${fixtures.length} synthetic ${provider.name} fixtures`);
+};
+
+// Write every fixture into `dir` and serve fixtures from there
+const writeSyntheticFixtures = (dir) => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.env.MARKET_DATA_FIXTURES_DIR = dir;
+
+  write(providers.providers.get('yahoo'), yahooFixtures());
+  write(providers.providers.get('mfapi'), mfapiFixtures());
+};
+
+module.exports = { writeSyntheticFixtures };
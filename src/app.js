@@ -6,6 +6,9 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const marketDataProviders = require('./services/providers');
+const responseCache = require('./services/cache');
+const lockService = require('./services/lockService');
 
 const app = express();
 
@@ -134,7 +137,10 @@ app.get('/health', (req, res) => {
     proxy: {
       trustProxy: app.get('trust proxy'),
       clientIP: req.ip
-    }
+    },
+    marketData: marketDataProviders.status(),
+    cache: responseCache.status(),
+    locks: lockService.status()
   });
 });
 
@@ -153,7 +159,11 @@ app.get('/', (req, res) => {
       stocks: '/api/stocks',
       mutualFunds: '/api/mutual-funds',
       watchlists: '/api/watchlists',
-      market: '/api/market'
+      screens: '/api/screens',
+      portfolios: '/api/portfolios',
+      alerts: '/api/alerts',
+      market: '/api/market',
+      admin: '/api/admin'
     }
   });
 });
@@ -253,7 +263,11 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/stocks', require('./routes/stocks'));
 app.use('/api/mutual-funds', require('./routes/mutualFunds'));
 app.use('/api/watchlists', require('./routes/watchlist'));
+app.use('/api/screens', require('./routes/screens'));
+app.use('/api/portfolios', require('./routes/portfolios'));
+app.use('/api/alerts', require('./routes/alerts'));
 app.use('/api/market', require('./routes/market'));
+app.use('/api/admin', require('./routes/admin'));
 
 // ✅ 404 handler MUST be AFTER all route definitions
 app.all('*', (req, res) => {
@@ -267,7 +281,11 @@ app.all('*', (req, res) => {
       '/api/stocks/*',
       '/api/mutual-funds/*',
       '/api/watchlists/*',
-      '/api/market/*'
+      '/api/screens/*',
+      '/api/portfolios/*',
+      '/api/alerts/*',
+      '/api/market/*',
+      '/api/admin/*'
     ]
   });
 });
@@ -0,0 +1,47 @@
+// Market indices tracked by dataSync and served from /api/market/indices.
+// `code` is the URL-friendly identifier; `symbol` is the Yahoo Finance chart symbol.
+
+module.exports = [
+  // Broad market
+  { code: 'NIFTY50', symbol: '^NSEI', name: 'NIFTY 50', exchange: 'NSE', category: 'broad' },
+  { code: 'SENSEX', symbol: '^BSESN', name: 'BSE SENSEX', exchange: 'BSE', category: 'broad' },
+  { code: 'NIFTYNEXT50', symbol: '^NSMIDCP', name: 'NIFTY NEXT 50', exchange: 'NSE', category: 'broad' },
+  { code: 'NIFTY100', symbol: '^CNX100', name: 'NIFTY 100', exchange: 'NSE', category: 'broad' },
+  { code: 'NIFTY200', symbol: '^CNX200', name: 'NIFTY 200', exchange: 'NSE', category: 'broad' },
+  { code: 'NIFTY500', symbol: '^CRSLDX', name: 'NIFTY 500', exchange: 'NSE', category: 'broad' },
+
+  // Mid and small cap
+  { code: 'NIFTYMIDCAP50', symbol: '^NSEMDCP50', name: 'NIFTY MIDCAP 50', exchange: 'NSE', category: 'midcap' },
+  { code: 'NIFTYMIDCAP100', symbol: 'NIFTY_MIDCAP_100.NS', name: 'NIFTY MIDCAP 100', exchange: 'NSE', category: 'midcap' },
+  { code: 'NIFTYMIDCAP150', symbol: 'NIFTYMIDCAP150.NS', name: 'NIFTY MIDCAP 150', exchange: 'NSE', category: 'midcap' },
+  { code: 'BSEMIDCAP', symbol: 'BSE-MIDCAP.BO', name: 'BSE MIDCAP', exchange: 'BSE', category: 'midcap' },
+  { code: 'NIFTYSMALLCAP100', symbol: '^CNXSC', name: 'NIFTY SMALLCAP 100', exchange: 'NSE', category: 'smallcap' },
+  { code: 'NIFTYSMALLCAP250', symbol: 'NIFTYSMLCAP250.NS', name: 'NIFTY SMALLCAP 250', exchange: 'NSE', category: 'smallcap' },
+  { code: 'BSESMALLCAP', symbol: 'BSE-SMLCAP.BO', name: 'BSE SMALLCAP', exchange: 'BSE', category: 'smallcap' },
+
+  // Sectoral
+  { code: 'NIFTYBANK', symbol: '^NSEBANK', name: 'NIFTY BANK', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYIT', symbol: '^CNXIT', name: 'NIFTY IT', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYFINSERVICE', symbol: 'NIFTY_FIN_SERVICE.NS', name: 'NIFTY FINANCIAL SERVICES', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYAUTO', symbol: '^CNXAUTO', name: 'NIFTY AUTO', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYPHARMA', symbol: '^CNXPHARMA', name: 'NIFTY PHARMA', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYFMCG', symbol: '^CNXFMCG', name: 'NIFTY FMCG', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYMETAL', symbol: '^CNXMETAL', name: 'NIFTY METAL', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYREALTY', symbol: '^CNXREALTY', name: 'NIFTY REALTY', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYENERGY', symbol: '^CNXENERGY', name: 'NIFTY ENERGY', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYMEDIA', symbol: '^CNXMEDIA', name: 'NIFTY MEDIA', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYPSUBANK', symbol: '^CNXPSUBANK', name: 'NIFTY PSU BANK', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYPVTBANK', symbol: 'NIFTY_PVT_BANK.NS', name: 'NIFTY PRIVATE BANK', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYHEALTHCARE', symbol: 'NIFTY_HEALTHCARE.NS', name: 'NIFTY HEALTHCARE', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYCONSUMERDURABLES', symbol: 'NIFTY_CONSR_DURBL.NS', name: 'NIFTY CONSUMER DURABLES', exchange: 'NSE', category: 'sectoral' },
+  { code: 'NIFTYOILGAS', symbol: 'NIFTY_OIL_AND_GAS.NS', name: 'NIFTY OIL & GAS', exchange: 'NSE', category: 'sectoral' },
+
+  // Thematic
+  { code: 'NIFTYINFRA', symbol: '^CNXINFRA', name: 'NIFTY INFRASTRUCTURE', exchange: 'NSE', category: 'thematic' },
+  { code: 'NIFTYPSE', symbol: '^CNXPSE', name: 'NIFTY PSE', exchange: 'NSE', category: 'thematic' },
+  { code: 'NIFTYMNC', symbol: '^CNXMNC', name: 'NIFTY MNC', exchange: 'NSE', category: 'thematic' },
+  { code: 'NIFTYCPSE', symbol: 'NIFTY_CPSE.NS', name: 'NIFTY CPSE', exchange: 'NSE', category: 'thematic' },
+
+  // Volatility
+  { code: 'INDIAVIX', symbol: '^INDIAVIX', name: 'INDIA VIX', exchange: 'NSE', category: 'volatility' }
+];
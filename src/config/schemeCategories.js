@@ -0,0 +1,66 @@
+// SEBI mutual fund scheme categories (circular of 6 Oct 2017, with Flexi Cap
+// added in Nov 2020), used by schemeClassifier. Where AMFI's headers split a
+// SEBI category (Value/Contra, Index Funds/ETFs, FoF domestic/overseas) the
+// entries follow AMFI.
+//
+// `name` is stored as MutualFund.subCategory and `group` as MutualFund.category.
+// `amfi` matches the part after ' - ' in AMFI's category header (e.g. 'Equity
+// Scheme - Large Cap Fund'); `keywords` match scheme names when no header is
+// known. Entries are tried in order, so more specific ones come first
+// (Banking and PSU debt before banking sector equity, ELSS before Large Cap).
+
+module.exports = [
+  // Debt (16)
+  { name: 'Overnight Fund', group: 'Debt', amfi: /overnight/i, keywords: /\bovernight\b/i },
+  { name: 'Liquid Fund', group: 'Debt', amfi: /liquid/i, keywords: /\bliquid\b/i },
+  { name: 'Ultra Short Duration Fund', group: 'Debt', amfi: /ultra short/i, keywords: /\bultra[\s-]*short\b/i },
+  { name: 'Low Duration Fund', group: 'Debt', amfi: /low duration/i, keywords: /\blow duration\b/i },
+  { name: 'Money Market Fund', group: 'Debt', amfi: /money market/i, keywords: /\bmoney market\b/i },
+  { name: 'Short Duration Fund', group: 'Debt', amfi: /^short duration/i, keywords: /\bshort (duration|term)\b/i },
+  { name: 'Medium to Long Duration Fund', group: 'Debt', amfi: /medium to long/i, keywords: /\bmedium to long\b/i },
+  { name: 'Medium Duration Fund', group: 'Debt', amfi: /^medium duration/i, keywords: /\bmedium (duration|term)\b/i },
+  { name: 'Long Duration Fund', group: 'Debt', amfi: /^long duration/i, keywords: /\blong duration\b/i },
+  { name: 'Dynamic Bond Fund', group: 'Debt', amfi: /dynamic bond/i, keywords: /\bdynamic bond\b/i },
+  { name: 'Corporate Bond Fund', group: 'Debt', amfi: /corporate bond/i, keywords: /\bcorporate bond\b/i },
+  { name: 'Credit Risk Fund', group: 'Debt', amfi: /credit risk/i, keywords: /\bcredit risk\b/i },
+  { name: 'Banking and PSU Fund', group: 'Debt', amfi: /banking and psu/i, keywords: /\bbanking (and|&) psu (debt|bond)?/i },
+  { name: 'Gilt Fund with 10 year constant duration', group: 'Debt', amfi: /gilt.*10 year/i, keywords: /\bgilt\b.*(10 year|constant maturity|constant duration)/i },
+  { name: 'Gilt Fund', group: 'Debt', amfi: /^gilt/i, keywords: /\bgilt\b|\bg-?sec\b/i },
+  { name: 'Floater Fund', group: 'Debt', amfi: /floater/i, keywords: /\bfloat(er|ing rate)\b/i },
+
+  // Hybrid (7)
+  { name: 'Arbitrage Fund', group: 'Hybrid', amfi: /arbitrage/i, keywords: /\barbitrage\b/i },
+  { name: 'Equity Savings Fund', group: 'Hybrid', amfi: /equity savings/i, keywords: /\bequity savings\b/i },
+  { name: 'Conservative Hybrid Fund', group: 'Hybrid', amfi: /conservative hybrid/i, keywords: /\bconservative hybrid\b|\bmonthly income\b|\bregular savings\b/i },
+  { name: 'Balanced Advantage Fund', group: 'Hybrid', amfi: /dynamic asset allocation|balanced advantage/i, keywords: /\bbalanced advantage\b|\bdynamic asset allocation\b/i },
+  { name: 'Multi Asset Allocation Fund', group: 'Hybrid', amfi: /multi asset/i, keywords: /\bmulti[\s-]*asset\b/i },
+  // Balanced Hybrid (40-60% equity) is the alternative to Aggressive Hybrid
+  // and is not taxed as equity-oriented; it comes first because 'balanced'
+  // alone names an aggressive hybrid fund
+  { name: 'Balanced Hybrid Fund', group: 'Hybrid', amfi: /balanced hybrid/i, keywords: /\bbalanced hybrid\b/i },
+  { name: 'Aggressive Hybrid Fund', group: 'Hybrid', amfi: /aggressive hybrid/i, keywords: /\baggressive hybrid\b|\bequity (&|and) debt\b|\bequity hybrid\b|\bhybrid equity\b|\bbalanced\b/i },
+
+  // Solution oriented (2)
+  { name: 'Retirement Fund', group: 'Solution Oriented', amfi: /retirement/i, keywords: /\bretirement\b|\bpension\b/i },
+  { name: "Children's Fund", group: 'Solution Oriented', amfi: /child/i, keywords: /\bchild(ren)?'?s?\b/i },
+
+  // Other (2): index funds/ETFs and funds of funds
+  { name: 'FoF Overseas', group: 'Fund of Funds', amfi: /fof overseas/i, keywords: /\b(fof|fund of funds?)\b.*\b(overseas|international|global|us|nasdaq|world)\b|\b(overseas|international|global|us|nasdaq|world)\b.*\b(fof|fund of funds?)\b/i },
+  { name: 'FoF Domestic', group: 'Fund of Funds', amfi: /fof domestic/i, keywords: /\bfof\b|\bfund of funds?\b/i },
+  { name: 'ETFs', group: 'Index', amfi: /etf/i, keywords: /\betf\b|\bexchange traded\b|\bbees\b/i },
+  { name: 'Index Funds', group: 'Index', amfi: /index/i, keywords: /\bindex\b|\bnifty\b|\bsensex\b/i },
+
+  // Equity (10 SEBI categories plus Flexi Cap)
+  { name: 'ELSS', group: 'Equity', amfi: /elss/i, keywords: /\belss\b|\btax saver\b|\btax saving\b|\blong term equity\b|\btax relief\b/i },
+  { name: 'Large & Mid Cap Fund', group: 'Equity', amfi: /large & mid|large and mid/i, keywords: /\blarge (&|and) mid ?cap\b|\bemerging (bluechip|equity)\b/i },
+  { name: 'Large Cap Fund', group: 'Equity', amfi: /large cap/i, keywords: /\blarge ?cap\b|\bblue ?chip\b|\btop 100\b|\bfrontline\b/i },
+  { name: 'Mid Cap Fund', group: 'Equity', amfi: /mid cap/i, keywords: /\bmid ?cap\b/i },
+  { name: 'Small Cap Fund', group: 'Equity', amfi: /small cap/i, keywords: /\bsmall ?cap\b/i },
+  { name: 'Flexi Cap Fund', group: 'Equity', amfi: /flexi cap/i, keywords: /\bflexi ?cap\b/i },
+  { name: 'Multi Cap Fund', group: 'Equity', amfi: /multi cap/i, keywords: /\bmulti ?cap\b/i },
+  { name: 'Dividend Yield Fund', group: 'Equity', amfi: /dividend yield/i, keywords: /\bdividend yield\b/i },
+  { name: 'Value Fund', group: 'Equity', amfi: /^value/i, keywords: /\bvalue\b/i },
+  { name: 'Contra Fund', group: 'Equity', amfi: /contra/i, keywords: /\bcontra\b/i },
+  { name: 'Focused Fund', group: 'Equity', amfi: /focused/i, keywords: /\bfocused?\b/i },
+  { name: 'Sectoral/Thematic Fund', group: 'Equity', amfi: /sectoral|thematic/i, keywords: /\bsectoral\b|\bthematic\b|\bbanking\b|\bfinancial services\b|\bpharma\b|\bhealth ?care\b|\binfra(structure)?\b|\btechnology\b|\bdigital\b|\bconsumption\b|\bfmcg\b|\bmanufacturing\b|\besg\b|\bpsu\b|\bmnc\b|\benergy\b|\bbusiness cycle\b/i }
+];
@@ -0,0 +1,58 @@
+// Capital gains rules used by the tax report (Indian listed shares and mutual funds).
+// Rate sets apply to transfers on or after `effectiveFrom`; the latest applicable one wins.
+// Rates are in percent; a null rate means the gain is taxed at the investor's slab rate.
+// `longTermExempt` marks long-term gains as exempt. Transfers before the
+// earliest rate set have no rule and are left out of the tax estimate.
+
+module.exports = {
+  // Listed shares and equity-oriented funds (Sections 111A / 112A). Until
+  // 2018-04-01 long-term gains on STT-paid transfers were exempt (Section 10(38)).
+  equity: [
+    { effectiveFrom: '2004-10-01', longTermAfterMonths: 12, shortTermRate: 10, longTermRate: 0, longTermExempt: true },
+    { effectiveFrom: '2008-04-01', longTermAfterMonths: 12, shortTermRate: 15, longTermRate: 0, longTermExempt: true },
+    { effectiveFrom: '2018-04-01', longTermAfterMonths: 12, shortTermRate: 15, longTermRate: 10 },
+    { effectiveFrom: '2024-07-23', longTermAfterMonths: 12, shortTermRate: 20, longTermRate: 12.5 }
+  ],
+
+  // Other funds (debt, gold, international FoFs, ...) (Section 112). Until
+  // 2024-07-23 long-term gains were taxed at 20% on the indexed cost.
+  debt: [
+    { effectiveFrom: '2000-04-01', longTermAfterMonths: 36, shortTermRate: null, longTermRate: 20, indexation: true },
+    { effectiveFrom: '2024-07-23', longTermAfterMonths: 24, shortTermRate: null, longTermRate: 12.5 }
+  ],
+
+  // Units of debt funds bought on or after this date are always short-term (Section 50AA)
+  debtDeemedShortTermFrom: '2023-04-01',
+
+  // Cost Inflation Index by financial year (base 2001-02 = 100), notified by
+  // CBDT. Add each year's index when it is notified; long-term lots whose
+  // acquisition or sale year is missing are left out of the tax estimate.
+  costInflationIndex: {
+    '2001-02': 100, '2002-03': 105, '2003-04': 109, '2004-05': 113, '2005-06': 117,
+    '2006-07': 122, '2007-08': 129, '2008-09': 137, '2009-10': 148, '2010-11': 167,
+    '2011-12': 184, '2012-13': 200, '2013-14': 220, '2014-15': 240, '2015-16': 254,
+    '2016-17': 264, '2017-18': 272, '2018-19': 280, '2019-20': 289, '2020-21': 301,
+    '2021-22': 317, '2022-23': 331, '2023-24': 348, '2024-25': 363, '2025-26': 376
+  },
+
+  // Annual exemption on equity long-term gains, by financial year it starts applying
+  longTermExemption: [
+    { fromFinancialYear: '2018-19', amount: 100000 },
+    { fromFinancialYear: '2024-25', amount: 125000 }
+  ],
+
+  // Equity acquired on or before the cut-off uses the higher of actual cost and
+  // the lower of FMV on the cut-off date and the sale price
+  grandfathering: {
+    enabled: true,
+    cutoffDate: '2018-01-31'
+  },
+
+  // Funds taxed as equity-oriented (at least 65% in domestic equity), by
+  // MutualFund.category and SEBI subCategory. Index funds and ETFs qualify
+  // unless schemeClassifier finds a debt, commodity or overseas index in the name.
+  equityOriented: {
+    categories: ['Equity', 'Index'],
+    subCategories: ['Arbitrage Fund', 'Equity Savings Fund', 'Aggressive Hybrid Fund', 'Balanced Advantage Fund']
+  }
+};
@@ -0,0 +1,373 @@
+const mongoose = require('mongoose');
+const BackfillJob = require('../models/BackfillJob');
+const SyncRun = require('../models/SyncRun');
+const MutualFund = require('../models/MutualFund');
+const backfillService = require('../services/backfillService');
+const dataSync = require('../services/dataSync');
+const navNormalizer = require('../services/navNormalizer');
+const logger = require('../utils/logger');
+
+const sendError = (res, error, context) => {
+  if ([400, 404, 409].includes(error.statusCode)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+const findJob = async (id) => {
+  const job = mongoose.isValidObjectId(id) ? await BackfillJob.findById(id) : null;
+  if (!job) {
+    throw Object.assign(new Error('Backfill job not found'), { statusCode: 404 });
+  }
+  return job;
+};
+
+// @desc    Start a historical backfill job for stocks or mutual funds
+// @route   POST /api/admin/backfill
+// @access  Private (admin)
+exports.startBackfill = async (req, res) => {
+  try {
+    const { assetType, symbols = [], years, chunkYears } = req.body;
+
+    const job = await backfillService.createJob({
+      assetType,
+      symbols,
+      years,
+      chunkYears,
+      requestedBy: req.user.id,
+      source: 'api'
+    });
+    await backfillService.start(job._id);
+
+    res.status(202).json({
+      success: true,
+      message: `Backfill started for ${job.items.length} instruments`,
+      data: job
+    });
+  } catch (error) {
+    sendError(res, error, 'Start backfill');
+  }
+};
+
+// @desc    List backfill jobs, newest first
+// @route   GET /api/admin/backfill
+// @access  Private (admin)
+exports.getBackfillJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const [jobs, total] = await Promise.all([
+      BackfillJob.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BackfillJob.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: jobs
+    });
+  } catch (error) {
+    sendError(res, error, 'Get backfill jobs');
+  }
+};
+
+// @desc    Get a backfill job with per-instrument progress
+// @route   GET /api/admin/backfill/:id
+// @access  Private (admin)
+exports.getBackfillJob = async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...job.toJSON(),
+        isRunningHere: backfillService.running.has(String(job._id))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get backfill job');
+  }
+};
+
+// @desc    Resume a paused, failed or interrupted backfill job
+// @route   POST /api/admin/backfill/:id/resume
+// @access  Private (admin)
+exports.resumeBackfill = async (req, res) => {
+  try {
+    const job = await findJob(req.params.id);
+
+    if (job.status === 'completed' || job.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: `Backfill job is ${job.status}`
+      });
+    }
+
+    if (!(await backfillService.start(job._id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Backfill job is already running'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Backfill resumed',
+      data: job
+    });
+  } catch (error) {
+    sendError(res, error, 'Resume backfill');
+  }
+};
+
+const findRun = async (id) => {
+  const run = mongoose.isValidObjectId(id) ? await SyncRun.findById(id) : null;
+  if (!run) {
+    throw Object.assign(new Error('Sync run not found'), { statusCode: 404 });
+  }
+  return run;
+};
+
+// @desc    Sync runs in progress in this process and the latest run times
+// @route   GET /api/admin/sync/status
+// @access  Private (admin)
+exports.getSyncStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: dataSync.getSyncStatus()
+    });
+  } catch (error) {
+    sendError(res, error, 'Get sync status');
+  }
+};
+
+// @desc    List sync runs, newest first
+// @route   GET /api/admin/sync/runs
+// @access  Private (admin)
+exports.getSyncRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const query = {};
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+    if (req.query.trigger) {
+      query.trigger = req.query.trigger;
+    }
+
+    // Failure lists and change details can be long; fetch a run for those
+    const [runs, total] = await Promise.all([
+      SyncRun.find(query)
+        .select('-failures -changes.revisions -changes.gaps -symbols')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SyncRun.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: runs
+    });
+  } catch (error) {
+    sendError(res, error, 'Get sync runs');
+  }
+};
+
+// @desc    Get a sync run with its per-item failures and changes
+// @route   GET /api/admin/sync/runs/:id
+// @access  Private (admin)
+exports.getSyncRun = async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    sendError(res, error, 'Get sync run');
+  }
+};
+
+// @desc    Trigger a sync of every active instrument, or the given symbols
+// @route   POST /api/admin/sync/:type
+// @access  Private (admin)
+exports.triggerSync = async (req, res) => {
+  try {
+    const { type } = req.params;
+    let symbols = null;
+    if (Array.isArray(req.body.symbols)) {
+      symbols = Array.from(new Set(req.body.symbols.map(symbol => (
+        type === 'stocks' || type === 'penny-discovery'
+          ? String(symbol).trim().toUpperCase()
+          : String(symbol).trim()
+      )).filter(Boolean)));
+    }
+
+    const report = await dataSync.triggerSync(type, {
+      symbols,
+      source: req.body.url,
+      deactivateMissing: req.body.deactivateMissing,
+      trigger: 'admin',
+      requestedBy: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${type} sync started`,
+      data: report.toJSON()
+    });
+  } catch (error) {
+    sendError(res, error, 'Trigger sync');
+  }
+};
+
+// @desc    Cancel a running sync after its current batch
+// @route   POST /api/admin/sync/runs/:id/cancel
+// @access  Private (admin)
+exports.cancelSyncRun = async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    const cancelled = await dataSync.cancelRun(run._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Cancellation requested',
+      data: cancelled
+    });
+  } catch (error) {
+    sendError(res, error, 'Cancel sync run');
+  }
+};
+
+// @desc    Start a new run covering only the failed items of a finished run
+// @route   POST /api/admin/sync/runs/:id/retry
+// @access  Private (admin)
+exports.retrySyncRun = async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    const report = await dataSync.retryRun(run._id, { requestedBy: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: `Retrying ${run.failures.length} failed items`,
+      data: report.toJSON()
+    });
+  } catch (error) {
+    sendError(res, error, 'Retry sync run');
+  }
+};
+
+// @desc    NAV history data-quality summaries for a page of mutual funds
+// @route   GET /api/admin/data-quality/mutual-funds
+// @access  Private (admin)
+exports.getNavQualityReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const issuesOnly = req.query.issuesOnly === 'true';
+
+    const query = { isActive: true };
+    if (req.query.fundHouse) {
+      query.fundHouse = req.query.fundHouse;
+    }
+
+    const [funds, total] = await Promise.all([
+      MutualFund.find(query)
+        .select('schemeCode schemeName fundHouse navHistory')
+        .sort({ schemeCode: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      MutualFund.countDocuments(query)
+    ]);
+
+    // Summaries only; the per-scheme report lists the offending rows
+    const reports = funds
+      .map(fund => {
+        const { observations, firstDate, lastDate, issueCount, issues } = navNormalizer.qualityReport(fund.navHistory);
+        return {
+          schemeCode: fund.schemeCode,
+          schemeName: fund.schemeName,
+          fundHouse: fund.fundHouse,
+          observations,
+          firstDate,
+          lastDate,
+          issueCount,
+          issues
+        };
+      })
+      .filter(report => !issuesOnly || report.issueCount > 0);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: reports
+    });
+  } catch (error) {
+    sendError(res, error, 'Get NAV quality reports');
+  }
+};
+
+// @desc    NAV history data-quality report for one mutual fund
+// @route   GET /api/admin/data-quality/mutual-funds/:schemeCode
+// @access  Private (admin)
+exports.getNavQualityReport = async (req, res) => {
+  try {
+    const fund = await MutualFund.findOne({ schemeCode: req.params.schemeCode })
+      .select('schemeCode schemeName fundHouse isActive navHistory')
+      .lean();
+
+    if (!fund) {
+      throw Object.assign(new Error('Mutual fund not found'), { statusCode: 404 });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schemeCode: fund.schemeCode,
+        schemeName: fund.schemeName,
+        fundHouse: fund.fundHouse,
+        isActive: fund.isActive,
+        ...navNormalizer.qualityReport(fund.navHistory)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get NAV quality report');
+  }
+};
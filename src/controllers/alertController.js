@@ -0,0 +1,102 @@
+const AlertTrigger = require('../models/AlertTrigger');
+const logger = require('../utils/logger');
+
+// @desc    Get user's triggered price alerts
+// @route   GET /api/alerts
+// @access  Private
+exports.getAlerts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user.id };
+    if (req.query.symbol) {
+      // Tickers are stored uppercase; scheme codes are numeric
+      query.symbol = req.query.symbol.toUpperCase();
+    }
+    if (req.query.unread === 'true') {
+      query.readAt = { $exists: false };
+    }
+
+    const [alerts, total, unread] = await Promise.all([
+      AlertTrigger.find(query)
+        .select('-dedupeKey')
+        .sort({ triggeredAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AlertTrigger.countDocuments(query),
+      AlertTrigger.countDocuments({ user: req.user.id, readAt: { $exists: false } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      total,
+      unread,
+      page,
+      pages: Math.ceil(total / limit),
+      data: alerts
+    });
+  } catch (error) {
+    logger.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Mark a triggered alert as read
+// @route   PUT /api/alerts/:id/read
+// @access  Private
+exports.markAlertRead = async (req, res) => {
+  try {
+    const alert = await AlertTrigger.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { readAt: new Date() },
+      { new: true }
+    ).select('-dedupeKey');
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    logger.error('Mark alert read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Mark all triggered alerts as read
+// @route   PUT /api/alerts/read
+// @access  Private
+exports.markAllAlertsRead = async (req, res) => {
+  try {
+    const result = await AlertTrigger.updateMany(
+      { user: req.user.id, readAt: { $exists: false } },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} alerts marked as read`
+    });
+  } catch (error) {
+    logger.error('Mark all alerts read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,193 @@
+const Index = require('../models/Index');
+const indexCatalog = require('../config/indices');
+const marketCalendar = require('../services/marketCalendar');
+const { DAY_MS, subtractMonths } = require('../utils/series');
+const logger = require('../utils/logger');
+
+// Quotes older than this are flagged as stale while the market is open
+const staleAfterMinutes = parseInt(process.env.INDEX_STALE_MINUTES, 10) || 15;
+// Daily history is refreshed once a day; allow for weekends
+const historyStaleAfterMinutes = 4 * 24 * 60;
+
+// Months of daily history per range; 1D is served from intraday bars
+const historyRanges = { '1W': null, '1M': 1, '3M': 3, '6M': 6, '1Y': 12, '3Y': 36, '5Y': 60, MAX: null };
+
+const staleness = (lastUpdated, now = new Date(), maxAgeMinutes = staleAfterMinutes) => {
+  if (!lastUpdated) {
+    return { ageSeconds: null, isStale: true };
+  }
+  const ageSeconds = Math.round((now - lastUpdated) / 1000);
+  return { ageSeconds, isStale: ageSeconds > maxAgeMinutes * 60 };
+};
+
+// A quote is only stale if it predates the last price change: while the market
+// is closed, anything refreshed after the last session's close is current
+const quoteStaleness = (lastUpdated, now = new Date()) => {
+  if (marketCalendar.isMarketOpen(now) || !lastUpdated) {
+    return staleness(lastUpdated, now);
+  }
+  const lastClose = marketCalendar.lastClose(now);
+  return {
+    ageSeconds: Math.round((now - lastUpdated) / 1000),
+    isStale: lastClose !== null && lastUpdated < lastClose
+  };
+};
+
+// Accept either our index code (NIFTY50) or the Yahoo symbol (^NSEI)
+const findIndex = (identifier) => Index.findOne({
+  $or: [{ code: identifier.toUpperCase() }, { symbol: identifier }]
+});
+
+// @desc    Get market indices with staleness info
+// @route   GET /api/market/indices
+// @access  Public
+exports.getIndices = async (req, res) => {
+  try {
+    const query = { isActive: true };
+    if (req.query.category) {
+      query.category = req.query.category.toLowerCase();
+    }
+
+    const indices = await Index.find(query).select('-history -intraday');
+
+    // Keep the catalog's order (broad market first)
+    const order = new Map(indexCatalog.map((index, position) => [index.code, position]));
+    indices.sort((a, b) => (order.get(a.code) ?? Infinity) - (order.get(b.code) ?? Infinity));
+
+    const now = new Date();
+    const data = indices.map(index => ({
+      ...index.toObject(),
+      ...quoteStaleness(index.lastUpdated, now)
+    }));
+    const lastSynced = data.reduce((latest, index) => (
+      index.lastUpdated && (!latest || index.lastUpdated > latest) ? index.lastUpdated : latest
+    ), null);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      lastUpdated: lastSynced,
+      isStale: data.length === 0 || data.some(index => index.isStale),
+      staleAfterMinutes,
+      data
+    });
+  } catch (error) {
+    logger.error('Get market indices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get intraday or daily history for an index
+// @route   GET /api/market/indices/:symbol/history
+// @access  Public
+exports.getIndexHistory = async (req, res) => {
+  try {
+    const range = (req.query.range || '1M').toUpperCase();
+
+    if (range !== '1D' && !Object.prototype.hasOwnProperty.call(historyRanges, range)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid range. Use one of: 1D, ${Object.keys(historyRanges).join(', ')}`
+      });
+    }
+
+    const index = await findIndex(req.params.symbol);
+
+    if (!index) {
+      return res.status(404).json({
+        success: false,
+        message: 'Index not found'
+      });
+    }
+
+    const now = new Date();
+    let data;
+    if (range === '1D') {
+      data = index.intraday.map(point => ({ time: point.time, value: point.value }));
+    } else {
+      let cutoff = null;
+      if (range === '1W') cutoff = new Date(now.getTime() - 7 * DAY_MS);
+      else if (historyRanges[range]) cutoff = subtractMonths(now, historyRanges[range]);
+
+      data = index.history
+        .filter(bar => !cutoff || bar.date >= cutoff)
+        .map(bar => ({ date: bar.date, open: bar.open, high: bar.high, low: bar.low, close: bar.close }));
+    }
+
+    res.status(200).json({
+      success: true,
+      code: index.code,
+      symbol: index.symbol,
+      name: index.name,
+      range,
+      interval: range === '1D' ? '5m' : '1d',
+      count: data.length,
+      lastUpdated: range === '1D' ? index.lastUpdated : index.historyUpdated,
+      ...(range === '1D'
+        ? quoteStaleness(index.lastUpdated, now)
+        : staleness(index.historyUpdated, now, historyStaleAfterMinutes)),
+      data
+    });
+  } catch (error) {
+    logger.error('Get index history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get market status (session phase, next open/close) from the NSE calendar
+// @route   GET /api/market/status
+// @access  Public
+exports.getMarketStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: marketCalendar.getStatus(new Date())
+    });
+  } catch (error) {
+    logger.error('Get market status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get exchange holidays and special sessions
+// @route   GET /api/market/holidays
+// @access  Public
+exports.getMarketHolidays = async (req, res) => {
+  try {
+    const year = req.query.year || marketCalendar.istDateKey().slice(0, 4);
+
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Year must be a 4-digit year'
+      });
+    }
+
+    const holidays = marketCalendar.holidaysFor(year);
+
+    res.status(200).json({
+      success: true,
+      year,
+      count: holidays.length,
+      data: {
+        holidays,
+        specialSessions: marketCalendar.specialSessionsFor(year)
+      }
+    });
+  } catch (error) {
+    logger.error('Get market holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
@@ -1,4 +1,9 @@
 const MutualFund = require('../models/MutualFund');
+const riskService = require('../services/riskService');
+const returnsService = require('../services/returnsService');
+const performanceService = require('../services/performanceService');
+const schemeVariantService = require('../services/schemeVariantService');
+const fundComparisonService = require('../services/fundComparisonService');
 const logger = require('../utils/logger');
 
 // @desc    Get all mutual funds
@@ -9,6 +14,7 @@ exports.getMutualFunds = async (req, res) => {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 20;
     const category = req.query.category;
+    const subCategory = req.query.subCategory;
     const fundHouse = req.query.fundHouse;
     const sortBy = req.query.sortBy || 'aum';
     const sortOrder = req.query.sortOrder || 'desc';
@@ -18,6 +24,9 @@ exports.getMutualFunds = async (req, res) => {
     if (category && category !== 'All Types') {
       query.category = category;
     }
+    if (subCategory) {
+      query.subCategory = subCategory;
+    }
     if (fundHouse && fundHouse !== 'All Fund Houses') {
       query.fundHouse = fundHouse;
     }
@@ -153,11 +162,21 @@ exports.searchMutualFunds = async (req, res) => {
 // @access  Public
 exports.getCategories = async (req, res) => {
   try {
-    const categories = await MutualFund.distinct('category', { isActive: true });
+    const groups = await MutualFund.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$category', subCategories: { $addToSet: '$subCategory' } } }
+    ]);
+
+    // SEBI categories present under each broad category
+    const subCategories = {};
+    groups.forEach(group => {
+      subCategories[group._id] = group.subCategories.sort();
+    });
     
     res.status(200).json({
       success: true,
-      data: categories.sort()
+      data: Object.keys(subCategories).sort(),
+      subCategories
     });
   } catch (error) {
     logger.error('Get categories error:', error);
@@ -213,6 +232,9 @@ exports.getTopPerformers = async (req, res) => {
       case '5Year':
         sortField = 'performance.returns5Year';
         break;
+      case 'SinceInception':
+        sortField = 'performance.returnsSinceInception';
+        break;
     }
 
     const performers = await MutualFund.find({
@@ -221,7 +243,7 @@ exports.getTopPerformers = async (req, res) => {
     })
     .sort({ [sortField]: -1 })
     .limit(limit)
-    .select(`schemeCode schemeName nav fundHouse category ${sortField}`);
+    .select(`schemeCode schemeName nav fundHouse category ${sortField} performance.asOfDate`);
 
     res.status(200).json({
       success: true,
@@ -237,3 +259,335 @@ exports.getTopPerformers = async (req, res) => {
     });
   }
 };
+
+// @desc    Get risk metrics for a mutual fund
+// @route   GET /api/mutual-funds/:schemeCode/risk
+// @access  Public
+exports.getMutualFundRisk = async (req, res) => {
+  try {
+    const period = req.query.period || riskService.defaultPeriod;
+    const benchmark = req.query.benchmark || riskService.defaultBenchmark;
+    const riskFreeRate = req.query.riskFreeRate !== undefined
+      ? parseFloat(req.query.riskFreeRate)
+      : riskService.defaultRiskFreeRate;
+
+    if (!riskService.periods[period]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid period. Use one of: ${Object.keys(riskService.periods).join(', ')}`
+      });
+    }
+
+    if (!riskService.isSupportedBenchmark(benchmark)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported benchmark. Use one of: ${Object.keys(riskService.benchmarks).join(', ')}`
+      });
+    }
+
+    if (isNaN(riskFreeRate) || riskFreeRate < 0 || riskFreeRate > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'Risk-free rate must be a percentage between 0 and 20'
+      });
+    }
+
+    const fund = await MutualFund.findOne({
+      schemeCode: req.params.schemeCode,
+      isActive: true
+    }).select('schemeCode schemeName navHistory riskMetrics');
+
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mutual fund not found'
+      });
+    }
+
+    // Stored metrics cover the default settings; anything else is computed on demand
+    const usesDefaults = period === riskService.defaultPeriod &&
+      benchmark === riskService.defaultBenchmark &&
+      riskFreeRate === riskService.defaultRiskFreeRate;
+
+    let riskMetrics = usesDefaults && fund.riskMetrics && fund.riskMetrics.calculatedAt
+      ? fund.riskMetrics
+      : null;
+
+    if (!riskMetrics) {
+      let benchmarkHistory = null;
+      try {
+        benchmarkHistory = await riskService.getBenchmarkHistory(benchmark);
+      } catch (error) {
+        logger.warn(`Benchmark ${benchmark} unavailable for risk metrics: ${error.message}`);
+      }
+
+      riskMetrics = riskService.calculateRiskMetrics(fund.navHistory, {
+        period,
+        riskFreeRate,
+        benchmark,
+        benchmarkHistory
+      });
+    }
+
+    if (!riskMetrics) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not enough NAV history to calculate risk metrics'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schemeCode: fund.schemeCode,
+        schemeName: fund.schemeName,
+        riskMetrics
+      }
+    });
+  } catch (error) {
+    logger.error('Get mutual fund risk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Simulate a monthly SIP against historical NAVs
+// @route   POST /api/mutual-funds/:schemeCode/sip-simulate
+// @access  Public
+exports.simulateSip = async (req, res) => {
+  try {
+    const { amount, dayOfMonth, startDate, endDate } = req.body;
+
+    const fund = await MutualFund.findOne({
+      schemeCode: req.params.schemeCode,
+      isActive: true
+    }).select('schemeCode schemeName navHistory');
+
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mutual fund not found'
+      });
+    }
+
+    const result = returnsService.simulateSip(fund.navHistory, {
+      amount,
+      dayOfMonth,
+      startDate,
+      endDate: endDate || new Date()
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'No NAV history available for the selected period'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schemeCode: fund.schemeCode,
+        schemeName: fund.schemeName,
+        amount,
+        dayOfMonth,
+        startDate,
+        endDate: result.valuationDate,
+        ...result
+      }
+    });
+  } catch (error) {
+    logger.error('Simulate SIP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the plan and option variants of a fund's scheme
+// @route   GET /api/mutual-funds/:schemeCode/variants
+// @access  Public
+exports.getFundVariants = async (req, res) => {
+  try {
+    const { fund, scheme, variants } = await schemeVariantService.getVariants(req.params.schemeCode);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schemeCode: fund.schemeCode,
+        plan: fund.plan,
+        option: fund.option,
+        idcwFrequency: fund.idcwFrequency,
+        // False for funds added since the last linking run
+        linked: Boolean(fund.scheme),
+        scheme,
+        variants
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Get fund variants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Compare the cost of the regular plan against the direct plan
+// @route   GET /api/mutual-funds/:schemeCode/variants/cost-comparison
+// @access  Public
+exports.compareVariantCosts = async (req, res) => {
+  try {
+    const { amount = 100000, years = 5, expectedReturn = null } = req.query;
+
+    const comparison = await schemeVariantService.compareCosts(req.params.schemeCode, {
+      amount,
+      years,
+      expectedReturn
+    });
+
+    if (!comparison.historical && !comparison.projected) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not enough NAV history or expense ratio data to compare plans'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Compare variant costs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Compare mutual funds side by side
+// @route   GET /api/mutual-funds/compare
+// @access  Public
+exports.compareFunds = async (req, res) => {
+  try {
+    const comparison = await fundComparisonService.compare(req.query.codes, {
+      period: req.query.period || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Compare mutual funds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the rolling return distribution of a mutual fund
+// @route   GET /api/mutual-funds/:schemeCode/rolling-returns
+// @access  Public
+exports.getRollingReturns = async (req, res) => {
+  try {
+    const window = req.query.window || '3Y';
+    const benchmark = req.query.benchmark || riskService.defaultBenchmark;
+    const hurdle = req.query.hurdle !== undefined ? parseFloat(req.query.hurdle) : null;
+
+    if (!performanceService.rollingWindows[window]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid window. Use one of: ${Object.keys(performanceService.rollingWindows).join(', ')}`
+      });
+    }
+
+    if (benchmark !== 'none' && !riskService.isSupportedBenchmark(benchmark)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported benchmark. Use 'none' or one of: ${Object.keys(riskService.benchmarks).join(', ')}`
+      });
+    }
+
+    if (hurdle !== null && (isNaN(hurdle) || hurdle < -50 || hurdle > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hurdle must be an annual percentage between -50 and 100'
+      });
+    }
+
+    const fund = await MutualFund.findOne({
+      schemeCode: req.params.schemeCode,
+      isActive: true
+    }).select('schemeCode schemeName navHistory');
+
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mutual fund not found'
+      });
+    }
+
+    let benchmarkHistory = null;
+    if (benchmark !== 'none') {
+      try {
+        benchmarkHistory = await riskService.getBenchmarkHistory(benchmark);
+      } catch (error) {
+        logger.warn(`Benchmark ${benchmark} unavailable for rolling returns: ${error.message}`);
+      }
+    }
+
+    const rollingReturns = performanceService.calculateRollingReturns(fund.navHistory, {
+      window,
+      benchmarkHistory,
+      hurdle
+    });
+
+    if (!rollingReturns) {
+      return res.status(404).json({
+        success: false,
+        message: `Not enough NAV history for ${window} rolling returns`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schemeCode: fund.schemeCode,
+        schemeName: fund.schemeName,
+        benchmark: benchmarkHistory ? benchmark : null,
+        benchmarkName: benchmarkHistory ? riskService.benchmarks[benchmark] : null,
+        ...rollingReturns
+      }
+    });
+  } catch (error) {
+    logger.error('Get rolling returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
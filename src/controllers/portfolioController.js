@@ -0,0 +1,440 @@
+const Portfolio = require('../models/Portfolio');
+const Stock = require('../models/Stocks');
+const MutualFund = require('../models/MutualFund');
+const portfolioService = require('../services/portfolioService');
+const returnsService = require('../services/returnsService');
+const taxService = require('../services/taxService');
+const logger = require('../utils/logger');
+
+// Normalise ledger fields from the request body
+const buildTransaction = (body) => ({
+  assetType: body.assetType,
+  symbol: body.assetType === 'stock' ? String(body.symbol).trim().toUpperCase() : String(body.symbol).trim(),
+  type: body.type,
+  date: new Date(body.date),
+  quantity: body.quantity,
+  price: body.price,
+  amount: body.amount,
+  fees: body.fees || 0,
+  ratio: body.ratio,
+  switchSymbol: body.switchSymbol,
+  grandfatheredFmv: body.grandfatheredFmv,
+  notes: body.notes
+});
+
+// Check the ticker/scheme exists in our database
+const instrumentExists = async (assetType, symbol) => {
+  if (assetType === 'stock') {
+    return Stock.exists({ ticker: symbol, isActive: true });
+  }
+  return MutualFund.exists({ schemeCode: symbol });
+};
+
+const sendError = (res, error, context) => {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server Error'
+  });
+};
+
+// @desc    Get user's portfolios
+// @route   GET /api/portfolios
+// @access  Private
+exports.getPortfolios = async (req, res) => {
+  try {
+    const portfolios = await Portfolio.find({ user: req.user.id })
+      .select('-transactions')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: portfolios.length,
+      data: portfolios
+    });
+  } catch (error) {
+    sendError(res, error, 'Get portfolios');
+  }
+};
+
+// @desc    Get single portfolio with holdings and P&L
+// @route   GET /api/portfolios/:id
+// @access  Private
+exports.getPortfolio = async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const { holdings, summary } = await portfolioService.getHoldings(portfolio.transactions);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...portfolio.toObject(),
+        holdings,
+        summary
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get portfolio');
+  }
+};
+
+// @desc    Get XIRR and time-weighted return for a portfolio or one holding
+// @route   GET /api/portfolios/:id/returns
+// @access  Private
+exports.getPortfolioReturns = async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const { assetType } = req.query;
+    const symbol = req.query.symbol && assetType === 'stock'
+      ? req.query.symbol.toUpperCase()
+      : req.query.symbol;
+
+    const returns = await returnsService.getPortfolioReturns(portfolio.transactions, { assetType, symbol });
+
+    if (!returns) {
+      return res.status(404).json({
+        success: false,
+        message: symbol ? 'No transactions found for this holding' : 'Portfolio has no transactions'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        portfolio: portfolio.name,
+        ...(symbol && { assetType, symbol }),
+        ...returns
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get portfolio returns');
+  }
+};
+
+// @desc    Get capital gains tax report (STCG/LTCG) for realized lots
+// @route   GET /api/portfolios/:id/tax-report
+// @access  Private
+exports.getTaxReport = async (req, res) => {
+  try {
+    const { fy, format = 'json', view = 'lots' } = req.query;
+
+    if (fy && !/^\d{4}-\d{2}$/.test(fy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Financial year must look like 2024-25'
+      });
+    }
+
+    if (!['json', 'csv'].includes(format) || !['lots', 'summary'].includes(view)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv and view must be lots or summary'
+      });
+    }
+
+    const portfolio = await Portfolio.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const report = await taxService.generateReport(portfolio.transactions, { financialYear: fy });
+
+    if (format === 'csv') {
+      const csv = view === 'summary'
+        ? taxService.toCsv(report.summary, taxService.summaryColumns)
+        : taxService.toCsv(report.lots, taxService.lotColumns);
+      const filename = `capital-gains-${view}${fy ? `-${fy}` : ''}.csv`;
+
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.type('text/csv').status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        portfolio: portfolio.name,
+        financialYear: fy || null,
+        summary: report.summary,
+        lots: report.lots
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Get tax report');
+  }
+};
+
+// @desc    Create new portfolio
+// @route   POST /api/portfolios
+// @access  Private
+exports.createPortfolio = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const existingPortfolio = await Portfolio.findOne({
+      user: req.user.id,
+      name: name.trim()
+    });
+
+    if (existingPortfolio) {
+      return res.status(400).json({
+        success: false,
+        message: 'Portfolio with this name already exists'
+      });
+    }
+
+    const portfolio = await Portfolio.create({
+      user: req.user.id,
+      name: name.trim(),
+      description: description?.trim()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: portfolio
+    });
+  } catch (error) {
+    sendError(res, error, 'Create portfolio');
+  }
+};
+
+// @desc    Update portfolio
+// @route   PUT /api/portfolios/:id
+// @access  Private
+exports.updatePortfolio = async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const { name, description } = req.body;
+
+    if (name && name.trim() !== portfolio.name) {
+      const existingPortfolio = await Portfolio.findOne({
+        user: req.user.id,
+        name: name.trim(),
+        _id: { $ne: req.params.id }
+      });
+
+      if (existingPortfolio) {
+        return res.status(400).json({
+          success: false,
+          message: 'Portfolio with this name already exists'
+        });
+      }
+    }
+
+    portfolio.name = name?.trim() || portfolio.name;
+    portfolio.description = description?.trim() || portfolio.description;
+    await portfolio.save();
+
+    res.status(200).json({
+      success: true,
+      data: portfolio
+    });
+  } catch (error) {
+    sendError(res, error, 'Update portfolio');
+  }
+};
+
+// @desc    Delete portfolio
+// @route   DELETE /api/portfolios/:id
+// @access  Private
+exports.deletePortfolio = async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Portfolio deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete portfolio');
+  }
+};
+
+// @desc    Add transaction to portfolio ledger
+// @route   POST /api/portfolios/:id/transactions
+// @access  Private
+exports.addTransaction = async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const transaction = buildTransaction(req.body);
+
+    if (!(await instrumentExists(transaction.assetType, transaction.symbol))) {
+      return res.status(404).json({
+        success: false,
+        message: transaction.assetType === 'stock' ? 'Stock not found' : 'Mutual fund not found'
+      });
+    }
+
+    // Replaying the ledger rejects sells of more units than are held
+    portfolioService.buildLedger([...portfolio.transactions, transaction]);
+
+    portfolio.transactions.push(transaction);
+    await portfolio.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Transaction added to portfolio',
+      data: portfolio.transactions[portfolio.transactions.length - 1]
+    });
+  } catch (error) {
+    sendError(res, error, 'Add transaction');
+  }
+};
+
+// @desc    Update a transaction in the portfolio ledger
+// @route   PUT /api/portfolios/:id/transactions/:transactionId
+// @access  Private
+exports.updateTransaction = async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const existing = portfolio.transactions.id(req.params.transactionId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const updated = buildTransaction({ ...existing.toObject(), ...req.body });
+
+    if (!(await instrumentExists(updated.assetType, updated.symbol))) {
+      return res.status(404).json({
+        success: false,
+        message: updated.assetType === 'stock' ? 'Stock not found' : 'Mutual fund not found'
+      });
+    }
+
+    portfolioService.buildLedger(portfolio.transactions.map(t => (
+      t._id.equals(existing._id) ? { ...updated, _id: existing._id } : t
+    )));
+
+    existing.set(updated);
+    await portfolio.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Transaction updated',
+      data: existing
+    });
+  } catch (error) {
+    sendError(res, error, 'Update transaction');
+  }
+};
+
+// @desc    Remove a transaction from the portfolio ledger
+// @route   DELETE /api/portfolios/:id/transactions/:transactionId
+// @access  Private
+exports.deleteTransaction = async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    const existing = portfolio.transactions.id(req.params.transactionId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    // Removing a buy must not leave a later sell uncovered
+    portfolioService.buildLedger(portfolio.transactions.filter(t => !t._id.equals(existing._id)));
+
+    existing.deleteOne();
+    await portfolio.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Transaction removed from portfolio'
+    });
+  } catch (error) {
+    sendError(res, error, 'Delete transaction');
+  }
+};
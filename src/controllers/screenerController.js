@@ -0,0 +1,291 @@
+const Screen = require('../models/Screen');
+const screenerService = require('../services/screenerService');
+const logger = require('../utils/logger');
+
+// @desc    Run a stock screen (ad-hoc filter or built-in preset)
+// @route   POST /api/stocks/screen
+// @access  Public
+exports.runScreen = async (req, res) => {
+  try {
+    const { preset, filter, sort, fields } = req.body;
+    const page = parseInt(req.body.page, 10) || 1;
+    const limit = parseInt(req.body.limit, 10) || 20;
+
+    // Explicit sort/fields override the preset's own
+    const definition = preset
+      ? { ...screenerService.getPreset(preset), ...(sort && { sort }), ...(fields && { fields }) }
+      : { filter, sort, fields };
+
+    const result = await screenerService.run(definition, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      data: result.data
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Run screen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get built-in screen presets
+// @route   GET /api/stocks/screen/presets
+// @access  Public
+exports.getPresets = async (req, res) => {
+  try {
+    const presets = screenerService.getPresets();
+
+    res.status(200).json({
+      success: true,
+      count: presets.length,
+      data: presets
+    });
+  } catch (error) {
+    logger.error('Get screen presets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get user's saved screens
+// @route   GET /api/screens
+// @access  Private
+exports.getScreens = async (req, res) => {
+  try {
+    const screens = await Screen.find({ user: req.user.id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: screens.length,
+      data: screens
+    });
+  } catch (error) {
+    logger.error('Get screens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Save a screen
+// @route   POST /api/screens
+// @access  Private
+exports.createScreen = async (req, res) => {
+  try {
+    const { name, description, filter, sort, fields } = req.body;
+
+    const definition = screenerService.buildDefinition({ filter, sort, fields });
+    if (!definition.filter) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved screen needs a filter'
+      });
+    }
+
+    const existingScreen = await Screen.findOne({
+      user: req.user.id,
+      name: name.trim()
+    });
+
+    if (existingScreen) {
+      return res.status(400).json({
+        success: false,
+        message: 'Screen with this name already exists'
+      });
+    }
+
+    const screen = await Screen.create({
+      user: req.user.id,
+      name: name.trim(),
+      description: description?.trim(),
+      filter: definition.filter,
+      sort: definition.sort || undefined,
+      fields: definition.fields
+    });
+
+    res.status(201).json({
+      success: true,
+      data: screen
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Create screen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Update a saved screen
+// @route   PUT /api/screens/:id
+// @access  Private
+exports.updateScreen = async (req, res) => {
+  try {
+    const screen = await Screen.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!screen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screen not found'
+      });
+    }
+
+    const { name, description, filter, sort, fields } = req.body;
+
+    if (name && name.trim() !== screen.name) {
+      const existingScreen = await Screen.findOne({
+        user: req.user.id,
+        name: name.trim(),
+        _id: { $ne: req.params.id }
+      });
+
+      if (existingScreen) {
+        return res.status(400).json({
+          success: false,
+          message: 'Screen with this name already exists'
+        });
+      }
+    }
+
+    const definition = screenerService.buildDefinition({
+      filter: filter || screen.filter,
+      sort: sort || (screen.sort && screen.sort.field ? screen.sort : undefined),
+      fields: fields || screen.fields
+    });
+
+    screen.name = name?.trim() || screen.name;
+    screen.description = description?.trim() || screen.description;
+    screen.filter = definition.filter;
+    screen.sort = definition.sort || undefined;
+    screen.fields = definition.fields;
+    screen.markModified('filter');
+    await screen.save();
+
+    res.status(200).json({
+      success: true,
+      data: screen
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Update screen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Delete a saved screen
+// @route   DELETE /api/screens/:id
+// @access  Private
+exports.deleteScreen = async (req, res) => {
+  try {
+    const screen = await Screen.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!screen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screen not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Screen deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete screen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Run a saved screen
+// @route   POST /api/screens/:id/run
+// @access  Private
+exports.runSavedScreen = async (req, res) => {
+  try {
+    const screen = await Screen.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!screen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screen not found'
+      });
+    }
+
+    const page = parseInt(req.body.page || req.query.page, 10) || 1;
+    const limit = parseInt(req.body.limit || req.query.limit, 10) || 20;
+
+    const result = await screenerService.run({
+      filter: screen.filter,
+      sort: screen.sort && screen.sort.field ? screen.sort : undefined,
+      fields: screen.fields.length > 0 ? screen.fields : undefined
+    }, { page, limit });
+
+    screen.lastRunAt = new Date();
+    await screen.save();
+
+    res.status(200).json({
+      success: true,
+      screen: { id: screen._id, name: screen.name },
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination,
+      data: result.data
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Run saved screen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
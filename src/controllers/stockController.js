@@ -1,7 +1,25 @@
 const Stock = require('../models/Stocks');
+const indicatorService = require('../services/indicatorService');
+const candleService = require('../services/candleService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
+// Start date for a history period (1W, 1M, 3M, 6M, 1Y, 3Y, 5Y), defaulting to 1M
+const getPeriodCutoff = (period) => {
+  const now = new Date();
+  const days = {
+    '1W': 7,
+    '1M': 30,
+    '3M': 90,
+    '6M': 180,
+    '1Y': 365,
+    '3Y': 3 * 365,
+    '5Y': 5 * 365
+  }[period] || 30;
+
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+};
+
 // @desc    Get all penny stocks
 // @route   GET /api/stocks/penny
 // @access  Public
@@ -106,9 +124,12 @@ exports.getStock = async (req, res) => {
       });
     }
 
+    // Recent daily bars for the price chart
+    const priceHistory = await candleService.getCandles(stock.ticker, { limit: candleService.chartSessions });
+
     res.status(200).json({
       success: true,
-      data: stock
+      data: { ...stock.toJSON(), priceHistory }
     });
   } catch (error) {
     logger.error('Get stock error:', error);
@@ -195,7 +216,7 @@ exports.getStockHistory = async (req, res) => {
     const stock = await Stock.findOne({ 
       ticker: ticker.toUpperCase(),
       isActive: true 
-    }).select('priceHistory ticker name');
+    }).select('ticker name');
 
     if (!stock) {
       return res.status(404).json({
@@ -204,34 +225,7 @@ exports.getStockHistory = async (req, res) => {
       });
     }
 
-    // Filter history based on period
-    let filteredHistory = stock.priceHistory;
-    const now = new Date();
-    let cutoffDate;
-
-    switch (period) {
-      case '1W':
-        cutoffDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '1M':
-        cutoffDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '3M':
-        cutoffDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      case '6M':
-        cutoffDate = new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000);
-        break;
-      case '1Y':
-        cutoffDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        cutoffDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    }
-
-    filteredHistory = stock.priceHistory.filter(item => 
-      item.date >= cutoffDate
-    ).sort((a, b) => new Date(a.date) - new Date(b.date));
+    const filteredHistory = await candleService.getCandles(stock.ticker, { from: getPeriodCutoff(period) });
 
     res.status(200).json({
       success: true,
@@ -251,6 +245,73 @@ exports.getStockHistory = async (req, res) => {
   }
 };
 
+// @desc    Get technical indicators over stock price history
+// @route   GET /api/stocks/:ticker/indicators
+// @access  Public
+exports.getStockIndicators = async (req, res) => {
+  try {
+    const { ticker } = req.params;
+    const { period = '1M', set = 'sma20,rsi14,macd' } = req.query;
+
+    let specs;
+    try {
+      specs = indicatorService.parseSet(set);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const stock = await Stock.findOne({
+      ticker: ticker.toUpperCase(),
+      isActive: true
+    }).select('ticker name');
+
+    if (!stock) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock not found'
+      });
+    }
+
+    // Indicators also run over the year before the window so it starts warmed up
+    const cutoffDate = getPeriodCutoff(period);
+    const candles = await candleService.getCandles(stock.ticker, {
+      from: new Date(cutoffDate.getTime() - 365 * 24 * 60 * 60 * 1000)
+    });
+    let startIndex = candles.findIndex(item => item.date >= cutoffDate);
+    if (startIndex === -1) startIndex = candles.length;
+
+    const indicators = indicatorService.calculate(candles, specs, { vwapAnchor: startIndex });
+
+    // Trim every series (including nested ones like macd/bbands) to the window
+    const trim = (series) => (Array.isArray(series)
+      ? series.slice(startIndex)
+      : Object.fromEntries(Object.entries(series).map(([key, values]) => [key, values.slice(startIndex)])));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ticker: stock.ticker,
+        name: stock.name,
+        period,
+        dates: candles.slice(startIndex).map(item => item.date),
+        close: candles.slice(startIndex).map(item => item.close),
+        indicators: Object.fromEntries(
+          Object.entries(indicators).map(([key, series]) => [key, trim(series)])
+        )
+      }
+    });
+  } catch (error) {
+    logger.error('Get stock indicators error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
 // @desc    Get top gainers
 // @route   GET /api/stocks/gainers
 // @access  Public
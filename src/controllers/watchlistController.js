@@ -3,6 +3,22 @@ const Stock = require('../models/Stocks');
 const MutualFund = require('../models/MutualFund');
 const logger = require('../utils/logger');
 
+// Copy item settings from the request body; null clears a setting, undefined leaves it unchanged
+const applyItemSettings = (item, body, fields) => {
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      item[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+};
+
+// Bulk list entries may be plain identifiers or objects with settings
+const toBulkItems = (entries = [], idField) => entries.map(entry => (
+  typeof entry === 'object' && entry !== null
+    ? { ...entry, [idField]: String(entry[idField] || '').trim() }
+    : { [idField]: String(entry).trim() }
+));
+
 // @desc    Get user's watchlists
 // @route   GET /api/watchlists
 // @access  Private
@@ -235,7 +251,7 @@ exports.deleteWatchlist = async (req, res) => {
 // @access  Private
 exports.addStockToWatchlist = async (req, res) => {
   try {
-    const { ticker, alertPrice, notes } = req.body;
+    const { ticker, alertPrice, alertCondition, alertPercent, notes } = req.body;
 
     // Verify stock exists
     const stock = await Stock.findOne({ 
@@ -275,6 +291,8 @@ exports.addStockToWatchlist = async (req, res) => {
     watchlist.stocks.push({
       ticker: ticker.toUpperCase(),
       alertPrice,
+      alertCondition,
+      alertPercent,
       notes
     });
 
@@ -294,6 +312,51 @@ exports.addStockToWatchlist = async (req, res) => {
   }
 };
 
+// @desc    Update alert settings or notes for a stock in watchlist
+// @route   PUT /api/watchlists/:id/stocks/:ticker
+// @access  Private
+exports.updateStockInWatchlist = async (req, res) => {
+  try {
+    const watchlist = await Watchlist.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watchlist not found'
+      });
+    }
+
+    const ticker = req.params.ticker.toUpperCase();
+    const stock = watchlist.stocks.find(s => s.ticker === ticker);
+
+    if (!stock) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock not found in watchlist'
+      });
+    }
+
+    applyItemSettings(stock, req.body, ['alertPrice', 'alertCondition', 'alertPercent', 'notes']);
+
+    await watchlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Watchlist stock updated',
+      data: watchlist
+    });
+  } catch (error) {
+    logger.error('Update watchlist stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
 // @desc    Remove stock from watchlist
 // @route   DELETE /api/watchlists/:id/stocks/:ticker
 // @access  Private
@@ -337,3 +400,275 @@ exports.removeStockFromWatchlist = async (req, res) => {
     });
   }
 };
+
+// @desc    Add mutual fund to watchlist
+// @route   POST /api/watchlists/:id/mutual-funds
+// @access  Private
+exports.addMutualFundToWatchlist = async (req, res) => {
+  try {
+    const { schemeCode, targetNav, alertCondition, alertPercent, notes } = req.body;
+
+    // Verify fund exists
+    const fund = await MutualFund.findOne({
+      schemeCode,
+      isActive: true
+    });
+
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mutual fund not found'
+      });
+    }
+
+    const watchlist = await Watchlist.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watchlist not found'
+      });
+    }
+
+    // Check if fund is already in watchlist
+    const existingFund = watchlist.mutualFunds.find(f => f.schemeCode === schemeCode);
+    if (existingFund) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mutual fund already in watchlist'
+      });
+    }
+
+    watchlist.mutualFunds.push({
+      schemeCode,
+      targetNav,
+      alertCondition,
+      alertPercent,
+      notes
+    });
+
+    await watchlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Mutual fund added to watchlist',
+      data: watchlist
+    });
+  } catch (error) {
+    logger.error('Add mutual fund to watchlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Update target NAV, alert settings or notes for a fund in watchlist
+// @route   PUT /api/watchlists/:id/mutual-funds/:schemeCode
+// @access  Private
+exports.updateMutualFundInWatchlist = async (req, res) => {
+  try {
+    const watchlist = await Watchlist.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watchlist not found'
+      });
+    }
+
+    const fund = watchlist.mutualFunds.find(f => f.schemeCode === req.params.schemeCode);
+
+    if (!fund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mutual fund not found in watchlist'
+      });
+    }
+
+    applyItemSettings(fund, req.body, ['targetNav', 'alertCondition', 'alertPercent', 'notes']);
+
+    await watchlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Watchlist mutual fund updated',
+      data: watchlist
+    });
+  } catch (error) {
+    logger.error('Update watchlist mutual fund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Remove mutual fund from watchlist
+// @route   DELETE /api/watchlists/:id/mutual-funds/:schemeCode
+// @access  Private
+exports.removeMutualFundFromWatchlist = async (req, res) => {
+  try {
+    const watchlist = await Watchlist.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watchlist not found'
+      });
+    }
+
+    const fundIndex = watchlist.mutualFunds.findIndex(f => f.schemeCode === req.params.schemeCode);
+
+    if (fundIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mutual fund not found in watchlist'
+      });
+    }
+
+    watchlist.mutualFunds.splice(fundIndex, 1);
+    await watchlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Mutual fund removed from watchlist',
+      data: watchlist
+    });
+  } catch (error) {
+    logger.error('Remove mutual fund from watchlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Add and remove several stocks and mutual funds in one request
+// @route   POST /api/watchlists/:id/bulk
+// @access  Private
+exports.bulkUpdateWatchlist = async (req, res) => {
+  try {
+    const watchlist = await Watchlist.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!watchlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watchlist not found'
+      });
+    }
+
+    const { add = {}, remove = {} } = req.body;
+    const stocksToAdd = toBulkItems(add.stocks, 'ticker')
+      .map(item => ({ ...item, ticker: item.ticker.toUpperCase() }));
+    const fundsToAdd = toBulkItems(add.mutualFunds, 'schemeCode');
+    const stocksToRemove = toBulkItems(remove.stocks, 'ticker').map(item => item.ticker.toUpperCase());
+    const fundsToRemove = toBulkItems(remove.mutualFunds, 'schemeCode').map(item => item.schemeCode);
+
+    // Only instruments that exist in our database can be added
+    const [knownStocks, knownFunds] = await Promise.all([
+      stocksToAdd.length > 0
+        ? Stock.find({ ticker: { $in: stocksToAdd.map(s => s.ticker) }, isActive: true }).select('ticker')
+        : [],
+      fundsToAdd.length > 0
+        ? MutualFund.find({ schemeCode: { $in: fundsToAdd.map(f => f.schemeCode) }, isActive: true }).select('schemeCode')
+        : []
+    ]);
+    const knownTickers = new Set(knownStocks.map(s => s.ticker));
+    const knownSchemeCodes = new Set(knownFunds.map(f => f.schemeCode));
+
+    const result = {
+      added: { stocks: [], mutualFunds: [] },
+      removed: { stocks: [], mutualFunds: [] },
+      skipped: []
+    };
+
+    // Removals are applied before additions
+    stocksToRemove.forEach(ticker => {
+      const index = watchlist.stocks.findIndex(s => s.ticker === ticker);
+      if (index === -1) {
+        result.skipped.push({ assetType: 'stock', symbol: ticker, reason: 'Not in watchlist' });
+        return;
+      }
+      watchlist.stocks.splice(index, 1);
+      result.removed.stocks.push(ticker);
+    });
+
+    fundsToRemove.forEach(schemeCode => {
+      const index = watchlist.mutualFunds.findIndex(f => f.schemeCode === schemeCode);
+      if (index === -1) {
+        result.skipped.push({ assetType: 'mutualFund', symbol: schemeCode, reason: 'Not in watchlist' });
+        return;
+      }
+      watchlist.mutualFunds.splice(index, 1);
+      result.removed.mutualFunds.push(schemeCode);
+    });
+
+    stocksToAdd.forEach(item => {
+      if (!knownTickers.has(item.ticker)) {
+        result.skipped.push({ assetType: 'stock', symbol: item.ticker, reason: 'Stock not found' });
+        return;
+      }
+      if (watchlist.stocks.some(s => s.ticker === item.ticker)) {
+        result.skipped.push({ assetType: 'stock', symbol: item.ticker, reason: 'Already in watchlist' });
+        return;
+      }
+      watchlist.stocks.push({
+        ticker: item.ticker,
+        alertPrice: item.alertPrice,
+        alertCondition: item.alertCondition,
+        alertPercent: item.alertPercent,
+        notes: item.notes
+      });
+      result.added.stocks.push(item.ticker);
+    });
+
+    fundsToAdd.forEach(item => {
+      if (!knownSchemeCodes.has(item.schemeCode)) {
+        result.skipped.push({ assetType: 'mutualFund', symbol: item.schemeCode, reason: 'Mutual fund not found' });
+        return;
+      }
+      if (watchlist.mutualFunds.some(f => f.schemeCode === item.schemeCode)) {
+        result.skipped.push({ assetType: 'mutualFund', symbol: item.schemeCode, reason: 'Already in watchlist' });
+        return;
+      }
+      watchlist.mutualFunds.push({
+        schemeCode: item.schemeCode,
+        targetNav: item.targetNav,
+        alertCondition: item.alertCondition,
+        alertPercent: item.alertPercent,
+        notes: item.notes
+      });
+      result.added.mutualFunds.push(item.schemeCode);
+    });
+
+    await watchlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Added ${result.added.stocks.length + result.added.mutualFunds.length}, ` +
+        `removed ${result.removed.stocks.length + result.removed.mutualFunds.length}, ` +
+        `skipped ${result.skipped.length}`,
+      ...result,
+      data: watchlist
+    });
+  } catch (error) {
+    logger.error('Bulk update watchlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
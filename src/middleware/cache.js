@@ -0,0 +1,50 @@
+const cache = require('../services/cache');
+
+// Cache successful GET responses for `ttl` seconds under the given tags.
+// Responses carry ETag and Last-Modified; Express answers conditional
+// requests (If-None-Match / If-Modified-Since) with 304 when they still match.
+exports.cacheResponse = ({ ttl = 60, tags = [] } = {}) => async (req, res, next) => {
+  if (req.method !== 'GET') {
+    return next();
+  }
+
+  const key = `GET:${req.originalUrl}`;
+
+  const setHeaders = (entry, status) => {
+    res.set({
+      ETag: entry.etag,
+      'Last-Modified': entry.lastModified,
+      'Cache-Control': 'no-cache',
+      'X-Cache': status
+    });
+  };
+
+  const entry = await cache.get(key, tags);
+  if (entry) {
+    setHeaders(entry, 'HIT');
+    return res.status(200).json(entry.body);
+  }
+
+  // Capture the controller's JSON body and store it before it goes out
+  const json = res.json.bind(res);
+  res.json = body => {
+    res.json = json;
+
+    if (res.statusCode !== 200 || !body || body.success === false) {
+      return json(body);
+    }
+
+    cache.set(key, body, { ttl, tags })
+      .then(stored => {
+        if (stored) {
+          setHeaders(stored, 'MISS');
+        }
+        json(body);
+      })
+      .catch(next);
+
+    return res;
+  };
+
+  next();
+};
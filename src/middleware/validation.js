@@ -1,4 +1,4 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 // Handle validation errors
 exports.handleValidationErrors = (req, res, next) => {
@@ -71,6 +71,367 @@ exports.validateWatchlist = [
   exports.handleValidationErrors
 ];
 
+// Saved screen validation
+exports.validateScreen = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Screen name must be between 1 and 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('filter')
+    .isObject()
+    .withMessage('Filter must be an object'),
+
+  exports.handleValidationErrors
+];
+
+// Saved screen id validation
+const screenIdRule = param('id')
+  .isMongoId()
+  .withMessage('Invalid screen id');
+
+exports.validateScreenId = [
+  screenIdRule,
+  exports.handleValidationErrors
+];
+
+// Saved screen update validation (every field optional)
+exports.validateScreenUpdate = [
+  screenIdRule,
+
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Screen name must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Screen name must be between 1 and 50 characters'),
+
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('Description must be a string')
+    .bail()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object'),
+
+  body('sort')
+    .optional()
+    .isObject()
+    .withMessage('Sort must be an object'),
+
+  body('fields')
+    .optional()
+    .isArray()
+    .withMessage('Fields must be an array'),
+
+  exports.handleValidationErrors
+];
+
+// Portfolio validation
+exports.validatePortfolio = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Portfolio name must be between 1 and 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  exports.handleValidationErrors
+];
+
+// Ledger entry fields. On an update (`partial`) every field is optional and
+// the entry keeps its stored value for the ones left out.
+const optionalUnless = (chain, partial) => (partial ? chain.optional() : chain);
+
+const transactionRules = ({ partial = false } = {}) => [
+  optionalUnless(body('assetType'), partial)
+    .isIn(['stock', 'mutualFund'])
+    .withMessage('Asset type must be stock or mutualFund'),
+
+  optionalUnless(body('symbol'), partial)
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Symbol must be between 1 and 20 characters'),
+
+  optionalUnless(body('type'), partial)
+    .isIn(['buy', 'sell', 'sip', 'dividend', 'bonus', 'split', 'switch_in', 'switch_out'])
+    .withMessage('Invalid transaction type'),
+
+  optionalUnless(body('date'), partial)
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+
+  body(['quantity', 'price', 'amount', 'fees'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Quantity, price, amount and fees must be positive numbers')
+    .toFloat(),
+
+  body(['ratio.from', 'ratio.to'])
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Ratio values must be greater than 0')
+    .toFloat(),
+
+  body('grandfatheredFmv')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Grandfathered FMV must be greater than 0')
+    .toFloat(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Portfolio transaction validation
+exports.validateTransaction = [
+  ...transactionRules(),
+  exports.handleValidationErrors
+];
+
+// Transaction update validation
+exports.validateTransactionUpdate = [
+  ...transactionRules({ partial: true }),
+  exports.handleValidationErrors
+];
+
+// SIP simulation validation
+exports.validateSipSimulation = [
+  body('amount')
+    .isFloat({ min: 100, max: 10000000 })
+    .withMessage('SIP amount must be between 100 and 1,00,00,000')
+    .toFloat(),
+
+  body('dayOfMonth')
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31')
+    .toInt(),
+
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+    .custom((endDate, { req }) => new Date(endDate) > new Date(req.body.startDate))
+    .withMessage('End date must be after start date'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateVariantCostComparison = [
+  query('amount')
+    .optional()
+    .isFloat({ min: 100, max: 100000000 })
+    .withMessage('Amount must be between 100 and 10,00,00,000')
+    .toFloat(),
+
+  query('years')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Years must be between 1 and 30')
+    .toInt(),
+
+  query('expectedReturn')
+    .optional()
+    .isFloat({ min: -50, max: 100 })
+    .withMessage('Expected return must be a percentage between -50 and 100')
+    .toFloat(),
+
+  exports.handleValidationErrors
+];
+
+exports.validateFundComparison = [
+  query('codes')
+    .exists({ checkFalsy: true })
+    .withMessage('codes is required, e.g. ?codes=120465,118989')
+    .bail()
+    .customSanitizer(codes => Array.from(new Set(String(codes).split(',').map(code => code.trim()).filter(Boolean))))
+    .custom(codes => codes.length >= 2 && codes.length <= 5)
+    .withMessage('Compare between 2 and 5 distinct scheme codes')
+    .custom(codes => codes.every(code => /^\d+$/.test(code)))
+    .withMessage('Scheme codes must be numeric'),
+
+  query('period')
+    .optional()
+    .isIn(['1Y', '3Y', '5Y'])
+    .withMessage('Period must be one of: 1Y, 3Y, 5Y'),
+
+  exports.handleValidationErrors
+];
+
+// Alert settings on a watchlist item (alertPrice for stocks, targetNav for funds)
+const alertSettingRules = (levelField) => [
+  body(levelField)
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage(`${levelField} must be greater than 0`)
+    .toFloat(),
+
+  body('alertCondition')
+    .optional()
+    .isIn(['above', 'below', 'crosses', 'percent_move'])
+    .withMessage('Alert condition must be above, below, crosses or percent_move'),
+
+  body('alertPercent')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Alert percent must be between 0 and 100')
+    .toFloat(),
+
+  body('alertPercent')
+    .if(body('alertCondition').equals('percent_move'))
+    .exists({ checkNull: true })
+    .withMessage('percent_move alerts need an alertPercent'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Watchlist stock alert settings validation
+exports.validateStockAlert = [
+  ...alertSettingRules('alertPrice'),
+  exports.handleValidationErrors
+];
+
+// Watchlist mutual fund alert settings validation
+exports.validateFundAlert = [
+  ...alertSettingRules('targetNav'),
+  exports.handleValidationErrors
+];
+
+// Mutual fund scheme code validation
+exports.validateSchemeCode = [
+  body('schemeCode')
+    .trim()
+    .matches(/^\d{1,10}$/)
+    .withMessage('Scheme code must be numeric'),
+
+  exports.handleValidationErrors
+];
+
+// Bulk watchlist add/remove validation
+exports.validateWatchlistBulk = [
+  body(['add.stocks', 'add.mutualFunds', 'remove.stocks', 'remove.mutualFunds'])
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Each bulk list must be an array of at most 50 items'),
+
+  // Items to add carry the same alert settings as single adds (alertSettingRules)
+  body(['add.stocks.*.alertPrice', 'add.mutualFunds.*.targetNav'])
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Alert levels must be greater than 0')
+    .toFloat(),
+
+  body('add.*.*.alertCondition')
+    .optional()
+    .isIn(['above', 'below', 'crosses', 'percent_move'])
+    .withMessage('Alert condition must be above, below, crosses or percent_move'),
+
+  body('add.*.*.alertPercent')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Alert percent must be between 0 and 100')
+    .toFloat(),
+
+  body('add.*.*')
+    .custom(item => !(
+      item && typeof item === 'object' && item.alertCondition === 'percent_move' &&
+      (item.alertPercent === undefined || item.alertPercent === null)
+    ))
+    .withMessage('percent_move alerts need an alertPercent'),
+
+  body('add.*.*.notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body()
+    .custom(value => ['add', 'remove'].some(action => (
+      value[action] && (value[action].stocks?.length > 0 || value[action].mutualFunds?.length > 0)
+    )))
+    .withMessage('Provide at least one stock or mutual fund to add or remove'),
+
+  exports.handleValidationErrors
+];
+
+// Backfill job validation
+exports.validateBackfill = [
+  body('assetType')
+    .isIn(['stock', 'mutualFund'])
+    .withMessage('Asset type must be stock or mutualFund'),
+
+  body('symbols')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Symbols must be an array of at most 500 tickers or scheme codes'),
+
+  body('years')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Years must be between 1 and 30')
+    .toInt(),
+
+  body('chunkYears')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Chunk years must be between 1 and 10')
+    .toInt(),
+
+  exports.handleValidationErrors
+];
+
+// Manual sync trigger validation
+exports.validateSyncTrigger = [
+  param('type')
+    .isIn(['stocks', 'mutual-funds', 'indices', 'index-history', 'penny-discovery', 'nav-all'])
+    .withMessage('Sync type must be stocks, mutual-funds, indices, index-history, penny-discovery or nav-all'),
+
+  body('symbols')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Symbols must be an array of 1 to 500 tickers, scheme codes or index codes'),
+
+  // NAVAll only; local files can be ingested with the CLI, not over the API
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('URL must be an http(s) URL'),
+
+  body('deactivateMissing')
+    .optional()
+    .isBoolean()
+    .withMessage('deactivateMissing must be a boolean')
+    .toBoolean(),
+
+  exports.handleValidationErrors
+];
+
 // Stock ticker validation
 exports.validateTicker = [
   body('ticker')
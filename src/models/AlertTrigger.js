@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['push', 'email'],
+    required: true
+  },
+  status: {
+    type: String,
+    // Pushes are queued here and sent by whichever instances hold the
+    // user's WebSocket connections
+    enum: ['queued', 'sent', 'skipped', 'failed'],
+    required: true
+  },
+  // Why a delivery was skipped or failed
+  detail: String
+}, { _id: false });
+
+const alertTriggerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  watchlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watchlist',
+    required: true
+  },
+  assetType: {
+    type: String,
+    enum: ['stock', 'mutualFund'],
+    required: true
+  },
+  // Stock ticker or mutual fund scheme code
+  symbol: {
+    type: String,
+    required: true
+  },
+  condition: {
+    type: String,
+    enum: ['above', 'below', 'crosses', 'percent_move'],
+    required: true
+  },
+  // alertPrice/targetNav, or alertPercent for percent_move
+  threshold: {
+    type: Number,
+    required: true
+  },
+  previousValue: Number,
+  value: {
+    type: Number,
+    required: true
+  },
+  changePercent: Number,
+  message: String,
+  // One alert per watchlist item, condition and threshold (and IST day for
+  // percent_move); used for cooldowns and daily de-duplication
+  dedupeKey: {
+    type: String,
+    required: true
+  },
+  deliveries: [deliverySchema],
+  // Instances that pushed the alert to their connected clients
+  pushedBy: [String],
+  readAt: Date,
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+alertTriggerSchema.index({ dedupeKey: 1, triggeredAt: -1 });
+alertTriggerSchema.index({ user: 1, triggeredAt: -1 });
+alertTriggerSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AlertTrigger', alertTriggerSchema);
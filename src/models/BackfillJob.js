@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Progress of one instrument inside a backfill job. Stocks are fetched in
+// windows walking back from the job's start; `cursor` is the start of the
+// oldest window done, so an interrupted job resumes from there.
+const backfillItemSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  cursor: {
+    type: Date,
+    default: null
+  },
+  chunksDone: {
+    type: Number,
+    default: 0
+  },
+  rowsAdded: {
+    type: Number,
+    default: 0
+  },
+  rowsRevised: {
+    type: Number,
+    default: 0
+  },
+  // Earliest date now stored for the instrument
+  earliestDate: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+const backfillJobSchema = new mongoose.Schema({
+  assetType: {
+    type: String,
+    enum: ['stock', 'mutualFund'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // How far back to go, and the window size for chunked fetches
+  years: {
+    type: Number,
+    default: 20
+  },
+  chunkYears: {
+    type: Number,
+    default: 2
+  },
+  // Fixed when the job is created so resumed runs walk the same windows
+  until: {
+    type: Date,
+    default: Date.now
+  },
+  items: [backfillItemSchema],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 'api', 'cli' or 'nav-all' (new schemes from a NAVAll ingestion)
+  source: {
+    type: String,
+    default: 'api'
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  lastProgressAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+backfillJobSchema.virtual('progress').get(function() {
+  const items = this.items || [];
+  const done = items.filter(item => item.status === 'completed' || item.status === 'failed').length;
+
+  return {
+    total: items.length,
+    completed: items.filter(item => item.status === 'completed').length,
+    failed: items.filter(item => item.status === 'failed').length,
+    percent: items.length > 0 ? Math.round(done / items.length * 100) : 100
+  };
+});
+
+backfillJobSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BackfillJob', backfillJobSchema);
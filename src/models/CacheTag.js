@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Current version of a response cache tag ('stocks', 'mutual-funds', ...).
+// Instances using the in-process cache read these so that an invalidation on
+// one of them (or in a CLI script) reaches the others.
+const cacheTagSchema = new mongoose.Schema({
+  // Tag name
+  _id: String,
+  // Timestamp of the latest invalidation
+  version: {
+    type: Number,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('CacheTag', cacheTagSchema);
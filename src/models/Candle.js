@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// OHLCV bars for stocks, one document per ticker, interval and bar date.
+// A regular collection with a unique (ticker, interval, date) index rather than
+// a native MongoDB time-series collection: time-series collections cannot
+// enforce uniqueness, and syncs need to upsert bars by date.
+const candleSchema = new mongoose.Schema({
+  ticker: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  interval: {
+    type: String,
+    enum: ['1d', '1wk', '1mo'],
+    default: '1d'
+  },
+  // Daily and longer bars are stored at 00:00 UTC of the trading date
+  date: {
+    type: Date,
+    required: true
+  },
+  open: Number,
+  high: Number,
+  low: Number,
+  close: {
+    type: Number,
+    required: true
+  },
+  volume: {
+    type: Number,
+    default: 0
+  },
+  // Provider the bar came from (yahoo, migration, ...)
+  source: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+candleSchema.index({ ticker: 1, interval: 1, date: 1 }, { unique: true });
+candleSchema.index({ date: 1 });
+
+module.exports = mongoose.model('Candle', candleSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const indexSchema = new mongoose.Schema({
+  // URL-friendly identifier, e.g. NIFTY50
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  // Yahoo Finance chart symbol, e.g. ^NSEI
+  symbol: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  exchange: {
+    type: String,
+    enum: ['NSE', 'BSE'],
+    default: 'NSE'
+  },
+  category: {
+    type: String,
+    enum: ['broad', 'midcap', 'smallcap', 'sectoral', 'thematic', 'volatility'],
+    default: 'broad'
+  },
+  value: {
+    type: Number,
+    default: null
+  },
+  previousClose: {
+    type: Number,
+    default: null
+  },
+  change: {
+    type: Number,
+    default: null
+  },
+  changePercent: {
+    type: Number,
+    default: null
+  },
+  dayHigh: {
+    type: Number,
+    default: null
+  },
+  dayLow: {
+    type: Number,
+    default: null
+  },
+  high52Week: {
+    type: Number,
+    default: null
+  },
+  low52Week: {
+    type: Number,
+    default: null
+  },
+  // Latest session in 5-minute bars
+  intraday: [{
+    time: Date,
+    value: Number
+  }],
+  // Daily OHLC, oldest first (~5 years)
+  history: [{
+    date: Date,
+    open: Number,
+    high: Number,
+    low: Number,
+    close: Number
+  }],
+  // Exchange time of the last quote
+  quoteTime: {
+    type: Date,
+    default: null
+  },
+  // When dataSync last refreshed the quote
+  lastUpdated: {
+    type: Date,
+    default: null
+  },
+  historyUpdated: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+indexSchema.index({ symbol: 1 });
+indexSchema.index({ category: 1, isActive: 1 });
+
+module.exports = mongoose.model('Index', indexSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A named lock held by one API instance until `expiresAt`. The holder keeps
+// extending it while it works; when it dies the lease simply runs out and
+// another instance can take it.
+const leaseSchema = new mongoose.Schema({
+  // Lock name, e.g. 'sync:stocks'
+  _id: String,
+  // hostname:pid:nonce of the holder
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acquiredAt: Date,
+  heartbeatAt: Date
+}, {
+  versionKey: false
+});
+
+// Clean up leases abandoned long ago; expiry itself is checked on acquire
+leaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Lease', leaseSchema);
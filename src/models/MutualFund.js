@@ -17,16 +17,70 @@ const mutualFundSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Broad group from schemeClassifier; 'Index' covers index funds and ETFs
   category: {
     type: String,
     required: true,
-    enum: ['Equity', 'Debt', 'Hybrid', 'Index', 'Other']
+    enum: ['Equity', 'Debt', 'Hybrid', 'Solution Oriented', 'Index', 'Fund of Funds', 'Other']
   },
+  // SEBI category, e.g. 'Large Cap Fund', 'Liquid Fund', 'ELSS'
   subCategory: {
     type: String,
     required: true,
     trim: true
   },
+  // What the classification was derived from: AMFI's category header, the
+  // scheme name, or neither
+  categorySource: {
+    type: String,
+    enum: ['amfi', 'name', 'default'],
+    default: 'name'
+  },
+  // Parent scheme and which plan/option of it this scheme code is
+  scheme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scheme',
+    default: null
+  },
+  plan: {
+    type: String,
+    enum: ['Direct', 'Regular', null],
+    default: null
+  },
+  option: {
+    type: String,
+    enum: ['Growth', 'IDCW Payout', 'IDCW Reinvestment', 'IDCW', 'Bonus', null],
+    default: null
+  },
+  // Payout frequency of IDCW options, e.g. 'Monthly'
+  idcwFrequency: {
+    type: String,
+    default: null
+  },
+  // Scheme master fields from AMFI's NAVAll file
+  isinGrowth: {
+    type: String,
+    default: null
+  },
+  isinDivReinvestment: {
+    type: String,
+    default: null
+  },
+  // e.g. 'Open Ended Schemes', 'Close Ended Schemes', 'Interval Fund Schemes'
+  schemeType: {
+    type: String,
+    default: null
+  },
+  // AMFI's category header, e.g. 'Equity Scheme - Large Cap Fund'
+  amfiCategory: {
+    type: String,
+    default: null
+  },
+  // Listed in the latest NAVAll ingestion, which appends its NAV every night
+  inNavAll: {
+    type: Boolean,
+    default: false
+  },
   nav: {
     type: Number,
     required: true,
@@ -79,6 +133,53 @@ const mutualFundSchema = new mongoose.Schema({
       }
     }
   }],
+  // Earliest NAV available from the data provider, used for since-inception returns
+  inceptionDate: {
+    type: Date
+  },
+  inceptionNav: {
+    type: Number,
+    min: 0
+  },
+  // Trailing returns (in %) derived from navHistory by performanceService.
+  // Periods up to 1 year are absolute, longer periods are CAGR.
+  performance: {
+    returns1Month: Number,
+    returns3Month: Number,
+    returns6Month: Number,
+    returns1Year: Number,
+    returns3Year: Number,
+    returns5Year: Number,
+    returnsSinceInception: Number,
+    absoluteReturns3Year: Number,
+    absoluteReturns5Year: Number,
+    absoluteReturnsSinceInception: Number,
+    asOfDate: Date,
+    calculatedAt: Date
+  },
+  // Risk profile over the default period/benchmark, refreshed after each AMFI sync
+  riskMetrics: {
+    period: String,
+    startDate: Date,
+    asOfDate: Date,
+    observations: Number,
+    annualisedReturn: Number,
+    standardDeviation: Number,
+    sharpeRatio: Number,
+    sortinoRatio: Number,
+    maxDrawdown: {
+      value: Number,
+      peakDate: Date,
+      troughDate: Date,
+      recoveryDate: Date
+    },
+    beta: Number,
+    alpha: Number,
+    benchmark: String,
+    benchmarkName: String,
+    riskFreeRate: Number,
+    calculatedAt: Date
+  },
   minInvestment: {
     type: Number,
     default: 500,
@@ -102,6 +203,11 @@ const mutualFundSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the scheme dropped out of the NAVAll file; cleared if it returns
+  inactiveSince: {
+    type: Date,
+    default: null
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -125,9 +231,11 @@ mutualFundSchema.virtual('navChangePercentVirtual').get(function() {
 // Indexes for efficient queries
 mutualFundSchema.index({ schemeCode: 1 });
 mutualFundSchema.index({ fundHouse: 1 });
+mutualFundSchema.index({ scheme: 1 });
 mutualFundSchema.index({ category: 1, subCategory: 1 });
 mutualFundSchema.index({ navDate: -1 });
 mutualFundSchema.index({ lastUpdated: 1 });
+mutualFundSchema.index({ 'performance.returns1Year': -1 });
 
 // Update lastUpdated when NAV changes
 mutualFundSchema.pre('save', function(next) {
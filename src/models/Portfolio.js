@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const transactionSchema = new mongoose.Schema({
+  assetType: {
+    type: String,
+    enum: ['stock', 'mutualFund'],
+    required: true
+  },
+  // Stock ticker or mutual fund scheme code
+  symbol: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['buy', 'sell', 'sip', 'dividend', 'bonus', 'split', 'switch_in', 'switch_out'],
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Shares/units; not used for dividend, bonus and split entries
+  quantity: {
+    type: Number,
+    min: 0
+  },
+  // Price/NAV per share or unit
+  price: {
+    type: Number,
+    min: 0
+  },
+  // Cash received for dividends
+  amount: {
+    type: Number,
+    min: 0
+  },
+  fees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // bonus: `to` new shares for every `from` held (e.g. 1:1)
+  // split: `from` old shares become `to` new shares (e.g. 1:5)
+  ratio: {
+    from: { type: Number, min: 0 },
+    to: { type: Number, min: 0 }
+  },
+  // Other side of a switch (scheme switched from/to)
+  switchSymbol: {
+    type: String,
+    trim: true
+  },
+  // Fair market value per unit on 31 Jan 2018, for grandfathered equity
+  // bought before the cut-off when stored history does not reach back that far
+  grandfatheredFmv: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+const portfolioSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Portfolio name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  transactions: [transactionSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for number of ledger entries
+portfolioSchema.virtual('totalTransactions').get(function() {
+  return this.transactions.length;
+});
+
+// Portfolio names are unique per user
+portfolioSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Portfolio', portfolioSchema);
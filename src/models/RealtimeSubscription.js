@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Tickers that WebSocket clients of one API instance are subscribed to. Each
+// instance refreshes its document on every poll; the instance holding the
+// price-polling lease fetches the union of all of them.
+const realtimeSubscriptionSchema = new mongoose.Schema({
+  // hostname:pid:nonce of the instance
+  _id: String,
+  tickers: [String],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+realtimeSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RealtimeSubscription', realtimeSubscriptionSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A mutual fund scheme as a whole. Each plan/option combination of it
+// (Direct Growth, Regular IDCW Payout, ...) has its own AMFI scheme code and
+// is stored as a MutualFund pointing back here through `scheme`.
+const schemeSchema = new mongoose.Schema({
+  // fund house + normalised scheme name, shared by all variants
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Scheme name without the plan and option, e.g. 'Axis Bluechip Fund'
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  fundHouse: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: String,
+  subCategory: String,
+  // ISINs of every variant (growth and IDCW payout/reinvestment)
+  isins: [String],
+  variantCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+schemeSchema.index({ isins: 1 });
+schemeSchema.index({ fundHouse: 1, name: 1 });
+
+module.exports = mongoose.model('Scheme', schemeSchema);
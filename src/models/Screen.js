@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const screenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Screen name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Filter tree: { and: [...] } / { or: [...] } / { field, op, value }
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  sort: {
+    field: String,
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  fields: [{
+    type: String
+  }],
+  lastRunAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Screen names are unique per user
+screenSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Screen', screenSchema);
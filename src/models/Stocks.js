@@ -93,17 +93,6 @@ const stockSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
-  priceHistory: [{
-    date: {
-      type: Date,
-      required: true
-    },
-    open: Number,
-    high: Number,
-    low: Number,
-    close: Number,
-    volume: Number
-  }],
   fundamentals: {
     revenue: Number,
     netIncome: Number,
@@ -121,6 +110,19 @@ const stockSchema = new mongoose.Schema({
     headquarters: String,
     ceo: String
   },
+  // Latest daily indicator values for the screener, as of the last close
+  // (screenerService.snapshotIndicators)
+  indicators: {
+    sma20: Number,
+    sma50: Number,
+    sma200: Number,
+    ema20: Number,
+    ema50: Number,
+    ema200: Number,
+    rsi14: Number,
+    atr14: Number,
+    asOf: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Runs are kept for this many days, then removed by a TTL index
+const retentionDays = parseInt(process.env.SYNC_RUN_RETENTION_DAYS, 10) || 90;
+
+// One execution of a dataSync job (cron, admin-triggered or a retry of an
+// earlier run's failures), with per-instrument failures and what it changed.
+const syncRunSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['stocks', 'mutual-funds', 'indices', 'index-history', 'penny-discovery', 'nav-all'],
+    required: true
+  },
+  status: {
+    type: String,
+    // interrupted: the instance executing it stopped before it finished
+    enum: ['running', 'completed', 'completed_with_errors', 'failed', 'cancelled', 'interrupted'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['cron', 'startup', 'admin', 'retry', 'cli'],
+    default: 'cron'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The run whose failed items this run retried
+  retryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncRun',
+    default: null
+  },
+  // Explicit instrument list, when the run did not cover every active one
+  symbols: [String],
+  // hostname:pid of the process executing the run
+  instance: String,
+  // Set by the cancel endpoint; checked by the run between batches
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  attempted: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Not attempted because the run was cancelled first
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failures: [{
+    _id: false,
+    symbol: String,
+    error: String
+  }],
+  // Rows added and upstream revisions, as summarised by SyncReport
+  changes: {
+    added: { type: Number, default: 0 },
+    live: { type: Number, default: 0 },
+    revised: { type: Number, default: 0 },
+    missingDays: { type: Number, default: 0 },
+    revisions: [mongoose.Schema.Types.Mixed],
+    gaps: [mongoose.Schema.Types.Mixed]
+  },
+  message: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+syncRunSchema.index({ type: 1, startedAt: -1 });
+syncRunSchema.index({ status: 1, startedAt: -1 });
+syncRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SyncRun', syncRunSchema);
@@ -40,6 +40,17 @@ const watchlistSchema = new mongoose.Schema({
       type: Number,
       min: 0
     },
+    // How alertPrice is compared against the latest price
+    alertCondition: {
+      type: String,
+      enum: ['above', 'below', 'crosses', 'percent_move'],
+      default: 'crosses'
+    },
+    // Day move in percent (either direction) for percent_move alerts
+    alertPercent: {
+      type: Number,
+      min: 0
+    },
     notes: {
       type: String,
       maxlength: 500
@@ -58,6 +69,17 @@ const watchlistSchema = new mongoose.Schema({
       type: Number,
       min: 0
     },
+    // How targetNav is compared against the latest NAV
+    alertCondition: {
+      type: String,
+      enum: ['above', 'below', 'crosses', 'percent_move'],
+      default: 'crosses'
+    },
+    // NAV move in percent (either direction) for percent_move alerts
+    alertPercent: {
+      type: Number,
+      min: 0
+    },
     notes: {
       type: String,
       maxlength: 500
@@ -93,6 +115,9 @@ watchlistSchema.virtual('totalItems').get(function() {
 // Compound index for user watchlists
 watchlistSchema.index({ user: 1, name: 1 }, { unique: true });
 watchlistSchema.index({ user: 1, isDefault: 1 });
+// Alert evaluation looks up watchlists by instrument
+watchlistSchema.index({ 'stocks.ticker': 1 });
+watchlistSchema.index({ 'mutualFunds.schemeCode': 1 });
 
 // Ensure only one default watchlist per user
 watchlistSchema.pre('save', async function(next) {
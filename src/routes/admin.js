@@ -0,0 +1,108 @@
+const express = require('express');
+const {
+  startBackfill,
+  getBackfillJobs,
+  getBackfillJob,
+  resumeBackfill,
+  getSyncStatus,
+  getSyncRuns,
+  getSyncRun,
+  triggerSync,
+  cancelSyncRun,
+  retrySyncRun,
+  getNavQualityReports,
+  getNavQualityReport
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+const { validateBackfill, validateSyncTrigger } = require('../middleware/validation');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Rate limiting for admin routes
+const adminLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // Limit each IP to 30 requests per minute
+  message: {
+    success: false,
+    message: 'Too many requests, please slow down'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All admin routes require an admin account
+router.use(protect);
+router.use(authorize('admin'));
+router.use(adminLimiter);
+
+// @route   POST /api/admin/backfill
+// @desc    Start a historical backfill job (all active instruments when symbols is omitted)
+// @access  Private (admin)
+// @body    { assetType: 'stock' | 'mutualFund', symbols: ['RELIANCE'], years: 20, chunkYears: 2 }
+//          years defaults to 20, capped for stocks at CANDLE_RETENTION_YEARS (default 10)
+router.post('/backfill', validateBackfill, startBackfill);
+
+// @route   GET /api/admin/backfill
+// @desc    List backfill jobs, newest first
+// @access  Private (admin)
+// @query   ?status=running&page=1&limit=20
+router.get('/backfill', getBackfillJobs);
+
+// @route   GET /api/admin/backfill/:id
+// @desc    Get a backfill job with per-instrument progress
+// @access  Private (admin)
+router.get('/backfill/:id', getBackfillJob);
+
+// @route   POST /api/admin/backfill/:id/resume
+// @desc    Resume a paused, failed or interrupted backfill job
+// @access  Private (admin)
+router.post('/backfill/:id/resume', resumeBackfill);
+
+// @route   GET /api/admin/sync/status
+// @desc    Sync runs in progress in this process and the latest run times
+// @access  Private (admin)
+router.get('/sync/status', getSyncStatus);
+
+// @route   GET /api/admin/sync/runs
+// @desc    List sync runs, newest first (without per-item details)
+// @access  Private (admin)
+// @query   ?type=stocks&status=completed_with_errors&trigger=cron&page=1&limit=20
+router.get('/sync/runs', getSyncRuns);
+
+// @route   GET /api/admin/sync/runs/:id
+// @desc    Get a sync run with per-item failures and changes
+// @access  Private (admin)
+router.get('/sync/runs/:id', getSyncRun);
+
+// @route   POST /api/admin/sync/runs/:id/cancel
+// @desc    Cancel a running sync after its current batch
+// @access  Private (admin)
+router.post('/sync/runs/:id/cancel', cancelSyncRun);
+
+// @route   POST /api/admin/sync/runs/:id/retry
+// @desc    Start a new run covering the failed items of a finished run, or everything an
+//          interrupted run covered (runs whose instance stopped are marked interrupted)
+// @access  Private (admin)
+router.post('/sync/runs/:id/retry', retrySyncRun);
+
+// @route   POST /api/admin/sync/:type
+// @desc    Trigger a sync (all active instruments when symbols is omitted)
+// @access  Private (admin)
+// @body    { symbols: ['RELIANCE'] }  type: stocks | mutual-funds | indices | index-history | penny-discovery
+//          nav-all: { url: 'https://...', deactivateMissing: true } (defaults to AMFI's NAVAll.txt;
+//          starts a backfill job for the NAV history of new schemes)
+router.post('/sync/:type', validateSyncTrigger, triggerSync);
+
+// @route   GET /api/admin/data-quality/mutual-funds
+// @desc    NAV history quality summaries (gaps, duplicates, jumps, stale runs) for a page of active funds
+// @access  Private (admin)
+// @query   ?fundHouse=Axis Mutual Fund&issuesOnly=true&page=1&limit=20 (issuesOnly filters within the page)
+router.get('/data-quality/mutual-funds', getNavQualityReports);
+
+// @route   GET /api/admin/data-quality/mutual-funds/:schemeCode
+// @desc    NAV history quality report for one fund, listing the offending rows
+// @access  Private (admin)
+router.get('/data-quality/mutual-funds/:schemeCode', getNavQualityReport);
+
+module.exports = router;
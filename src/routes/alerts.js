@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getAlerts,
+  markAlertRead,
+  markAllAlertsRead
+} = require('../controllers/alertController');
+const { protect } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Rate limiting for alert routes
+const alertLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // Limit each IP to 60 requests per minute
+  message: {
+    success: false,
+    message: 'Too many requests, please slow down'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All alert routes require authentication
+router.use(protect);
+router.use(alertLimiter);
+
+// @route   GET /api/alerts
+// @desc    Get triggered price alerts, newest first
+// @access  Private
+// @query   ?symbol=RELIANCE&unread=true&page=1&limit=20
+router.get('/', getAlerts);
+
+// @route   PUT /api/alerts/read
+// @desc    Mark all alerts as read
+// @access  Private
+router.put('/read', markAllAlertsRead);
+
+// @route   PUT /api/alerts/:id/read
+// @desc    Mark an alert as read
+// @access  Private
+router.put('/:id/read', markAlertRead);
+
+module.exports = router;
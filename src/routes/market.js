@@ -1,5 +1,12 @@
 const express = require('express');
+const {
+  getIndices,
+  getIndexHistory,
+  getMarketStatus,
+  getMarketHolidays
+} = require('../controllers/marketController');
 const { optionalAuth } = require('../middleware/auth');
+const { cacheResponse } = require('../middleware/cache');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -19,88 +26,26 @@ const marketLimiter = rateLimit({
 router.use(marketLimiter);
 
 // @route   GET /api/market/indices
-// @desc    Get major Indian market indices (NIFTY, SENSEX, etc.)
+// @desc    Get Indian market indices (broad, midcap, smallcap, sectoral) with staleness info
 // @access  Public
-router.get('/indices', optionalAuth, async (req, res) => {
-  try {
-    // Mock data for now - will be replaced with real API calls
-    const indices = [
-      {
-        name: 'NIFTY 50',
-        value: 24010.90,
-        change: 285.75,
-        changePercent: 1.20,
-        lastUpdated: new Date()
-      },
-      {
-        name: 'SENSEX',
-        value: 78765.86,
-        change: 628.50,
-        changePercent: 0.81,
-        lastUpdated: new Date()
-      },
-      {
-        name: 'BANK NIFTY',
-        value: 51247.35,
-        change: -156.25,
-        changePercent: -0.30,
-        lastUpdated: new Date()
-      },
-      {
-        name: 'NIFTY IT',
-        value: 40156.45,
-        change: 845.30,
-        changePercent: 2.15,
-        lastUpdated: new Date()
-      }
-    ];
+// @query   ?category=sectoral
+router.get('/indices', optionalAuth, cacheResponse({ ttl: 60, tags: ['indices'] }), getIndices);
 
-    res.status(200).json({
-      success: true,
-      count: indices.length,
-      data: indices
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error'
-    });
-  }
-});
+// @route   GET /api/market/indices/:symbol/history
+// @desc    Get intraday (1D) or daily history for an index by code (NIFTY50) or symbol (^NSEI)
+// @access  Public
+// @query   ?range=1D|1W|1M|3M|6M|1Y|3Y|5Y|MAX
+router.get('/indices/:symbol/history', optionalAuth, getIndexHistory);
 
 // @route   GET /api/market/status
-// @desc    Get market status (open/closed)
+// @desc    Get market status: session phase, holiday, next open/close (IST)
 // @access  Public
-router.get('/status', async (req, res) => {
-  try {
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
-    const currentTime = currentHour * 60 + currentMinute;
-    
-    // Indian market hours: 9:15 AM to 3:30 PM IST
-    const marketOpen = 9 * 60 + 15; // 9:15 AM
-    const marketClose = 15 * 60 + 30; // 3:30 PM
-    
-    const isOpen = currentTime >= marketOpen && currentTime <= marketClose;
-    const isWeekend = now.getDay() === 0 || now.getDay() === 6;
-    
-    res.status(200).json({
-      success: true,
-      data: {
-        isOpen: isOpen && !isWeekend,
-        currentTime: now.toISOString(),
-        marketOpenTime: '09:15',
-        marketCloseTime: '15:30',
-        timezone: 'IST'
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error'
-    });
-  }
-});
+router.get('/status', getMarketStatus);
+
+// @route   GET /api/market/holidays
+// @desc    Get exchange holidays and special sessions (e.g. Muhurat trading)
+// @access  Public
+// @query   ?year=2025
+router.get('/holidays', getMarketHolidays);
 
 module.exports = router;
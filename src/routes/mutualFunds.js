@@ -5,9 +5,17 @@ const {
   searchMutualFunds,
   getCategories,
   getFundHouses,
-  getTopPerformers
+  getTopPerformers,
+  getMutualFundRisk,
+  simulateSip,
+  getFundVariants,
+  compareVariantCosts,
+  compareFunds,
+  getRollingReturns
 } = require('../controllers/mutualFundController');
 const { optionalAuth } = require('../middleware/auth');
+const { cacheResponse } = require('../middleware/cache');
+const { validateSipSimulation, validateVariantCostComparison, validateFundComparison } = require('../middleware/validation');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -30,23 +38,23 @@ router.use(fundLimiter);
 // @route   GET /api/mutual-funds
 // @desc    Get all mutual funds with pagination and filters
 // @access  Public
-// @query   ?page=1&limit=20&category=Equity&fundHouse=SBI&sortBy=aum&sortOrder=desc
+// @query   ?page=1&limit=20&category=Equity&subCategory=Large Cap Fund&fundHouse=SBI&sortBy=aum&sortOrder=desc
 router.get('/', optionalAuth, getMutualFunds);
 
 // @route   GET /api/mutual-funds/categories
-// @desc    Get all fund categories
+// @desc    Get fund categories with the SEBI sub-categories under each
 // @access  Public
-router.get('/categories', getCategories);
+router.get('/categories', cacheResponse({ ttl: 3600, tags: ['mutual-funds'] }), getCategories);
 
 // @route   GET /api/mutual-funds/fund-houses
 // @desc    Get all fund houses
 // @access  Public
-router.get('/fund-houses', getFundHouses);
+router.get('/fund-houses', cacheResponse({ ttl: 3600, tags: ['mutual-funds'] }), getFundHouses);
 
 // @route   GET /api/mutual-funds/top-performers
 // @desc    Get top performing funds
 // @access  Public
-// @query   ?period=1Year&limit=10
+// @query   ?period=1Year&limit=10 (1Month, 3Month, 6Month, 1Year, 3Year, 5Year, SinceInception)
 router.get('/top-performers', getTopPerformers);
 
 // @route   GET /api/mutual-funds/search/:query
@@ -55,6 +63,42 @@ router.get('/top-performers', getTopPerformers);
 // @query   ?limit=10
 router.get('/search/:query', searchMutualFunds);
 
+// @route   GET /api/mutual-funds/compare
+// @desc    Compare up to 5 funds: business-day aligned NAVs rebased to 100 (carried-forward days flagged), returns, risk, costs and return correlation
+// @access  Public
+// @query   ?codes=120465,118989,119551&period=3Y (period optional: 1Y, 3Y, 5Y; default is the full common history)
+router.get('/compare', validateFundComparison, compareFunds);
+
+// @route   GET /api/mutual-funds/:schemeCode/risk
+// @desc    Get volatility, Sharpe, Sortino, max drawdown and beta/alpha for a fund
+// @access  Public
+// @query   ?period=3Y&benchmark=^NSEI&riskFreeRate=6.5 (period: 1Y, 3Y, 5Y)
+router.get('/:schemeCode/risk', getMutualFundRisk);
+
+// @route   GET /api/mutual-funds/:schemeCode/rolling-returns
+// @desc    Get rolling CAGR over every start date in the NAV history, with its distribution
+// @access  Public
+// @query   ?window=3Y&benchmark=^NSEI&hurdle=8 (window: 1Y, 3Y, 5Y; benchmark=none skips the comparison)
+router.get('/:schemeCode/rolling-returns', getRollingReturns);
+
+// @route   POST /api/mutual-funds/:schemeCode/sip-simulate
+// @desc    Replay a monthly SIP against stored NAV history (units, value, XIRR)
+// @access  Public
+// @body    { amount: 5000, dayOfMonth: 5, startDate: '2021-01-01', endDate: '2025-12-31' }
+router.post('/:schemeCode/sip-simulate', validateSipSimulation, simulateSip);
+
+// @route   GET /api/mutual-funds/:schemeCode/variants
+// @desc    Get the parent scheme and its Direct/Regular plan and Growth/IDCW option variants
+//          (linked: false with no variants until the next NAVAll ingest or link-variants run)
+// @access  Public
+router.get('/:schemeCode/variants', getFundVariants);
+
+// @route   GET /api/mutual-funds/:schemeCode/variants/cost-comparison
+// @desc    Compare regular vs direct plan over a horizon (realised from NAV history, projected from expense ratios)
+// @access  Public
+// @query   ?amount=100000&years=5&expectedReturn=12 (years: 1-30; expectedReturn defaults to the direct plan's return)
+router.get('/:schemeCode/variants/cost-comparison', validateVariantCostComparison, compareVariantCosts);
+
 // @route   GET /api/mutual-funds/:schemeCode
 // @desc    Get single mutual fund details
 // @access  Public
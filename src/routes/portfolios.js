@@ -0,0 +1,88 @@
+const express = require('express');
+const {
+  getPortfolios,
+  getPortfolio,
+  getPortfolioReturns,
+  getTaxReport,
+  createPortfolio,
+  updatePortfolio,
+  deletePortfolio,
+  addTransaction,
+  updateTransaction,
+  deleteTransaction
+} = require('../controllers/portfolioController');
+const { protect } = require('../middleware/auth');
+const { validatePortfolio, validateTransaction, validateTransactionUpdate } = require('../middleware/validation');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Rate limiting for portfolio routes
+const portfolioLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // Limit each IP to 60 requests per minute
+  message: {
+    success: false,
+    message: 'Too many requests, please slow down'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All portfolio routes require authentication
+router.use(protect);
+router.use(portfolioLimiter);
+
+// @route   GET /api/portfolios
+// @desc    Get all user's portfolios
+// @access  Private
+router.get('/', getPortfolios);
+
+// @route   POST /api/portfolios
+// @desc    Create new portfolio
+// @access  Private
+router.post('/', validatePortfolio, createPortfolio);
+
+// @route   GET /api/portfolios/:id
+// @desc    Get portfolio with FIFO holdings, realized and unrealized P&L
+// @access  Private
+router.get('/:id', getPortfolio);
+
+// @route   GET /api/portfolios/:id/returns
+// @desc    Get XIRR and time-weighted return for the portfolio or a single holding
+// @access  Private
+// @query   ?assetType=mutualFund&symbol=120503
+router.get('/:id/returns', getPortfolioReturns);
+
+// @route   GET /api/portfolios/:id/tax-report
+// @desc    Get capital gains per financial year with lot-level detail
+// @access  Private
+// @query   ?fy=2024-25&format=json|csv&view=lots|summary
+router.get('/:id/tax-report', getTaxReport);
+
+// @route   PUT /api/portfolios/:id
+// @desc    Update portfolio details
+// @access  Private
+router.put('/:id', validatePortfolio, updatePortfolio);
+
+// @route   DELETE /api/portfolios/:id
+// @desc    Delete portfolio
+// @access  Private
+router.delete('/:id', deletePortfolio);
+
+// @route   POST /api/portfolios/:id/transactions
+// @desc    Add a buy, sell, SIP, dividend, bonus, split or switch entry
+// @access  Private
+router.post('/:id/transactions', validateTransaction, addTransaction);
+
+// @route   PUT /api/portfolios/:id/transactions/:transactionId
+// @desc    Update a ledger entry (fields left out keep their stored values)
+// @access  Private
+router.put('/:id/transactions/:transactionId', validateTransactionUpdate, updateTransaction);
+
+// @route   DELETE /api/portfolios/:id/transactions/:transactionId
+// @desc    Remove a ledger entry
+// @access  Private
+router.delete('/:id/transactions/:transactionId', deleteTransaction);
+
+module.exports = router;
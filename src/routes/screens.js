@@ -0,0 +1,58 @@
+const express = require('express');
+const {
+  getScreens,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+  runSavedScreen
+} = require('../controllers/screenerController');
+const { protect } = require('../middleware/auth');
+const { validateScreen, validateScreenId, validateScreenUpdate } = require('../middleware/validation');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Rate limiting for saved screen routes
+const screenLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 60, // Limit each IP to 60 requests per minute
+  message: {
+    success: false,
+    message: 'Too many requests, please slow down'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All saved screen routes require authentication
+router.use(protect);
+router.use(screenLimiter);
+
+// @route   GET /api/screens
+// @desc    Get all user's saved screens
+// @access  Private
+router.get('/', getScreens);
+
+// @route   POST /api/screens
+// @desc    Save a new screen
+// @access  Private
+router.post('/', validateScreen, createScreen);
+
+// @route   PUT /api/screens/:id
+// @desc    Update a saved screen
+// @access  Private
+// @body    { name, description, filter, sort, fields } (all optional)
+router.put('/:id', validateScreenUpdate, updateScreen);
+
+// @route   DELETE /api/screens/:id
+// @desc    Delete a saved screen
+// @access  Private
+router.delete('/:id', validateScreenId, deleteScreen);
+
+// @route   POST /api/screens/:id/run
+// @desc    Run a saved screen
+// @access  Private
+// @body    { page, limit }
+router.post('/:id/run', validateScreenId, runSavedScreen);
+
+module.exports = router;
@@ -6,10 +6,13 @@ const {
   searchStocks,
   getSectors,
   getStockHistory,
+  getStockIndicators,
   getTopGainers,
   getTopLosers
 } = require('../controllers/stockController');
+const { runScreen, getPresets } = require('../controllers/screenerController');
 const { optionalAuth } = require('../middleware/auth');
+const { cacheResponse } = require('../middleware/cache');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -38,19 +41,32 @@ router.get('/penny', optionalAuth, getPennyStocks);
 // @route   GET /api/stocks/sectors
 // @desc    Get all available sectors
 // @access  Public
-router.get('/sectors', getSectors);
+router.get('/sectors', cacheResponse({ ttl: 300, tags: ['stocks'] }), getSectors);
 
 // @route   GET /api/stocks/gainers
 // @desc    Get top gaining stocks
 // @access  Public
 // @query   ?limit=10
-router.get('/gainers', getTopGainers);
+router.get('/gainers', cacheResponse({ ttl: 60, tags: ['stocks'] }), getTopGainers);
 
 // @route   GET /api/stocks/losers
 // @desc    Get top losing stocks
 // @access  Public
 // @query   ?limit=10
-router.get('/losers', getTopLosers);
+router.get('/losers', cacheResponse({ ttl: 60, tags: ['stocks'] }), getTopLosers);
+
+// @route   GET /api/stocks/screen/presets
+// @desc    Get built-in screener presets
+// @access  Public
+router.get('/screen/presets', getPresets);
+
+// @route   POST /api/stocks/screen
+// @desc    Screen stocks with a composable filter tree or a preset
+// @access  Public
+// @body    { filter: { and: [{ field, op, value }] }, sort: { field, order }, page, limit, fields } or { preset }
+//          sma/ema 20, 50, 200, rsi14 and atr14 are as of the last close; other indicator
+//          periods are only allowed when other conditions narrow the screen to a few stocks
+router.post('/screen', runScreen);
 
 // @route   GET /api/stocks/search/:query
 // @desc    Search stocks by ticker, name, or sector
@@ -61,9 +77,15 @@ router.get('/search/:query', searchStocks);
 // @route   GET /api/stocks/:ticker/history
 // @desc    Get stock price history
 // @access  Public
-// @query   ?period=1M (1W, 1M, 3M, 6M, 1Y)
+// @query   ?period=1M (1W, 1M, 3M, 6M, 1Y, 3Y, 5Y)
 router.get('/:ticker/history', getStockHistory);
 
+// @route   GET /api/stocks/:ticker/indicators
+// @desc    Get technical indicators aligned with price history
+// @access  Public
+// @query   ?period=1M&set=sma20,ema50,rsi14,macd,bbands,atr,vwap,obv
+router.get('/:ticker/indicators', getStockIndicators);
+
 // @route   GET /api/stocks/:ticker
 // @desc    Get single stock details
 // @access  Public
@@ -6,10 +6,22 @@ const {
   updateWatchlist,
   deleteWatchlist,
   addStockToWatchlist,
-  removeStockFromWatchlist
+  updateStockInWatchlist,
+  removeStockFromWatchlist,
+  addMutualFundToWatchlist,
+  updateMutualFundInWatchlist,
+  removeMutualFundFromWatchlist,
+  bulkUpdateWatchlist
 } = require('../controllers/watchlistController');
 const { protect } = require('../middleware/auth');
-const { validateWatchlist, validateTicker } = require('../middleware/validation');
+const {
+  validateWatchlist,
+  validateTicker,
+  validateStockAlert,
+  validateSchemeCode,
+  validateFundAlert,
+  validateWatchlistBulk
+} = require('../middleware/validation');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -58,11 +70,38 @@ router.delete('/:id', deleteWatchlist);
 // @route   POST /api/watchlists/:id/stocks
 // @desc    Add stock to watchlist
 // @access  Private
-router.post('/:id/stocks', validateTicker, addStockToWatchlist);
+router.post('/:id/stocks', validateTicker, validateStockAlert, addStockToWatchlist);
+
+// @route   PUT /api/watchlists/:id/stocks/:ticker
+// @desc    Update alert price, alert condition or notes for a stock
+// @access  Private
+router.put('/:id/stocks/:ticker', validateStockAlert, updateStockInWatchlist);
 
 // @route   DELETE /api/watchlists/:id/stocks/:ticker
 // @desc    Remove stock from watchlist
 // @access  Private
 router.delete('/:id/stocks/:ticker', removeStockFromWatchlist);
 
+// @route   POST /api/watchlists/:id/mutual-funds
+// @desc    Add mutual fund to watchlist
+// @access  Private
+router.post('/:id/mutual-funds', validateSchemeCode, validateFundAlert, addMutualFundToWatchlist);
+
+// @route   PUT /api/watchlists/:id/mutual-funds/:schemeCode
+// @desc    Update target NAV, alert condition or notes for a fund
+// @access  Private
+router.put('/:id/mutual-funds/:schemeCode', validateFundAlert, updateMutualFundInWatchlist);
+
+// @route   DELETE /api/watchlists/:id/mutual-funds/:schemeCode
+// @desc    Remove mutual fund from watchlist
+// @access  Private
+router.delete('/:id/mutual-funds/:schemeCode', removeMutualFundFromWatchlist);
+
+// @route   POST /api/watchlists/:id/bulk
+// @desc    Add and remove stocks and mutual funds in one request
+// @access  Private
+// @body    { add: { stocks: ['TCS', { ticker: 'INFY', alertPrice: 1500 }], mutualFunds: ['120503'] },
+//            remove: { stocks: ['IDEA'], mutualFunds: ['118989'] } }
+router.post('/:id/bulk', validateWatchlistBulk, bulkUpdateWatchlist);
+
 module.exports = router;
@@ -0,0 +1,157 @@
+const Watchlist = require('../models/Watchlist');
+const AlertTrigger = require('../models/AlertTrigger');
+const notificationService = require('./notificationService');
+const marketCalendar = require('./marketCalendar');
+const logger = require('../utils/logger');
+
+class AlertService {
+  constructor() {
+    this.conditions = ['above', 'below', 'crosses', 'percent_move'];
+    // Minimum gap between two triggers of the same level alert
+    this.cooldownMinutes = parseInt(process.env.ALERT_COOLDOWN_MINUTES, 10) || 60;
+  }
+
+  // above/below fire when the value reaches the level from the other side (or
+  // on the first value seen), not again while it stays there; crosses fires
+  // when the price moves through the level either way; percent_move on a
+  // large move, once per trading day (see dedupeKeyFor)
+  isTriggered({ condition, threshold, previousValue, value, changePercent }) {
+    const hasPrevious = previousValue > 0;
+    switch (condition) {
+      case 'above':
+        return value >= threshold && !(hasPrevious && previousValue >= threshold);
+      case 'below':
+        return value <= threshold && !(hasPrevious && previousValue <= threshold);
+      case 'crosses':
+        if (!hasPrevious) return false;
+        return (previousValue < threshold && value >= threshold) ||
+          (previousValue > threshold && value <= threshold);
+      case 'percent_move':
+        return changePercent !== null && changePercent !== undefined &&
+          Math.abs(changePercent) >= threshold;
+      default:
+        return false;
+    }
+  }
+
+  buildMessage(label, { condition, threshold, value, changePercent }) {
+    switch (condition) {
+      case 'above':
+        return `${label} is at ${value}, above your alert level of ${threshold}`;
+      case 'below':
+        return `${label} is at ${value}, below your alert level of ${threshold}`;
+      case 'crosses':
+        return `${label} crossed your alert level of ${threshold} and is now at ${value}`;
+      default:
+        return `${label} moved ${changePercent > 0 ? '+' : ''}${changePercent.toFixed(2)}% to ${value}`;
+    }
+  }
+
+  // Evaluate watchlist alerts after a stock price update
+  async checkStock({ ticker, name, previousPrice, currentPrice, changePercent }) {
+    return this.checkInstrument('stock', ticker, {
+      label: name ? `${name} (${ticker})` : ticker,
+      previousValue: previousPrice,
+      value: currentPrice,
+      changePercent
+    });
+  }
+
+  // Evaluate watchlist alerts after a NAV update
+  async checkMutualFund({ schemeCode, schemeName, previousNav, nav, changePercent }) {
+    return this.checkInstrument('mutualFund', schemeCode, {
+      label: schemeName || `Scheme ${schemeCode}`,
+      previousValue: previousNav,
+      value: nav,
+      changePercent
+    });
+  }
+
+  async checkInstrument(assetType, symbol, { label, previousValue, value, changePercent }) {
+    if (!(value > 0)) {
+      return [];
+    }
+
+    const isStock = assetType === 'stock';
+    const itemsPath = isStock ? 'stocks' : 'mutualFunds';
+    const symbolField = isStock ? 'ticker' : 'schemeCode';
+    const levelField = isStock ? 'alertPrice' : 'targetNav';
+
+    try {
+      const watchlists = await Watchlist.find({
+        [itemsPath]: {
+          $elemMatch: {
+            [symbolField]: symbol,
+            $or: [
+              { [levelField]: { $gt: 0 } },
+              { alertCondition: 'percent_move', alertPercent: { $gt: 0 } }
+            ]
+          }
+        }
+      }).populate('user', 'name email preferences');
+
+      const triggers = [];
+      // The same alert set in two watchlists only fires once
+      const seen = new Set();
+
+      for (const watchlist of watchlists) {
+        if (!watchlist.user) continue;
+
+        const item = watchlist[itemsPath].find(entry => entry[symbolField] === symbol);
+        const condition = item.alertCondition || 'crosses';
+        const threshold = condition === 'percent_move' ? item.alertPercent : item[levelField];
+        if (!(threshold > 0)) continue;
+
+        const evaluation = { condition, threshold, previousValue, value, changePercent };
+        if (!this.isTriggered(evaluation)) continue;
+
+        const dedupeKey = this.dedupeKeyFor(watchlist.user._id, assetType, symbol, condition, threshold);
+        if (seen.has(dedupeKey) || await this.isDuplicate(dedupeKey, condition)) continue;
+        seen.add(dedupeKey);
+
+        const alert = new AlertTrigger({
+          user: watchlist.user._id,
+          watchlist: watchlist._id,
+          assetType,
+          symbol,
+          condition,
+          threshold,
+          previousValue,
+          value,
+          changePercent,
+          message: this.buildMessage(label, evaluation),
+          dedupeKey
+        });
+        alert.deliveries = await notificationService.deliver(watchlist.user, alert);
+        await alert.save();
+
+        logger.info(`Alert triggered for user ${watchlist.user._id}: ${alert.message}`);
+        triggers.push(alert);
+      }
+
+      return triggers;
+    } catch (error) {
+      logger.error(`Error evaluating alerts for ${assetType} ${symbol}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // percent_move alerts are keyed by the IST trading day as well, so each
+  // instrument's alert fires at most once a day
+  dedupeKeyFor(userId, assetType, symbol, condition, threshold) {
+    const key = `${userId}:${assetType}:${symbol}:${condition}:${threshold}`;
+    return condition === 'percent_move' ? `${key}:${marketCalendar.istDateKey()}` : key;
+  }
+
+  // Level alerts within the cooldown (a price hovering around the level);
+  // percent_move alerts already fired for the day
+  async isDuplicate(dedupeKey, condition) {
+    if (condition === 'percent_move') {
+      return AlertTrigger.exists({ dedupeKey });
+    }
+    const since = new Date(Date.now() - this.cooldownMinutes * 60 * 1000);
+    return AlertTrigger.exists({ dedupeKey, triggeredAt: { $gte: since } });
+  }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,316 @@
+const BackfillJob = require('../models/BackfillJob');
+const Stock = require('../models/Stocks');
+const MutualFund = require('../models/MutualFund');
+const nseService = require('./nseService');
+const amfiService = require('./amfiService');
+const candleService = require('./candleService');
+const performanceService = require('./performanceService');
+const providers = require('./providers');
+const lockService = require('./lockService');
+const { DAY_MS, mergeByDate } = require('../utils/series');
+const logger = require('../utils/logger');
+
+// Pulls full available history for stocks (candles) and mutual funds (NAVs).
+//
+// Stocks are fetched in windows of `chunkYears`, walking back from the job's
+// `until` date until a window comes back empty or is rejected (before
+// listing) or `years` is reached. mfapi publishes a scheme's whole NAV
+// history in one response, so a fund is a single chunk. Progress is saved
+// after every chunk; running the job again resumes where it stopped. Requests
+// go through the provider registry, so they share its request budget and
+// circuit breakers, and a job pauses instead of failing when providers are
+// unavailable. A run holds the lease `backfill:<jobId>`, so a job runs on one
+// instance (or CLI process) at a time.
+class BackfillService {
+  constructor() {
+    this.chunkDelayMs = parseInt(process.env.BACKFILL_CHUNK_DELAY_MS, 10) || 1000;
+    this.maxYears = 30;
+    this.defaultYears = 20;
+    // Jobs running in this process, with their leases
+    this.running = new Map();
+  }
+
+  instrumentModel(assetType) {
+    return assetType === 'stock'
+      ? { Model: Stock, field: 'ticker', capability: 'history' }
+      : { Model: MutualFund, field: 'schemeCode', capability: 'nav' };
+  }
+
+  // Candles older than the retention window are pruned every week, so stock
+  // backfills stop there; NAV history is kept in full
+  maxYearsFor(assetType) {
+    return assetType === 'stock'
+      ? Math.min(this.maxYears, candleService.retentionYears)
+      : this.maxYears;
+  }
+
+  async createJob({ assetType, symbols = [], years = null, chunkYears = 2, requestedBy = null, source = 'api' }) {
+    if (!['stock', 'mutualFund'].includes(assetType)) {
+      throw this.badRequest('assetType must be stock or mutualFund');
+    }
+
+    const maxYears = this.maxYearsFor(assetType);
+    years = years || Math.min(this.defaultYears, maxYears);
+    if (!(years > 0 && years <= maxYears)) {
+      throw this.badRequest(assetType === 'stock'
+        ? `years must be between 1 and ${maxYears} (candles are kept for CANDLE_RETENTION_YEARS)`
+        : `years must be between 1 and ${maxYears}`);
+    }
+    if (!(chunkYears > 0 && chunkYears <= years)) {
+      throw this.badRequest('chunkYears must be between 1 and years');
+    }
+
+    const { Model, field } = this.instrumentModel(assetType);
+    let list;
+
+    if (symbols.length > 0) {
+      list = Array.from(new Set(symbols.map(symbol => (
+        assetType === 'stock' ? String(symbol).trim().toUpperCase() : String(symbol).trim()
+      ))));
+
+      const known = new Set((await Model.find({ [field]: { $in: list } }).distinct(field)).map(String));
+      const unknown = list.filter(symbol => !known.has(symbol));
+      if (unknown.length > 0) {
+        throw this.badRequest(`Not in database: ${unknown.join(', ')}`);
+      }
+    } else {
+      // No list means every active instrument of the type
+      list = (await Model.distinct(field, { isActive: true })).map(String);
+      if (list.length === 0) {
+        throw this.badRequest(`No active ${assetType === 'stock' ? 'stocks' : 'mutual funds'} to backfill`);
+      }
+    }
+
+    const job = await BackfillJob.create({
+      assetType,
+      years,
+      chunkYears,
+      until: new Date(),
+      items: list.map(symbol => ({ symbol })),
+      requestedBy,
+      source
+    });
+
+    logger.info(`Created backfill job ${job._id}: ${list.length} ${assetType} instruments, ${years} years`);
+    return job;
+  }
+
+  // Run a job in the background; false if it is already running here or on
+  // another instance
+  async start(jobId) {
+    const id = String(jobId);
+    if (this.running.has(id)) {
+      return false;
+    }
+
+    const lease = await this.hold(id);
+    if (!lease) {
+      return false;
+    }
+
+    this.running.set(id, lease);
+    this.run(id, { lease })
+      .catch(error => logger.error(`Backfill job ${id} crashed:`, error.message))
+      .finally(() => {
+        this.running.delete(id);
+        return lease.release();
+      });
+    return true;
+  }
+
+  // Take the job's lease; `lost` is set if another instance takes it over
+  async hold(id) {
+    const state = { lost: false };
+    const lease = await lockService.hold(`backfill:${id}`, {
+      onLost: () => {
+        state.lost = true;
+      }
+    });
+    return lease && Object.assign(state, lease);
+  }
+
+  // Process every item not yet completed. Failed items are retried.
+  // Without a `lease` (the CLI) the job's lease is taken for the run.
+  async run(jobId, { lease = null } = {}) {
+    const held = lease || await this.hold(String(jobId));
+    if (!held) {
+      throw Object.assign(new Error('Backfill job is running on another instance'), { statusCode: 409 });
+    }
+
+    try {
+      return await this.runJob(jobId, held);
+    } finally {
+      if (!lease) {
+        await held.release();
+      }
+    }
+  }
+
+  async runJob(jobId, lease) {
+    const job = await BackfillJob.findById(jobId);
+    if (!job) {
+      throw Object.assign(new Error('Backfill job not found'), { statusCode: 404 });
+    }
+    if (job.status === 'completed' || job.status === 'cancelled') {
+      return job;
+    }
+
+    const { capability } = this.instrumentModel(job.assetType);
+
+    job.status = 'running';
+    job.message = null;
+    job.startedAt = job.startedAt || new Date();
+    await job.save();
+
+    for (const item of job.items) {
+      if (item.status === 'completed') {
+        continue;
+      }
+
+      // Cancellation is requested by flipping the stored status
+      const current = await BackfillJob.findById(job._id).select('status').lean();
+      if (current && current.status === 'cancelled') {
+        logger.info(`Backfill job ${job._id} cancelled`);
+        return job;
+      }
+      if (lease.lost) {
+        logger.warn(`Backfill job ${job._id} was taken over by another instance, stopping`);
+        return job;
+      }
+
+      if (!providers.isAvailable(capability)) {
+        return this.pause(job, item, `${capability} providers unavailable`);
+      }
+
+      item.status = 'running';
+      item.attempts += 1;
+      item.error = null;
+      await job.save();
+
+      try {
+        if (job.assetType === 'stock') {
+          await this.backfillStock(job, item);
+        } else {
+          await this.backfillFund(job, item);
+        }
+        item.status = 'completed';
+      } catch (error) {
+        if (error.code === 'PROVIDERS_UNAVAILABLE') {
+          return this.pause(job, item, error.message);
+        }
+
+        logger.warn(`Backfill of ${item.symbol} failed: ${error.message}`);
+        item.status = 'failed';
+        item.error = error.message;
+      }
+
+      job.lastProgressAt = new Date();
+      await job.save();
+    }
+
+    const failed = job.items.filter(item => item.status === 'failed').length;
+    job.status = failed === job.items.length ? 'failed' : 'completed';
+    job.message = failed > 0 ? `${failed} of ${job.items.length} instruments failed` : null;
+    job.finishedAt = new Date();
+    await job.save();
+
+    logger.info(`Backfill job ${job._id} ${job.status}${job.message ? ` (${job.message})` : ''}`);
+    return job;
+  }
+
+  async pause(job, item, reason) {
+    item.status = 'pending';
+    job.status = 'paused';
+    job.message = `Paused: ${reason}. Resume the job to continue.`;
+    await job.save();
+
+    logger.warn(`Backfill job ${job._id} paused at ${item.symbol}: ${reason}`);
+    return job;
+  }
+
+  // Walk back one window at a time from the saved cursor
+  async backfillStock(job, item) {
+    const chunkMs = job.chunkYears * 365.25 * DAY_MS;
+    const oldest = new Date(job.until.getTime() - job.years * 365.25 * DAY_MS);
+    let to = item.cursor || job.until;
+
+    while (to > oldest) {
+      const from = new Date(Math.max(oldest.getTime(), to.getTime() - chunkMs));
+      let bars;
+      try {
+        bars = await nseService.getStockHistory(item.symbol, { from, to });
+      } catch (error) {
+        // Yahoo answers a window entirely before listing with a 400 ("Data
+        // doesn't exist for startDate") rather than an empty chart. After a
+        // chunk with data that means the history is complete.
+        if (error.code === 'REQUEST_REJECTED' && item.chunksDone > 0) {
+          logger.info(`Backfill of ${item.symbol} reached the first listed session (${error.message})`);
+          break;
+        }
+        throw error;
+      }
+
+      // Nothing in this window: we are before the first listed session
+      if (bars.length === 0) {
+        break;
+      }
+
+      const changes = await candleService.mergeCandles(item.symbol, bars, { source: 'backfill' });
+      item.rowsAdded += changes.added;
+      item.rowsRevised += changes.revised.length;
+      item.earliestDate = bars[0].date;
+      item.cursor = from;
+      item.chunksDone += 1;
+
+      job.lastProgressAt = new Date();
+      await job.save();
+
+      to = from;
+      await this.sleep(this.chunkDelayMs);
+    }
+  }
+
+  async backfillFund(job, item) {
+    const fund = await MutualFund.findOne({ schemeCode: item.symbol });
+    if (!fund) {
+      throw new Error(`Mutual fund ${item.symbol} not found`);
+    }
+
+    const fundData = await amfiService.getMutualFundData(item.symbol, { fullHistory: true });
+    const oldest = new Date(job.until.getTime() - job.years * 365.25 * DAY_MS);
+    const navs = fundData.navHistory.filter(row => row.date >= oldest);
+
+    const merged = mergeByDate(fund.navHistory, navs, ['nav']);
+    const performance = performanceService.calculatePerformance(merged.rows, {
+      inceptionDate: fundData.inceptionDate,
+      inceptionNav: fundData.inceptionNav
+    });
+
+    await MutualFund.findByIdAndUpdate(fund._id, {
+      navHistory: merged.rows,
+      inceptionDate: fundData.inceptionDate,
+      inceptionNav: fundData.inceptionNav,
+      ...(performance && { performance })
+    });
+
+    item.rowsAdded += merged.added.length;
+    item.rowsRevised += merged.revised.length;
+    item.earliestDate = merged.rows.length > 0 ? merged.rows[0].date : null;
+    item.cursor = item.earliestDate;
+    item.chunksDone += 1;
+
+    await this.sleep(this.chunkDelayMs);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new BackfillService();
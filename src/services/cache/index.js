@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const MemoryStore = require('./memoryStore');
+const logger = require('../../utils/logger');
+
+// Response cache for hot read endpoints.
+//
+// Entries are grouped by tags ('stocks', 'mutual-funds', 'indices'). dataSync
+// bumps a tag's version whenever it writes that kind of data, and an entry
+// cached under older tag versions is treated as a miss. The latest tag version
+// (a timestamp) doubles as the entry's Last-Modified time.
+//
+// CACHE_BACKEND=redis (or REDIS_URL) selects the shared Redis-compatible
+// store; otherwise an in-process LRU of CACHE_MAX_ENTRIES responses is used,
+// with tag versions shared through MongoDB and re-read every
+// CACHE_TAG_REFRESH_MS (so replicas serve invalidated entries for at most that
+// long).
+class CacheService {
+  constructor() {
+    this.hits = 0;
+    this.misses = 0;
+    this.store = this.createStore();
+  }
+
+  createStore() {
+    const backend = process.env.CACHE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+    if (backend === 'redis') {
+      try {
+        const RedisStore = require('./redisStore');
+        const store = new RedisStore(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+        logger.info('Response cache using Redis backend');
+        return store;
+      } catch (error) {
+        const reason = error.code === 'MODULE_NOT_FOUND' ? 'ioredis is not installed' : error.message;
+        logger.warn(`Redis cache unavailable (${reason}), falling back to in-memory cache`);
+      }
+    }
+
+    return new MemoryStore({
+      maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+      tagRefreshMs: parseInt(process.env.CACHE_TAG_REFRESH_MS, 10) || 5000
+    });
+  }
+
+  // Cached entry for a key, or null when missing, expired or invalidated
+  async get(key, tags = []) {
+    try {
+      const entry = await this.store.get(key);
+      if (entry) {
+        const versions = await this.store.getTagVersions(tags);
+        if (versions.every((version, i) => version === entry.tagVersions[i])) {
+          this.hits += 1;
+          return entry;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Cache read failed for ${key}: ${error.message}`);
+    }
+
+    this.misses += 1;
+    return null;
+  }
+
+  async set(key, body, { ttl, tags = [] }) {
+    try {
+      const tagVersions = await this.store.getTagVersions(tags);
+      const lastModified = Math.max(...tagVersions, 0) || Date.now();
+
+      const entry = {
+        body,
+        etag: `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`,
+        lastModified: new Date(lastModified).toUTCString(),
+        tagVersions
+      };
+
+      await this.store.set(key, entry, ttl);
+      return entry;
+    } catch (error) {
+      logger.warn(`Cache write failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Invalidate every entry cached under any of the tags
+  async invalidate(tags) {
+    try {
+      await this.store.bumpTags([].concat(tags), Date.now());
+    } catch (error) {
+      logger.warn(`Cache invalidation failed for ${[].concat(tags).join(', ')}: ${error.message}`);
+    }
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  // Snapshot for /health
+  status() {
+    return {
+      ...this.store.status(),
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+module.exports = new CacheService();
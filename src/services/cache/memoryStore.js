@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const CacheTag = require('../../models/CacheTag');
+const logger = require('../../utils/logger');
+
+// In-process LRU store. A Map keeps insertion order, so re-inserting on read
+// moves an entry to the back and the first key is always the least recently used.
+//
+// Entries are per instance but tag versions are shared through MongoDB: each
+// instance re-reads them at most every `tagRefreshMs`, so an invalidation
+// anywhere reaches every replica within that interval.
+class MemoryStore {
+  constructor({ maxEntries = 500, tagRefreshMs = 5000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.tagVersions = new Map();
+    this.tagRefreshMs = tagRefreshMs;
+    this.tagsReadAt = 0;
+    this.tagRefresh = null;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async getTagVersions(tags) {
+    if (tags.length > 0 && Date.now() - this.tagsReadAt >= this.tagRefreshMs) {
+      await this.refreshTagVersions();
+    }
+    return tags.map(tag => this.tagVersions.get(tag) || 0);
+  }
+
+  // Concurrent requests share one read
+  refreshTagVersions() {
+    if (!this.tagRefresh) {
+      this.tagRefresh = this.loadTagVersions().finally(() => {
+        this.tagRefresh = null;
+      });
+    }
+    return this.tagRefresh;
+  }
+
+  async loadTagVersions() {
+    // Until the database is connected only local invalidations are known
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    try {
+      const tags = await CacheTag.find().lean();
+      tags.forEach(tag => {
+        if (tag.version > (this.tagVersions.get(tag._id) || 0)) {
+          this.tagVersions.set(tag._id, tag.version);
+        }
+      });
+    } catch (error) {
+      logger.warn(`Cache tag refresh failed: ${error.message}`);
+    } finally {
+      this.tagsReadAt = Date.now();
+    }
+  }
+
+  async bumpTags(tags, version) {
+    tags.forEach(tag => this.tagVersions.set(tag, version));
+
+    // $max keeps a slower instance from moving a tag back in time
+    await CacheTag.bulkWrite(tags.map(tag => ({
+      updateOne: {
+        filter: { _id: tag },
+        update: { $max: { version } },
+        upsert: true
+      }
+    })));
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  status() {
+    return {
+      backend: this.name,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      tagRefreshMs: this.tagRefreshMs
+    };
+  }
+}
+
+module.exports = MemoryStore;
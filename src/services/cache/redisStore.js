@@ -0,0 +1,65 @@
+const logger = require('../../utils/logger');
+
+// Redis-compatible store (Redis, Valkey, KeyDB, ...) shared by every API
+// instance. Uses the optional `ioredis` client.
+class RedisStore {
+  constructor(url, { prefix = 'stockinfo:cache:' } = {}) {
+    // Required lazily so deployments without Redis don't need the package
+    const Redis = require('ioredis');
+
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.client = new Redis(url, {
+      lazyConnect: false,
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+
+    this.client.on('error', error => {
+      logger.warn(`Redis cache error: ${error.message}`);
+    });
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), 'EX', ttlSeconds);
+  }
+
+  async getTagVersions(tags) {
+    if (tags.length === 0) {
+      return [];
+    }
+    const versions = await this.client.mget(tags.map(tag => `${this.prefix}tag:${tag}`));
+    return versions.map(version => parseInt(version, 10) || 0);
+  }
+
+  async bumpTags(tags, version) {
+    if (tags.length === 0) {
+      return;
+    }
+    const pipeline = this.client.pipeline();
+    tags.forEach(tag => pipeline.set(`${this.prefix}tag:${tag}`, version));
+    await pipeline.exec();
+  }
+
+  // Remove every cached response and tag version under the prefix
+  async clear() {
+    const keys = await this.client.keys(`${this.prefix}*`);
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+
+  status() {
+    return {
+      backend: this.name,
+      connection: this.client.status
+    };
+  }
+}
+
+module.exports = RedisStore;
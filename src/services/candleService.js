@@ -0,0 +1,139 @@
+const Candle = require('../models/Candle');
+const marketCalendar = require('./marketCalendar');
+const { DAY_MS, dateKey, mergeByDate } = require('../utils/series');
+const logger = require('../utils/logger');
+
+// Reads and writes stock candles (see models/Candle.js)
+class CandleService {
+  constructor() {
+    // Bars older than this are pruned by the weekly maintenance job
+    this.retentionYears = parseInt(process.env.CANDLE_RETENTION_YEARS, 10) || 10;
+    // Sessions returned with stock details for the price chart
+    this.chartSessions = 90;
+  }
+
+  // Bar date as stored: 00:00 UTC of the trading date
+  barDate(date) {
+    return new Date(dateKey(date));
+  }
+
+  // Insert or replace bars by date
+  async upsertCandles(ticker, bars, { interval = '1d', source = null } = {}) {
+    const operations = (bars || [])
+      .filter(bar => bar && bar.date && !isNaN(new Date(bar.date).getTime()) && bar.close > 0)
+      .map(bar => {
+        const date = this.barDate(bar.date);
+        return {
+          updateOne: {
+            filter: { ticker: ticker.toUpperCase(), interval, date },
+            update: {
+              $set: {
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close,
+                volume: bar.volume || 0,
+                source
+              }
+            },
+            upsert: true
+          }
+        };
+      });
+
+    if (operations.length === 0) {
+      return { upserted: 0, modified: 0 };
+    }
+
+    const result = await Candle.bulkWrite(operations, { ordered: false });
+    return { upserted: result.upsertedCount, modified: result.modifiedCount };
+  }
+
+  // Merge bars into stored history by date. Only new or revised bars are
+  // written, so repeating a sync is a no-op. Returns what changed, plus
+  // business days missing inside the merged window.
+  async mergeCandles(ticker, bars, { interval = '1d', source = null, now = new Date() } = {}) {
+    const incoming = (bars || [])
+      .filter(bar => bar && bar.date && !isNaN(new Date(bar.date).getTime()) && bar.close > 0)
+      .map(bar => ({ ...bar, date: this.barDate(bar.date) }));
+
+    const changes = { symbol: ticker.toUpperCase(), added: 0, revised: [], live: 0, gaps: [] };
+    if (incoming.length === 0) {
+      return changes;
+    }
+
+    const dates = incoming.map(bar => bar.date.getTime());
+    const existing = await this.getCandles(ticker, {
+      interval,
+      from: new Date(Math.min(...dates)),
+      to: new Date(Math.max(...dates))
+    });
+
+    const fields = ['open', 'high', 'low', 'close', 'volume'];
+    const merged = mergeByDate(existing, incoming, fields);
+
+    // The current session's bar moves all day; that is not a revision
+    const today = marketCalendar.istDateKey(now);
+    const revised = merged.revised.filter(revision => revision.date !== today);
+    changes.added = merged.added.length;
+    changes.live = merged.revised.length - revised.length;
+    changes.revised = revised;
+    changes.gaps = marketCalendar.missingBusinessDays(merged.rows.map(row => dateKey(row.date)));
+
+    const changed = new Set([...merged.added, ...merged.revised.map(revision => revision.date)]);
+    await this.upsertCandles(ticker, merged.rows.filter(row => changed.has(dateKey(row.date))), { interval, source });
+
+    return changes;
+  }
+
+  // Bars for one ticker, oldest first
+  async getCandles(ticker, { interval = '1d', from = null, to = null, limit = null } = {}) {
+    const query = { ticker: ticker.toUpperCase(), interval };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    // With a limit, take the most recent bars and return them in ascending order
+    if (limit) {
+      const latest = await Candle.find(query).sort({ date: -1 }).limit(limit).select('-_id date open high low close volume').lean();
+      return latest.reverse();
+    }
+
+    return Candle.find(query).sort({ date: 1 }).select('-_id date open high low close volume').lean();
+  }
+
+  // Bars for several tickers, keyed by ticker
+  async getCandlesForTickers(tickers, { interval = '1d', from = null, to = null } = {}) {
+    const query = { ticker: { $in: tickers.map(ticker => ticker.toUpperCase()) }, interval };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const candles = await Candle.find(query).sort({ date: 1 }).select('-_id ticker date open high low close volume').lean();
+
+    const byTicker = new Map(tickers.map(ticker => [ticker.toUpperCase(), []]));
+    candles.forEach(({ ticker, ...bar }) => byTicker.get(ticker).push(bar));
+    return byTicker;
+  }
+
+  async hasCandles(ticker, interval = '1d') {
+    return Boolean(await Candle.exists({ ticker: ticker.toUpperCase(), interval }));
+  }
+
+  // Delete bars older than the retention window
+  async pruneExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.retentionYears * 365.25 * DAY_MS);
+    const result = await Candle.deleteMany({ date: { $lt: cutoff } });
+
+    if (result.deletedCount > 0) {
+      logger.info(`Pruned ${result.deletedCount} candles older than ${dateKey(cutoff)}`);
+    }
+    return result.deletedCount;
+  }
+}
+
+module.exports = new CandleService();
@@ -1,31 +1,204 @@
 const cron = require('node-cron');
 const Stock = require('../models/Stocks');
 const MutualFund = require('../models/MutualFund');
+const Index = require('../models/Index');
+const Watchlist = require('../models/Watchlist');
+const Portfolio = require('../models/Portfolio');
+const SyncRun = require('../models/SyncRun');
+const indexCatalog = require('../config/indices');
 const nseService = require('./nseService');
 const amfiService = require('./amfiService');
+const navAllService = require('./navAllService');
+const backfillService = require('./backfillService');
+const performanceService = require('./performanceService');
+const riskService = require('./riskService');
+const alertService = require('./alertService');
+const marketCalendar = require('./marketCalendar');
+const providers = require('./providers');
+const cache = require('./cache');
+const candleService = require('./candleService');
+const screenerService = require('./screenerService');
+const lockService = require('./lockService');
+const SyncReport = require('./syncReport');
+const { DAY_MS, dateKey, mergeByDate } = require('../utils/series');
 const logger = require('../utils/logger');
 
 class DataSyncService {
   constructor() {
-    this.isRunning = false;
+    // Runs in progress in this process, by type. A lease per type keeps it
+    // to one run across all instances.
+    this.activeRuns = new Map();
+    // Cron runs keep their lease at least this long after starting, so other
+    // instances whose schedule fires slightly later skip instead of repeating
+    this.cronLeaseHoldMs = 60 * 1000;
+    // Run types that write the same documents share one lease: the
+    // per-scheme sync rewrites the navHistory that NAVAll appends to
+    this.leaseGroups = { 'mutual-funds': 'navs', 'nav-all': 'navs' };
+    this.cronJobs = [];
     this.lastStockSync = null;
     this.lastMutualFundSync = null;
+    this.lastIndexSync = null;
+    // Daily index bars kept per index (~5 years)
+    this.indexHistoryLimit = 1300;
+    // Change reports of recent runs, newest last
+    this.syncReports = [];
+    this.maxSyncReports = 20;
+  }
+
+  // Register a run of `type`, take its lease and record it as a SyncRun.
+  // Returns null when a run of that type is already in progress here or on
+  // another instance.
+  async beginRun(type, { report = null, trigger = 'cron', requestedBy = null, retryOf = null, symbols = null } = {}) {
+    if (report) {
+      return report;
+    }
+    const running = this.conflictingRun(type);
+    if (running) {
+      logger.warn(`${running} sync already running, skipping ${type}...`);
+      return null;
+    }
+
+    report = new SyncReport(type, { trigger, requestedBy, retryOf, symbols });
+    this.activeRuns.set(type, report);
+
+    report.lease = await lockService.hold(this.leaseName(type), {
+      onLost: () => {
+        // Another instance took over; stop after the current batch
+        report.cancelRequested = true;
+        report.message = 'Stopped: lease taken over by another instance';
+      }
+    });
+    if (!report.lease) {
+      this.activeRuns.delete(type);
+      logger.info(`${type} sync is running on another instance, skipping...`);
+      return null;
+    }
+
+    // Holding the lease means no other run of its group is alive anywhere
+    const group = Object.keys(this.runners()).filter(other => this.leaseName(other) === this.leaseName(type));
+    await this.reconcileRuns(group);
+
+    try {
+      const run = await SyncRun.create({
+        type,
+        trigger,
+        requestedBy,
+        retryOf,
+        symbols: symbols || [],
+        instance: lockService.instance,
+        startedAt: report.startedAt
+      });
+      report.runId = run._id;
+    } catch (error) {
+      // Still sync without a run record rather than skip the data refresh
+      logger.error(`Error recording ${type} sync run:`, error.message);
+    }
+
+    return report;
+  }
+
+  leaseName(type) {
+    return `sync:${this.leaseGroups[type] || type}`;
+  }
+
+  // The type of a run in progress here that holds `type`'s lease, if any
+  // (leases are re-entrant within an instance, so this is checked first)
+  conflictingRun(type) {
+    return Array.from(this.activeRuns.keys())
+      .find(active => this.leaseName(active) === this.leaseName(type)) || null;
+  }
+
+  // Mark runs left 'running' by an instance that crashed or was stopped as
+  // interrupted, so they can be retried. A run is alive while its instance
+  // holds the type's lease and, on this instance, while it is active here.
+  async reconcileRuns(types = null) {
+    try {
+      const runs = await SyncRun.find({ status: 'running', ...(types && { type: { $in: types } }) })
+        .select('type instance')
+        .lean();
+      if (runs.length === 0) {
+        return 0;
+      }
+
+      const owners = await lockService.owners(Array.from(new Set(runs.map(run => this.leaseName(run.type)))));
+      const stale = runs.filter(run => {
+        if (run.instance === lockService.instance) {
+          const active = this.activeRuns.get(run.type);
+          return !active || (active.runId && String(active.runId) !== String(run._id));
+        }
+        return owners.get(this.leaseName(run.type)) !== run.instance;
+      });
+      if (stale.length === 0) {
+        return 0;
+      }
+
+      await SyncRun.updateMany(
+        { _id: { $in: stale.map(run => run._id) }, status: 'running' },
+        {
+          $set: {
+            status: 'interrupted',
+            finishedAt: new Date(),
+            message: 'Interrupted: the instance running it stopped before it finished'
+          }
+        }
+      );
+      logger.warn(`Marked ${stale.length} abandoned sync run(s) as interrupted`);
+      return stale.length;
+    } catch (error) {
+      logger.error('Error reconciling sync runs:', error.message);
+      return 0;
+    }
+  }
+
+  async finishRun(report) {
+    this.activeRuns.delete(report.type);
+    await report.lease.release({
+      holdUntil: report.trigger === 'cron'
+        ? new Date(report.startedAt.getTime() + this.cronLeaseHoldMs)
+        : null
+    });
+
+    this.syncReports.push(report.finish());
+    if (this.syncReports.length > this.maxSyncReports) {
+      this.syncReports.shift();
+    }
+
+    if (report.runId) {
+      try {
+        await SyncRun.findByIdAndUpdate(report.runId, report.toRun());
+      } catch (error) {
+        logger.error(`Error saving sync run ${report.runId}:`, error.message);
+      }
+    }
+  }
+
+  // Checked between batches; cancellation may come from another process
+  async isCancelRequested(report) {
+    if (!report.cancelRequested && report.runId) {
+      try {
+        report.cancelRequested = Boolean(await SyncRun.exists({ _id: report.runId, cancelRequested: true }));
+      } catch (error) {
+        logger.error(`Error checking sync run ${report.runId}:`, error.message);
+      }
+    }
+    return report.cancelRequested;
+  }
+
+  isSyncActive(type) {
+    return this.activeRuns.has(type);
   }
 
   // Initialize cron jobs
   initCronJobs() {
-    // Sync stocks every 5 minutes during market hours (9:15 AM - 3:30 PM IST)
-    cron.schedule('*/5 9-15 * * 1-5', async () => {
-      const now = new Date();
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      const currentTime = currentHour * 60 + currentMinute;
-      
-      // Market hours: 9:15 AM to 3:30 PM
-      const marketOpen = 9 * 60 + 15;
-      const marketClose = 15 * 60 + 30;
-      
-      if (currentTime >= marketOpen && currentTime <= marketClose) {
+    // Runs abandoned by a previous process of this or another instance
+    this.reconcileRuns();
+
+    // Every replica schedules the same jobs; the lease taken in beginRun
+    // lets exactly one of them execute each run
+    // Sync stocks every 5 minutes while the market is open (including special
+    // sessions such as Muhurat trading), plus one run just after the close
+    this.schedule('*/5 * * * *', async () => {
+      if (marketCalendar.isMarketOpen() || marketCalendar.closedWithin(5)) {
         logger.info('Market is open - starting stock data sync');
         await this.syncStockData();
       }
@@ -33,16 +206,67 @@ class DataSyncService {
       timezone: 'Asia/Kolkata'
     });
 
-    // Sync mutual funds daily at 6 PM IST (after market closes)
-    cron.schedule('0 18 * * 1-5', async () => {
+    // Refresh index quotes on the same schedule
+    this.schedule('*/5 * * * *', async () => {
+      if (marketCalendar.isMarketOpen() || marketCalendar.closedWithin(5)) {
+        await this.syncIndices();
+      }
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+
+    // Append the day's index bars about 30 minutes after a session closes
+    this.schedule('*/15 * * * *', async () => {
+      if (marketCalendar.closedWithin(15, new Date(Date.now() - 30 * 60 * 1000))) {
+        logger.info('Starting daily index history sync');
+        await this.syncIndices({ includeHistory: true });
+      }
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+
+    // Populate indices on first start so /api/market/indices has data to serve
+    Index.estimatedDocumentCount()
+      .then(count => (count === 0 ? this.syncIndices({ includeHistory: true, trigger: 'startup' }) : null))
+      .catch(error => logger.error('Error checking stored indices:', error.message));
+
+    // Sync mutual funds at 6 PM IST on trading days (NAVs are not published on holidays)
+    this.schedule('0 18 * * *', async () => {
+      if (!marketCalendar.isTradingDay()) {
+        logger.info('Market holiday - skipping mutual fund sync');
+        return;
+      }
       logger.info('Starting daily mutual fund sync');
       await this.syncMutualFundData();
     }, {
       timezone: 'Asia/Kolkata'
     });
 
+    // Ingest AMFI's NAVAll file at 11:30 PM IST on trading days, after AMFI's
+    // 11 PM publishing deadline: today's NAV for every scheme in one request
+    this.schedule('30 23 * * *', async () => {
+      if (!marketCalendar.isTradingDay()) {
+        return;
+      }
+      logger.info('Starting NAVAll ingestion');
+      await this.ingestNavAll();
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+
+    // Prune candles past the retention window weekly on Sunday at 3 AM
+    this.schedule('0 3 * * 0', async () => {
+      try {
+        await lockService.withLock('candles:prune', () => candleService.pruneExpired());
+      } catch (error) {
+        logger.error('Error pruning candles:', error.message);
+      }
+    }, {
+      timezone: 'Asia/Kolkata'
+    });
+
     // Sync penny stocks list weekly on Sunday at 2 AM
-    cron.schedule('0 2 * * 0', async () => {
+    this.schedule('0 2 * * 0', async () => {
       logger.info('Starting weekly penny stocks discovery');
       await this.discoverPennyStocks();
     }, {
@@ -52,24 +276,23 @@ class DataSyncService {
     logger.info('Data sync cron jobs initialized');
   }
 
-  // Sync stock data
-  async syncStockData() {
-    if (this.isRunning) {
-      logger.warn('Data sync already running, skipping...');
-      return;
+  // Sync stock data for every active stock, or just `symbols` (a retry)
+  async syncStockData(options = {}) {
+    const report = await this.beginRun('stocks', options);
+    if (!report) {
+      return null;
     }
 
     try {
-      this.isRunning = true;
       logger.info('Starting stock data synchronization');
 
-      // Get all active stocks from database
-      const stocks = await Stock.find({ isActive: true }).select('ticker');
-      const tickers = stocks.map(stock => stock.ticker);
+      const tickers = options.symbols ||
+        (await Stock.find({ isActive: true }).select('ticker')).map(stock => stock.ticker);
 
       if (tickers.length === 0) {
         logger.info('No stocks found in database for sync');
-        return;
+        report.message = 'No stocks to sync';
+        return report;
       }
 
       logger.info(`Syncing ${tickers.length} stocks`);
@@ -77,21 +300,41 @@ class DataSyncService {
       // Process stocks in batches of 10 to avoid rate limiting
       const batchSize = 10;
       for (let i = 0; i < tickers.length; i += batchSize) {
+        if (await this.isCancelRequested(report)) {
+          logger.info(`Stock sync cancelled after ${i}/${tickers.length} stocks`);
+          report.cancel(tickers.length - i);
+          break;
+        }
+
+        // Stop early rather than queue more requests against an open breaker
+        if (!providers.isAvailable('quote')) {
+          logger.warn(`Quote providers unavailable, stopping stock sync after ${i}/${tickers.length} stocks`);
+          tickers.slice(i).forEach(ticker => report.fail(ticker, new Error('Quote providers unavailable')));
+          break;
+        }
+
         const batch = tickers.slice(i, i + batchSize);
         logger.info(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(tickers.length/batchSize)}`);
 
         try {
-          const stocksData = await nseService.getMultipleStocks(batch);
+          const stocksData = await nseService.getMultipleStocks(batch, {
+            onError: (ticker, error) => report.fail(ticker, error)
+          });
           
           // Update database with new data
           for (const stockData of stocksData) {
-            await this.updateStockInDatabase(stockData);
+            await this.updateStockInDatabase(stockData, { report });
+          }
+
+          if (stocksData.length > 0) {
+            await cache.invalidate('stocks');
           }
           
           // Wait 2 seconds between batches to respect rate limits
           await this.sleep(2000);
         } catch (error) {
           logger.error(`Error processing batch: ${error.message}`);
+          batch.forEach(ticker => report.fail(ticker, error));
         }
       }
 
@@ -99,13 +342,16 @@ class DataSyncService {
       logger.info('Stock data synchronization completed');
     } catch (error) {
       logger.error('Error in stock data sync:', error.message);
+      report.abort(error);
     } finally {
-      this.isRunning = false;
+      await this.finishRun(report);
     }
+
+    return report;
   }
 
   // Update stock data in database
-  async updateStockInDatabase(stockData) {
+  async updateStockInDatabase(stockData, { report = null } = {}) {
     try {
       const existingStock = await Stock.findOne({ ticker: stockData.ticker });
       
@@ -117,62 +363,106 @@ class DataSyncService {
           dayChange: stockData.dayChange,
           dayChangePercent: stockData.dayChangePercent,
           volume: stockData.volume,
+          avgVolume: stockData.avgVolume,
           high52Week: stockData.high52Week,
           low52Week: stockData.low52Week,
           marketCap: stockData.marketCap,
-          // Add new price data to history (keep last 90 days)
-          $push: {
-            priceHistory: {
-              $each: stockData.priceHistory,
-              $slice: -90
-            }
-          },
           lastUpdated: new Date()
         });
+
+        const changes = await this.updateStockCandles(stockData);
+        await this.updateStockIndicators(existingStock);
+        if (report) {
+          if (changes) {
+            report.record(changes);
+          } else {
+            report.fail(stockData.ticker, new Error('Failed to update candles'));
+          }
+        }
         
         logger.debug(`Updated stock data for ${stockData.ticker}`);
+
+        await alertService.checkStock({
+          ticker: stockData.ticker,
+          name: existingStock.name,
+          previousPrice: existingStock.currentPrice,
+          currentPrice: stockData.currentPrice,
+          changePercent: stockData.dayChangePercent
+        });
       } else {
         logger.warn(`Stock ${stockData.ticker} not found in database`);
+        if (report) {
+          report.fail(stockData.ticker, new Error('Stock not found in database'));
+        }
       }
     } catch (error) {
       logger.error(`Error updating stock ${stockData.ticker}:`, error.message);
+      if (report) {
+        report.fail(stockData.ticker, error);
+      }
     }
   }
 
-  // Sync mutual fund data
-  async syncMutualFundData() {
+  // Sync mutual fund data for every active fund, or just `symbols` (a retry)
+  async syncMutualFundData(options = {}) {
+    const report = await this.beginRun('mutual-funds', options);
+    if (!report) {
+      return null;
+    }
+
     try {
       logger.info('Starting mutual fund data synchronization');
 
-      // Get all active mutual funds from database
-      const funds = await MutualFund.find({ isActive: true }).select('schemeCode');
-      const schemeCodes = funds.map(fund => fund.schemeCode);
+      const schemeCodes = options.symbols || (await this.perSchemeSyncCodes());
 
       if (schemeCodes.length === 0) {
         logger.info('No mutual funds found in database for sync');
-        return;
+        report.message = 'No mutual funds to sync';
+        return report;
       }
 
       logger.info(`Syncing ${schemeCodes.length} mutual funds`);
 
+      // Benchmark series used for beta/alpha of every fund in this run
+      const benchmarkHistory = await riskService.getDefaultBenchmarkHistory();
+
       // Process funds in batches of 5 to avoid rate limiting
       const batchSize = 5;
       for (let i = 0; i < schemeCodes.length; i += batchSize) {
+        if (await this.isCancelRequested(report)) {
+          logger.info(`Mutual fund sync cancelled after ${i}/${schemeCodes.length} funds`);
+          report.cancel(schemeCodes.length - i);
+          break;
+        }
+
+        if (!providers.isAvailable('nav')) {
+          logger.warn(`NAV providers unavailable, stopping mutual fund sync after ${i}/${schemeCodes.length} funds`);
+          schemeCodes.slice(i).forEach(code => report.fail(String(code), new Error('NAV providers unavailable')));
+          break;
+        }
+
         const batch = schemeCodes.slice(i, i + batchSize);
         logger.info(`Processing MF batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(schemeCodes.length/batchSize)}`);
 
         try {
-          const fundsData = await amfiService.getMultipleMutualFunds(batch);
+          const fundsData = await amfiService.getMultipleMutualFunds(batch, {
+            onError: (schemeCode, error) => report.fail(String(schemeCode), error)
+          });
           
           // Update database with new data
           for (const fundData of fundsData) {
-            await this.updateMutualFundInDatabase(fundData);
+            await this.updateMutualFundInDatabase(fundData, { benchmarkHistory, report });
+          }
+
+          if (fundsData.length > 0) {
+            await cache.invalidate('mutual-funds');
           }
           
           // Wait 3 seconds between batches
           await this.sleep(3000);
         } catch (error) {
           logger.error(`Error processing MF batch: ${error.message}`);
+          batch.forEach(code => report.fail(String(code), error));
         }
       }
 
@@ -180,52 +470,307 @@ class DataSyncService {
       logger.info('Mutual fund data synchronization completed');
     } catch (error) {
       logger.error('Error in mutual fund data sync:', error.message);
+      report.abort(error);
+    } finally {
+      await this.finishRun(report);
+    }
+
+    return report;
+  }
+
+  // Schemes refreshed one by one from mfapi: those NAVAll does not list, and
+  // schemes held in a watchlist or portfolio, whose performance, risk metrics
+  // and alerts need the full history. NAVAll alone keeps every other scheme's
+  // NAV current, so this sync does not fetch the whole scheme universe.
+  async perSchemeSyncCodes() {
+    const [watched, held] = await Promise.all([
+      Watchlist.distinct('mutualFunds.schemeCode'),
+      // Includes stock tickers, which match no scheme code
+      Portfolio.distinct('transactions.symbol')
+    ]);
+
+    const funds = await MutualFund.find({
+      isActive: true,
+      $or: [
+        { inNavAll: { $ne: true } },
+        { schemeCode: { $in: Array.from(new Set([...watched, ...held])) } }
+      ]
+    }).select('schemeCode').lean();
+    return funds.map(fund => fund.schemeCode);
+  }
+
+  // Create/update every scheme from AMFI's NAVAll file and deactivate schemes
+  // that are no longer listed. `source` is a URL or file path.
+  async ingestNavAll(options = {}) {
+    const report = await this.beginRun('nav-all', options);
+    if (!report) {
+      return null;
+    }
+
+    try {
+      const summary = await navAllService.ingest({
+        source: options.source,
+        deactivateMissing: options.deactivateMissing !== false,
+        report
+      });
+      report.message = `${summary.created} created, ${summary.updated} updated, ` +
+        `${summary.reactivated} reactivated, ${summary.deactivated} deactivated`;
+
+      // Load the new schemes' history in the background; from the CLI the
+      // queued job is left for `node backfill.js --resume`
+      if (summary.backfillJob) {
+        report.message += `, backfill job ${summary.backfillJob} queued`;
+        if (report.trigger !== 'cli') {
+          await backfillService.start(summary.backfillJob);
+        }
+      }
+    } catch (error) {
+      logger.error('Error in NAVAll ingestion:', error.message);
+      report.abort(error);
+    } finally {
+      await this.finishRun(report);
+    }
+
+    return report;
+  }
+
+  // Merge the quote's recent daily bars into stored candles, backfilling
+  // multi-year history the first time a ticker is seen. Returns the changes.
+  async updateStockCandles(stockData) {
+    try {
+      let bars = stockData.priceHistory;
+      if (!(await candleService.hasCandles(stockData.ticker))) {
+        bars = await nseService.getStockHistory(stockData.ticker, '5y');
+      }
+
+      return await candleService.mergeCandles(stockData.ticker, bars, { source: 'sync' });
+    } catch (error) {
+      logger.error(`Error updating candles for ${stockData.ticker}:`, error.message);
+      return null;
+    }
+  }
+
+  // Refresh the screener's indicator snapshot from stored candles once the
+  // session has closed (the run just after the close), or when a stock has none
+  async updateStockIndicators(stock) {
+    if (marketCalendar.isMarketOpen() && stock.indicators && stock.indicators.asOf) {
+      return;
+    }
+
+    try {
+      const candles = await candleService.getCandles(stock.ticker, {
+        from: new Date(Date.now() - screenerService.historyLookbackDays * DAY_MS)
+      });
+      await Stock.updateOne({ _id: stock._id }, { $set: { indicators: screenerService.indicatorSnapshot(candles) } });
+    } catch (error) {
+      logger.error(`Error updating indicators for ${stock.ticker}:`, error.message);
     }
   }
 
   // Update mutual fund data in database
-  async updateMutualFundInDatabase(fundData) {
+  async updateMutualFundInDatabase(fundData, { benchmarkHistory = null, report = null } = {}) {
     try {
       const existingFund = await MutualFund.findOne({ schemeCode: fundData.schemeCode });
       
       if (existingFund) {
+        // Merge NAVs by date so re-syncing the same rows never duplicates them,
+        // and restated NAVs replace the stored value. Keep ~5 years, or more
+        // when a backfill job has already stored older history.
+        const merged = mergeByDate(existingFund.navHistory, fundData.navHistory, ['nav']);
+        const navHistory = merged.rows.slice(-Math.max(amfiService.historyLimit, existingFund.navHistory.length));
+
+        const performance = performanceService.calculatePerformance(navHistory, {
+          inceptionDate: fundData.inceptionDate,
+          inceptionNav: fundData.inceptionNav
+        });
+        const riskMetrics = riskService.calculateRiskMetrics(navHistory, { benchmarkHistory });
+
         // Update existing fund
         await MutualFund.findByIdAndUpdate(existingFund._id, {
           nav: fundData.nav,
           previousNav: fundData.previousNav,
           navDate: fundData.navDate,
-          // Add new NAV data to history (keep last 365 days)
-          $push: {
-            navHistory: {
-              $each: fundData.navHistory,
-              $slice: -365
-            }
-          },
+          inceptionDate: fundData.inceptionDate,
+          inceptionNav: fundData.inceptionNav,
+          // mfapi's scheme category is AMFI's; a name-based guess never
+          // overrides the stored classification
+          ...(fundData.categorySource === 'amfi' && {
+            category: fundData.category,
+            subCategory: fundData.subCategory,
+            categorySource: fundData.categorySource,
+            amfiCategory: fundData.amfiCategory
+          }),
+          ...(performance && { performance }),
+          ...(riskMetrics && { riskMetrics }),
+          navHistory,
           lastUpdated: new Date()
         });
         
         logger.debug(`Updated mutual fund data for ${fundData.schemeCode}`);
+
+        if (report) {
+          report.record({
+            symbol: String(fundData.schemeCode),
+            added: merged.added.length,
+            revised: merged.revised,
+            gaps: marketCalendar.missingBusinessDays(navHistory.map(row => dateKey(row.date)))
+          });
+        }
+
+        await alertService.checkMutualFund({
+          schemeCode: fundData.schemeCode,
+          schemeName: existingFund.schemeName,
+          previousNav: existingFund.nav,
+          nav: fundData.nav,
+          changePercent: fundData.previousNav > 0
+            ? (fundData.nav - fundData.previousNav) / fundData.previousNav * 100
+            : null
+        });
       } else {
         logger.warn(`Mutual fund ${fundData.schemeCode} not found in database`);
+        if (report) {
+          report.fail(String(fundData.schemeCode), new Error('Mutual fund not found in database'));
+        }
       }
     } catch (error) {
       logger.error(`Error updating mutual fund ${fundData.schemeCode}:`, error.message);
+      if (report) {
+        report.fail(String(fundData.schemeCode), error);
+      }
+    }
+  }
+
+  // Sync market index quotes, plus daily history when asked or not yet stored.
+  // `symbols` limits the run to those index codes.
+  async syncIndices({ includeHistory = false, ...options } = {}) {
+    const report = await this.beginRun(includeHistory ? 'index-history' : 'indices', options);
+    if (!report) {
+      return null;
+    }
+
+    try {
+      logger.info('Starting market indices synchronization');
+
+      const indices = options.symbols
+        ? indexCatalog.filter(index => options.symbols.includes(index.code))
+        : indexCatalog;
+
+      const quotes = await nseService.getMarketIndices(indices, {
+        onError: (code, error) => report.fail(code, error)
+      });
+      for (const quote of quotes) {
+        await this.updateIndexInDatabase(quote, { includeHistory, report });
+      }
+
+      if (quotes.length > 0) {
+        await cache.invalidate('indices');
+      }
+
+      this.lastIndexSync = new Date();
+      logger.info(`Market indices synchronization completed (${quotes.length}/${indices.length})`);
+    } catch (error) {
+      logger.error('Error in market indices sync:', error.message);
+      report.abort(error);
+    } finally {
+      await this.finishRun(report);
     }
+
+    return report;
   }
 
-  // Discover new penny stocks
-  async discoverPennyStocks() {
+  // Update index data in database
+  async updateIndexInDatabase(quote, { includeHistory = false, report = null } = {}) {
+    try {
+      const existingIndex = await Index.findOne({ code: quote.code }).select('history');
+      const storedHistory = existingIndex ? existingIndex.history : [];
+
+      const update = {
+        symbol: quote.symbol,
+        name: quote.name,
+        exchange: quote.exchange,
+        category: quote.category,
+        value: quote.value,
+        previousClose: quote.previousClose,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        dayHigh: quote.dayHigh,
+        dayLow: quote.dayLow,
+        high52Week: quote.high52Week,
+        low52Week: quote.low52Week,
+        intraday: quote.intraday,
+        quoteTime: quote.quoteTime,
+        isActive: true,
+        lastUpdated: new Date()
+      };
+
+      let changes = { symbol: quote.code };
+      if (includeHistory || storedHistory.length === 0) {
+        // Backfill 5 years the first time, then just the recent month
+        const range = storedHistory.length > 0 ? '1mo' : '5y';
+        const daily = await nseService.getIndexHistory(quote.symbol, range);
+        const merged = this.mergeDailyHistory(storedHistory, daily);
+        update.history = merged.rows;
+        update.historyUpdated = new Date();
+
+        changes = {
+          symbol: quote.code,
+          added: merged.added.length,
+          revised: merged.revised,
+          gaps: marketCalendar.missingBusinessDays(merged.rows.map(bar => dateKey(bar.date)))
+        };
+      }
+
+      await Index.findOneAndUpdate({ code: quote.code }, update, {
+        upsert: true,
+        setDefaultsOnInsert: true
+      });
+
+      // Quote-only refreshes still count as a successful instrument
+      if (report) {
+        report.record(changes);
+      }
+
+      logger.debug(`Updated index data for ${quote.code}`);
+    } catch (error) {
+      logger.error(`Error updating index ${quote.code}:`, error.message);
+      if (report) {
+        report.fail(quote.code, error);
+      }
+    }
+  }
+
+  // Merge daily bars by date (newer values win), oldest first
+  mergeDailyHistory(existing, incoming) {
+    const merged = mergeByDate(existing, incoming, ['open', 'high', 'low', 'close']);
+    return { ...merged, rows: merged.rows.slice(-this.indexHistoryLimit) };
+  }
+
+  // Discover new penny stocks from the candidate list, or just `symbols` (a retry)
+  async discoverPennyStocks(options = {}) {
+    const report = await this.beginRun('penny-discovery', options);
+    if (!report) {
+      return null;
+    }
+
     try {
       logger.info('Starting penny stocks discovery');
 
       // List of potential penny stock tickers to check
-      const potentialTickers = [
+      const potentialTickers = options.symbols || [
         'IDEA', 'YESBANK', 'SUZLON', 'RPOWER', 'JPASSOCIAT',
         'ZEEL', 'SAIL', 'COALINDIA', 'ONGC', 'IOB',
         // Add more tickers as needed
       ];
 
-      for (const ticker of potentialTickers) {
+      for (let i = 0; i < potentialTickers.length; i++) {
+        const ticker = potentialTickers[i];
+
+        if (await this.isCancelRequested(report)) {
+          logger.info(`Penny stocks discovery cancelled after ${i}/${potentialTickers.length} tickers`);
+          report.cancel(potentialTickers.length - i);
+          break;
+        }
+
         try {
           const stockData = await nseService.getStockData(ticker);
           
@@ -233,8 +778,10 @@ class DataSyncService {
           if (stockData.currentPrice <= 50) {
             await this.addPennyStockToDatabase(stockData);
           }
+          report.record({ symbol: ticker });
         } catch (error) {
-          logger.warn(`Could not fetch data for potential penny stock ${ticker}: ${error.message}`);
+          logger.warn(`Could not check potential penny stock ${ticker}: ${error.message}`);
+          report.fail(ticker, error);
         }
         
         // Wait 1 second between requests
@@ -244,7 +791,12 @@ class DataSyncService {
       logger.info('Penny stocks discovery completed');
     } catch (error) {
       logger.error('Error in penny stocks discovery:', error.message);
+      report.abort(error);
+    } finally {
+      await this.finishRun(report);
     }
+
+    return report;
   }
 
   // Add penny stock to database
@@ -254,8 +806,9 @@ class DataSyncService {
       
       if (!existingStock) {
         // Add new penny stock
+        const { priceHistory, ...quote } = stockData;
         const newStock = new Stock({
-          ...stockData,
+          ...quote,
           sector: this.guessSector(stockData.name),
           industry: this.guessIndustry(stockData.name),
           isPennyStock: true,
@@ -263,10 +816,13 @@ class DataSyncService {
         });
         
         await newStock.save();
+        await this.updateStockCandles(stockData);
+        await cache.invalidate('stocks');
         logger.info(`Added new penny stock: ${stockData.ticker} - ${stockData.name}`);
       }
     } catch (error) {
       logger.error(`Error adding penny stock ${stockData.ticker}:`, error.message);
+      throw error;
     }
   }
 
@@ -302,22 +858,142 @@ class DataSyncService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  // Schedule a cron job, kept so stopCronJobs can stop it
+  schedule(expression, task, options) {
+    this.cronJobs.push(cron.schedule(expression, task, options));
+  }
+
+  stopCronJobs() {
+    this.cronJobs.forEach(job => job.stop());
+    this.cronJobs = [];
+
+    // Let other instances take over without waiting for the leases to expire
+    this.activeRuns.forEach(report => {
+      report.cancelRequested = true;
+    });
+    lockService.releaseAll()
+      .catch(error => logger.error('Error releasing leases:', error.message));
+  }
+
   // Get sync status
   getSyncStatus() {
     return {
-      isRunning: this.isRunning,
+      instance: lockService.instance,
+      isRunning: this.activeRuns.has('stocks'),
+      activeRuns: Array.from(this.activeRuns.values()).map(report => report.toJSON()),
       lastStockSync: this.lastStockSync,
-      lastMutualFundSync: this.lastMutualFundSync
+      lastMutualFundSync: this.lastMutualFundSync,
+      lastIndexSync: this.lastIndexSync,
+      lastReports: this.syncReports.slice(-5).map(report => report.toJSON())
     };
   }
 
+  // Entry point of each sync type
+  runners() {
+    return {
+      stocks: opts => this.syncStockData(opts),
+      'mutual-funds': opts => this.syncMutualFundData(opts),
+      indices: opts => this.syncIndices(opts),
+      'index-history': opts => this.syncIndices({ ...opts, includeHistory: true }),
+      'penny-discovery': opts => this.discoverPennyStocks(opts),
+      'nav-all': opts => this.ingestNavAll(opts)
+    };
+  }
+
+  // Start a run in the background for the admin API and return its report
+  // once the SyncRun is recorded
+  async triggerSync(type, options = {}) {
+    const runners = this.runners();
+
+    if (!runners[type]) {
+      throw Object.assign(new Error(`Unknown sync type: ${type}`), { statusCode: 400 });
+    }
+    const running = this.conflictingRun(type);
+    if (running) {
+      throw Object.assign(new Error(`A ${running} sync is already running`), { statusCode: 409 });
+    }
+
+    const report = await this.beginRun(type, options);
+    if (!report) {
+      throw Object.assign(new Error(`A ${type} sync is running on another instance`), { statusCode: 409 });
+    }
+    runners[type]({ ...options, report })
+      .catch(error => logger.error(`${type} sync crashed:`, error.message));
+
+    return report;
+  }
+
+  // Ask a running sync to stop after its current batch
+  async cancelRun(runId) {
+    const run = await this.findRun(runId);
+    if (run.status !== 'running') {
+      throw Object.assign(new Error(`Sync run is ${run.status}`), { statusCode: 400 });
+    }
+
+    run.cancelRequested = true;
+    await run.save();
+
+    const report = this.activeRuns.get(run.type);
+    if (report && String(report.runId) === String(run._id)) {
+      report.cancelRequested = true;
+    }
+
+    logger.info(`Cancellation requested for ${run.type} sync run ${run._id}`);
+    return run;
+  }
+
+  // Start a new run of the same type covering the failed items of `runId`,
+  // or everything it covered when it was interrupted
+  async retryRun(runId, { requestedBy = null } = {}) {
+    const run = await this.findRun(runId);
+    if (run.status === 'running') {
+      throw Object.assign(new Error('Sync run is still running'), { statusCode: 400 });
+    }
+    // The whole file is re-read anyway; trigger a new ingestion instead
+    if (run.type === 'nav-all') {
+      throw Object.assign(new Error('NAVAll runs cannot be retried per item'), { statusCode: 400 });
+    }
+
+    // Progress is only stored when a run finishes, so an interrupted run is
+    // repeated in full
+    const symbols = run.status === 'interrupted'
+      ? run.symbols
+      : run.failures.map(failure => failure.symbol);
+    if (symbols.length === 0 && run.status !== 'interrupted') {
+      throw Object.assign(new Error('Sync run has no failed items to retry'), { statusCode: 400 });
+    }
+
+    return this.triggerSync(run.type, {
+      symbols: symbols.length > 0 ? symbols : null,
+      trigger: 'retry',
+      retryOf: run._id,
+      requestedBy
+    });
+  }
+
+  // A stored run, after settling whether a 'running' one is still alive
+  async findRun(runId) {
+    let run = await SyncRun.findById(runId);
+    if (!run) {
+      throw Object.assign(new Error('Sync run not found'), { statusCode: 404 });
+    }
+    if (run.status === 'running' && await this.reconcileRuns([run.type]) > 0) {
+      run = await SyncRun.findById(runId);
+    }
+    return run;
+  }
+
   // Force sync (for manual triggers)
-  async forceSyncStocks() {
-    await this.syncStockData();
+  async forceSyncStocks(options = {}) {
+    return this.syncStockData({ trigger: 'admin', ...options });
+  }
+
+  async forceSyncMutualFunds(options = {}) {
+    return this.syncMutualFundData({ trigger: 'admin', ...options });
   }
 
-  async forceSyncMutualFunds() {
-    await this.syncMutualFundData();
+  async forceSyncIndices(options = {}) {
+    return this.syncIndices({ trigger: 'admin', ...options, includeHistory: true });
   }
 }
 
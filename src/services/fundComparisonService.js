@@ -0,0 +1,180 @@
+const MutualFund = require('../models/MutualFund');
+const riskService = require('./riskService');
+const navNormalizer = require('./navNormalizer');
+const { toSeries, subtractMonths, dateKey } = require('../utils/series');
+
+// Side-by-side comparison of up to five funds: NAVs rebased to 100 on a
+// common start date, trailing returns, risk metrics, costs and the
+// correlation of their daily returns.
+class FundComparisonService {
+  constructor() {
+    // Optional trailing window; without one the whole common history is used
+    this.periods = { '1Y': 12, '3Y': 36, '5Y': 60 };
+  }
+
+  async compare(schemeCodes, { period = null } = {}) {
+    const codes = Array.from(new Set(schemeCodes));
+
+    const funds = await MutualFund.find({ schemeCode: { $in: codes }, isActive: true })
+      .select('schemeCode schemeName fundHouse category subCategory plan option nav navDate navHistory performance riskMetrics expenseRatio exitLoad minInvestment sipMinInvestment')
+      .lean();
+
+    const missing = codes.filter(code => !funds.some(fund => fund.schemeCode === code));
+    if (missing.length > 0) {
+      throw this.error(404, `Mutual fund not found: ${missing.join(', ')}`);
+    }
+
+    // Keep the order the codes were requested in
+    funds.sort((a, b) => codes.indexOf(a.schemeCode) - codes.indexOf(b.schemeCode));
+
+    const aligned = this.alignSeries(funds.map(fund => toSeries(fund.navHistory)), { period });
+    if (!aligned) {
+      throw this.error(400, 'Funds have no NAV history in common to compare');
+    }
+
+    let benchmarkHistory;
+    const riskMetrics = async fund => {
+      if (fund.riskMetrics && fund.riskMetrics.calculatedAt) {
+        return fund.riskMetrics;
+      }
+      // Loaded once, and only when some fund has no stored metrics
+      if (benchmarkHistory === undefined) {
+        benchmarkHistory = await riskService.getDefaultBenchmarkHistory();
+      }
+      return riskService.calculateRiskMetrics(fund.navHistory, { benchmarkHistory });
+    };
+
+    const summaries = [];
+    for (const fund of funds) {
+      summaries.push({
+        schemeCode: fund.schemeCode,
+        schemeName: fund.schemeName,
+        fundHouse: fund.fundHouse,
+        category: fund.category,
+        subCategory: fund.subCategory,
+        plan: fund.plan || null,
+        option: fund.option || null,
+        nav: fund.nav,
+        navDate: fund.navDate,
+        performance: fund.performance || null,
+        riskMetrics: await riskMetrics(fund),
+        expenseRatio: fund.expenseRatio !== undefined ? fund.expenseRatio : null,
+        exitLoad: fund.exitLoad,
+        minInvestment: fund.minInvestment,
+        sipMinInvestment: fund.sipMinInvestment
+      });
+    }
+
+    return {
+      codes,
+      period: period || 'max',
+      startDate: aligned.dates[0],
+      endDate: aligned.dates[aligned.dates.length - 1],
+      observations: aligned.dates.length,
+      funds: summaries,
+      navSeries: aligned.dates.map((date, row) => ({
+        date,
+        values: Object.fromEntries(codes.map((code, column) => [
+          code,
+          this.round(aligned.values[column][row] / aligned.values[column][0] * 100)
+        ])),
+        // Funds whose value on this day is carried forward from an earlier NAV
+        filled: codes.filter((code, column) => aligned.filled[column][row])
+      })),
+      correlation: {
+        codes,
+        matrix: this.correlationMatrix(this.publishedReturns(aligned))
+      }
+    };
+  }
+
+  // Align every series to the business days from the latest first date (and
+  // the trailing period, if any) to the earliest last date. Days a fund did
+  // not publish carry its previous NAV forward and are flagged in `filled`.
+  alignSeries(seriesList, { period = null } = {}) {
+    if (seriesList.some(series => series.length < 2)) {
+      return null;
+    }
+
+    const endTime = Math.min(...seriesList.map(series => series[series.length - 1].date.getTime()));
+    let startTime = Math.max(...seriesList.map(series => series[0].date.getTime()));
+    if (period) {
+      startTime = Math.max(startTime, subtractMonths(new Date(endTime), this.periods[period]).getTime());
+    }
+    if (startTime >= endTime) {
+      return null;
+    }
+
+    // Every series starts on or before startTime and is aligned to the same
+    // published days, so all share the same days
+    const publishedDays = new Set(seriesList.flatMap(series => series.map(point => dateKey(point.date))));
+    const aligned = seriesList.map(series => navNormalizer.align(
+      series.map(point => ({ date: point.date, nav: point.value })),
+      { from: new Date(startTime), to: new Date(endTime), publishedDays }
+    ));
+    if (aligned[0].length < 2) {
+      return null;
+    }
+
+    return {
+      dates: aligned[0].map(row => row.date),
+      values: aligned.map(rows => rows.map(row => row.nav)),
+      filled: aligned.map(rows => rows.map(row => row.filled))
+    };
+  }
+
+  // Daily returns of each fund over the days every fund published a NAV, so
+  // forward-filled days do not show up as zero returns
+  publishedReturns(aligned) {
+    const published = aligned.dates
+      .map((date, row) => row)
+      .filter(row => aligned.filled.every(flags => !flags[row]));
+    return aligned.values.map(values => this.dailyReturns(published.map(row => values[row])));
+  }
+
+  dailyReturns(values) {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+      returns.push(values[i] / values[i - 1] - 1);
+    }
+    return returns;
+  }
+
+  // Pearson correlation of every pair of return series (aligned by index)
+  correlationMatrix(returnsList) {
+    return returnsList.map((a, i) => returnsList.map((b, j) => (i === j ? 1 : this.correlation(a, b))));
+  }
+
+  correlation(a, b) {
+    if (a.length < 2) {
+      return null;
+    }
+
+    const meanA = riskService.mean(a);
+    const meanB = riskService.mean(b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += Math.pow(a[i] - meanA, 2);
+      varianceB += Math.pow(b[i] - meanB, 2);
+    }
+
+    return varianceA > 0 && varianceB > 0
+      ? parseFloat((covariance / Math.sqrt(varianceA * varianceB)).toFixed(4))
+      : null;
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+
+  error(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new FundComparisonService();
@@ -0,0 +1,279 @@
+class IndicatorService {
+  constructor() {
+    // Supported indicators and their default lookback when none is given (e.g. "rsi" = "rsi14")
+    this.definitions = {
+      sma: { defaultPeriod: 20 },
+      ema: { defaultPeriod: 20 },
+      rsi: { defaultPeriod: 14 },
+      macd: { defaultPeriod: null },
+      bbands: { defaultPeriod: 20 },
+      atr: { defaultPeriod: 14 },
+      vwap: { defaultPeriod: null },
+      obv: { defaultPeriod: null }
+    };
+
+    this.maxIndicators = 12;
+    this.maxPeriod = 250;
+  }
+
+  // Parse "sma20,ema50,rsi14,macd" into [{ key, name, period }]
+  parseSet(set) {
+    const tokens = String(set || '')
+      .split(',')
+      .map(token => token.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (tokens.length === 0) {
+      throw this.badRequest('At least one indicator is required');
+    }
+
+    if (tokens.length > this.maxIndicators) {
+      throw this.badRequest(`A maximum of ${this.maxIndicators} indicators can be requested at once`);
+    }
+
+    const specs = new Map();
+    tokens.forEach(token => {
+      const match = token.match(/^([a-z]+)(\d+)?$/);
+      const definition = match && this.definitions[match[1]];
+
+      if (!definition) {
+        throw this.badRequest(`Unknown indicator: ${token}. Supported: ${Object.keys(this.definitions).join(', ')}`);
+      }
+
+      const name = match[1];
+      if (match[2] && definition.defaultPeriod === null) {
+        throw this.badRequest(`Indicator ${name} does not take a period`);
+      }
+
+      const period = match[2] ? parseInt(match[2], 10) : definition.defaultPeriod;
+      if (period !== null && (period < 2 || period > this.maxPeriod)) {
+        throw this.badRequest(`Period for ${name} must be between 2 and ${this.maxPeriod}`);
+      }
+
+      const key = period === null ? name : `${name}${period}`;
+      specs.set(key, { key, name, period });
+    });
+
+    return Array.from(specs.values());
+  }
+
+  // Compute the requested indicators over ascending OHLCV candles.
+  // Every series has one entry per candle, null until the indicator has enough data.
+  // VWAP accumulates from vwapAnchor (the first candle of the displayed period).
+  calculate(candles, specs, { vwapAnchor = 0 } = {}) {
+    const closes = candles.map(c => c.close);
+    const result = {};
+
+    specs.forEach(spec => {
+      switch (spec.name) {
+        case 'sma':
+          result[spec.key] = this.round(this.sma(closes, spec.period));
+          break;
+        case 'ema':
+          result[spec.key] = this.round(this.ema(closes, spec.period));
+          break;
+        case 'rsi':
+          result[spec.key] = this.round(this.rsi(closes, spec.period));
+          break;
+        case 'macd': {
+          const macd = this.macd(closes);
+          result[spec.key] = {
+            macd: this.round(macd.macd),
+            signal: this.round(macd.signal),
+            histogram: this.round(macd.histogram)
+          };
+          break;
+        }
+        case 'bbands': {
+          const bands = this.bollingerBands(closes, spec.period);
+          result[spec.key] = {
+            upper: this.round(bands.upper),
+            middle: this.round(bands.middle),
+            lower: this.round(bands.lower)
+          };
+          break;
+        }
+        case 'atr':
+          result[spec.key] = this.round(this.atr(candles, spec.period));
+          break;
+        case 'vwap':
+          result[spec.key] = this.round(this.vwap(candles, vwapAnchor));
+          break;
+        case 'obv':
+          result[spec.key] = this.obv(candles);
+          break;
+      }
+    });
+
+    return result;
+  }
+
+  // Simple moving average
+  sma(values, period) {
+    const output = new Array(values.length).fill(null);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) {
+        sum -= values[i - period];
+      }
+      if (i >= period - 1) {
+        output[i] = sum / period;
+      }
+    }
+
+    return output;
+  }
+
+  // Exponential moving average, seeded with the SMA of the first `period` values.
+  // Leading nulls in the input (e.g. an EMA of the MACD line) are skipped.
+  ema(values, period) {
+    const output = new Array(values.length).fill(null);
+    const start = values.findIndex(v => v !== null && v !== undefined);
+    if (start === -1 || values.length - start < period) {
+      return output;
+    }
+
+    const multiplier = 2 / (period + 1);
+    let previous = 0;
+    for (let i = start; i < start + period; i++) {
+      previous += values[i];
+    }
+    previous /= period;
+    output[start + period - 1] = previous;
+
+    for (let i = start + period; i < values.length; i++) {
+      previous = (values[i] - previous) * multiplier + previous;
+      output[i] = previous;
+    }
+
+    return output;
+  }
+
+  // Relative strength index using Wilder's smoothing
+  rsi(values, period) {
+    const output = new Array(values.length).fill(null);
+    if (values.length <= period) {
+      return output;
+    }
+
+    let gains = 0;
+    let losses = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = values[i] - values[i - 1];
+      if (change > 0) gains += change;
+      else losses -= change;
+    }
+
+    let avgGain = gains / period;
+    let avgLoss = losses / period;
+    const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    output[period] = toRsi();
+
+    for (let i = period + 1; i < values.length; i++) {
+      const change = values[i] - values[i - 1];
+      avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+      avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+      output[i] = toRsi();
+    }
+
+    return output;
+  }
+
+  // MACD (12, 26, 9)
+  macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+    const fastEma = this.ema(values, fast);
+    const slowEma = this.ema(values, slow);
+    const macd = values.map((v, i) => (
+      fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+    ));
+    const signal = this.ema(macd, signalPeriod);
+    const histogram = macd.map((v, i) => (v !== null && signal[i] !== null ? v - signal[i] : null));
+
+    return { macd, signal, histogram };
+  }
+
+  // Bollinger bands: SMA +/- 2 population standard deviations
+  bollingerBands(values, period, multiplier = 2) {
+    const middle = this.sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    for (let i = period - 1; i < values.length; i++) {
+      const window = values.slice(i - period + 1, i + 1);
+      const variance = window.reduce((sum, v) => sum + Math.pow(v - middle[i], 2), 0) / period;
+      const deviation = Math.sqrt(variance);
+      upper[i] = middle[i] + multiplier * deviation;
+      lower[i] = middle[i] - multiplier * deviation;
+    }
+
+    return { upper, middle, lower };
+  }
+
+  // Average true range using Wilder's smoothing
+  atr(candles, period) {
+    const output = new Array(candles.length).fill(null);
+    if (candles.length <= period) {
+      return output;
+    }
+
+    const trueRanges = candles.map((candle, i) => {
+      if (i === 0) return candle.high - candle.low;
+      const previousClose = candles[i - 1].close;
+      return Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - previousClose),
+        Math.abs(candle.low - previousClose)
+      );
+    });
+
+    let previous = trueRanges.slice(1, period + 1).reduce((sum, tr) => sum + tr, 0) / period;
+    output[period] = previous;
+    for (let i = period + 1; i < candles.length; i++) {
+      previous = (previous * (period - 1) + trueRanges[i]) / period;
+      output[i] = previous;
+    }
+
+    return output;
+  }
+
+  // Volume weighted average price, cumulative from the anchor candle
+  vwap(candles, anchor = 0) {
+    let cumulativeValue = 0;
+    let cumulativeVolume = 0;
+
+    return candles.map((candle, i) => {
+      if (i < anchor) return null;
+      const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+      cumulativeValue += typicalPrice * (candle.volume || 0);
+      cumulativeVolume += candle.volume || 0;
+      return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+    });
+  }
+
+  // On-balance volume
+  obv(candles) {
+    let total = 0;
+
+    return candles.map((candle, i) => {
+      if (i > 0) {
+        if (candle.close > candles[i - 1].close) total += candle.volume || 0;
+        else if (candle.close < candles[i - 1].close) total -= candle.volume || 0;
+      }
+      return total;
+    });
+  }
+
+  round(series) {
+    return series.map(v => (v === null || !isFinite(v) ? null : parseFloat(v.toFixed(4))));
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new IndicatorService();
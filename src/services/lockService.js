@@ -0,0 +1,166 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lease = require('../models/Lease');
+const logger = require('../utils/logger');
+
+// MongoDB-backed lease locks, so that with several API replicas only one of
+// them runs a given sync or polls upstream prices at a time.
+//
+// A lease is a document keyed by lock name with an owner and an expiry.
+// Taking it is a single conditional upsert: it succeeds when the lease is
+// missing, expired, or already ours, and fails on the unique _id otherwise.
+// Long-running holders extend the expiry from a heartbeat; if an instance
+// dies, its leases run out after `ttlMs` and another instance takes over.
+class LockService {
+  constructor() {
+    // Unique per process, so a restarted instance never inherits old leases
+    this.instance = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.ttlMs = parseInt(process.env.LOCK_TTL_MS, 10) || 60000;
+    // Leases this process believes it holds, with their heartbeat timers
+    this.owned = new Map();
+  }
+
+  // Take or extend a lease; false when another instance holds it
+  async acquire(name, { ttlMs = this.ttlMs } = {}) {
+    const now = new Date();
+    const update = {
+      owner: this.instance,
+      expiresAt: new Date(now.getTime() + ttlMs),
+      heartbeatAt: now
+    };
+    if (!this.owned.has(name)) {
+      update.acquiredAt = now;
+    }
+
+    try {
+      await Lease.findOneAndUpdate(
+        { _id: name, $or: [{ owner: this.instance }, { expiresAt: { $lte: now } }] },
+        { $set: update },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Duplicate key: the lease exists and belongs to someone else
+      if (error.code !== 11000) {
+        logger.error(`Error acquiring lease ${name}:`, error.message);
+      }
+      this.forget(name);
+      return false;
+    }
+
+    if (!this.owned.has(name)) {
+      this.owned.set(name, { timer: null, acquiredAt: now });
+      logger.debug(`Acquired lease ${name}`);
+    }
+    return true;
+  }
+
+  // Extend a lease we hold; false once another instance has taken it over
+  async renew(name, { ttlMs = this.ttlMs } = {}) {
+    const now = new Date();
+    try {
+      const result = await Lease.updateOne(
+        { _id: name, owner: this.instance },
+        { $set: { expiresAt: new Date(now.getTime() + ttlMs), heartbeatAt: now } }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      // Keep trying; if the lease lapses meanwhile the next renewal says so
+      logger.error(`Error renewing lease ${name}:`, error.message);
+      return true;
+    }
+  }
+
+  // Acquire a lease and keep it alive until the returned handle is released.
+  // `onLost` is called if a renewal finds another owner. Returns null when
+  // the lease is held elsewhere.
+  async hold(name, { ttlMs = this.ttlMs, onLost = null } = {}) {
+    if (!(await this.acquire(name, { ttlMs }))) {
+      return null;
+    }
+
+    const timer = setInterval(async () => {
+      if (await this.renew(name, { ttlMs })) {
+        return;
+      }
+
+      logger.warn(`Lost lease ${name} to another instance`);
+      this.forget(name);
+      if (onLost) {
+        onLost();
+      }
+    }, Math.max(1000, Math.floor(ttlMs / 3)));
+    timer.unref();
+    this.owned.get(name).timer = timer;
+
+    return {
+      name,
+      release: (options) => this.release(name, options)
+    };
+  }
+
+  // Give a lease up. With `holdUntil` in the future the lease is kept (but
+  // no longer renewed) until then, so an instance whose cron fires a few
+  // seconds later does not repeat a run that just finished.
+  async release(name, { holdUntil = null } = {}) {
+    this.forget(name);
+
+    try {
+      if (holdUntil && holdUntil > new Date()) {
+        await Lease.updateOne({ _id: name, owner: this.instance }, { $set: { expiresAt: holdUntil } });
+      } else {
+        await Lease.deleteOne({ _id: name, owner: this.instance });
+      }
+    } catch (error) {
+      // It expires on its own
+      logger.error(`Error releasing lease ${name}:`, error.message);
+    }
+  }
+
+  async releaseAll() {
+    await Promise.all(Array.from(this.owned.keys()).map(name => this.release(name)));
+  }
+
+  // Run `fn` under a lease; skipped (acquired: false) when held elsewhere
+  async withLock(name, fn, options = {}) {
+    const lease = await this.hold(name, options);
+    if (!lease) {
+      logger.info(`Lease ${name} is held by another instance, skipping`);
+      return { acquired: false };
+    }
+
+    try {
+      return { acquired: true, result: await fn() };
+    } finally {
+      await lease.release();
+    }
+  }
+
+  // Current holder of each of `names` whose lease has not expired
+  async owners(names) {
+    const leases = await Lease.find({ _id: { $in: names }, expiresAt: { $gt: new Date() } })
+      .select('owner')
+      .lean();
+    return new Map(leases.map(lease => [lease._id, lease.owner]));
+  }
+
+  forget(name) {
+    const entry = this.owned.get(name);
+    if (entry && entry.timer) {
+      clearInterval(entry.timer);
+    }
+    this.owned.delete(name);
+  }
+
+  status() {
+    return {
+      instance: this.instance,
+      ttlMs: this.ttlMs,
+      leases: Array.from(this.owned.entries()).map(([name, entry]) => ({
+        name,
+        acquiredAt: entry.acquiredAt
+      }))
+    };
+  }
+}
+
+module.exports = new LockService();
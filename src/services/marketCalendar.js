@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { DAY_MS } = require('../utils/series');
+const logger = require('../utils/logger');
+
+// India has no daylight saving, so IST is always UTC+05:30
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Used when the holiday file cannot be read
+const defaultRegularSession = [
+  { phase: 'pre_open', start: '09:00', end: '09:15' },
+  { phase: 'normal', start: '09:15', end: '15:30' },
+  { phase: 'post_close', start: '15:30', end: '16:00' }
+];
+
+class MarketCalendar {
+  constructor() {
+    this.timezone = 'Asia/Kolkata';
+    // How far ahead to look for the next session (covers long holiday runs)
+    this.searchDays = 30;
+
+    this.load(process.env.MARKET_HOLIDAYS_FILE || path.join(__dirname, '../config/marketHolidays.json'));
+  }
+
+  // Load holidays and special sessions from a JSON file; see config/marketHolidays.json
+  load(file) {
+    try {
+      const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+      this.regularSession = config.regularSession || defaultRegularSession;
+      this.holidays = new Map((config.holidays || []).map(holiday => [holiday.date, holiday.name]));
+      this.specialSessions = new Map((config.specialSessions || []).map(session => [session.date, session]));
+      this.source = file;
+
+      logger.info(`Loaded market calendar from ${file}: ${this.holidays.size} holidays, ${this.specialSessions.size} special sessions`);
+    } catch (error) {
+      logger.error(`Failed to load market calendar from ${file}, treating only weekends as holidays: ${error.message}`);
+      this.regularSession = defaultRegularSession;
+      this.holidays = new Map();
+      this.specialSessions = new Map();
+      this.source = null;
+    }
+
+    this.coveredYears = new Set(Array.from(this.holidays.keys()).map(date => date.slice(0, 4)));
+  }
+
+  // IST calendar date (YYYY-MM-DD) of an instant
+  istDateKey(date = new Date()) {
+    return new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  // IST wall-clock time on an IST date, as a UTC instant
+  istTime(dayKey, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(Date.parse(`${dayKey}T00:00:00.000Z`) + (hours * 60 + minutes) * 60 * 1000 - IST_OFFSET_MS);
+  }
+
+  addDays(dayKey, days) {
+    return new Date(Date.parse(`${dayKey}T00:00:00.000Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  isWeekend(dayKey) {
+    const weekday = new Date(`${dayKey}T00:00:00.000Z`).getUTCDay();
+    return weekday === 0 || weekday === 6;
+  }
+
+  // Session phases on an IST date. Special sessions (e.g. Muhurat trading)
+  // run even on holidays and weekends.
+  sessionsFor(dayKey) {
+    const special = this.specialSessions.get(dayKey);
+    let phases = [];
+    let name = null;
+
+    if (special) {
+      phases = special.phases;
+      name = special.name;
+    } else if (!this.isWeekend(dayKey) && !this.holidays.has(dayKey)) {
+      phases = this.regularSession;
+    }
+
+    return phases.map(phase => ({
+      phase: phase.phase,
+      session: name,
+      start: this.istTime(dayKey, phase.start),
+      end: this.istTime(dayKey, phase.end)
+    }));
+  }
+
+  isTradingDay(date = new Date()) {
+    return this.sessionsFor(this.istDateKey(date)).some(phase => phase.phase === 'normal');
+  }
+
+  // Current phase: pre_open, normal, post_close or closed
+  getPhase(now = new Date()) {
+    const current = this.sessionsFor(this.istDateKey(now))
+      .find(phase => phase.start <= now && now < phase.end);
+
+    return current
+      ? { phase: current.phase, session: current.session, endsAt: current.end }
+      : { phase: 'closed', session: null, endsAt: null };
+  }
+
+  isMarketOpen(now = new Date()) {
+    return this.getPhase(now).phase === 'normal';
+  }
+
+  // Next normal-session boundary after `now` ('start' for the next open, 'end' for the next close)
+  nextBoundary(now, edge) {
+    const today = this.istDateKey(now);
+    for (let offset = 0; offset <= this.searchDays; offset++) {
+      const match = this.sessionsFor(this.addDays(today, offset))
+        .find(phase => phase.phase === 'normal' && phase[edge] > now);
+      if (match) {
+        return { at: match[edge], session: match.session };
+      }
+    }
+    return null;
+  }
+
+  // End of the most recent normal session at or before `now`
+  lastClose(now = new Date()) {
+    const today = this.istDateKey(now);
+    for (let offset = 0; offset <= this.searchDays; offset++) {
+      const match = this.sessionsFor(this.addDays(today, -offset))
+        .filter(phase => phase.phase === 'normal' && phase.end <= now)
+        .pop();
+      if (match) {
+        return match.end;
+      }
+    }
+    return null;
+  }
+
+  nextOpen(now = new Date()) {
+    return this.nextBoundary(now, 'start');
+  }
+
+  nextClose(now = new Date()) {
+    return this.nextBoundary(now, 'end');
+  }
+
+  // True when a normal session ended within the last `minutes`, for after-close jobs
+  closedWithin(minutes, now = new Date()) {
+    const since = new Date(now.getTime() - minutes * 60 * 1000);
+    return this.sessionsFor(this.istDateKey(now))
+      .some(phase => phase.phase === 'normal' && phase.end > since && phase.end <= now);
+  }
+
+  // Regular business day: a weekday that is not an exchange holiday
+  isBusinessDay(dayKey) {
+    return !this.isWeekend(dayKey) && !this.holidays.has(dayKey);
+  }
+
+  // Whether the holiday file lists the holidays of the day's year
+  coversDay(dayKey) {
+    return this.coveredYears.has(dayKey.slice(0, 4));
+  }
+
+  // Business days between the first and last of `dayKeys` that are missing from
+  // it. Only years covered by the holiday file are checked, since elsewhere a
+  // holiday would be reported as a gap.
+  missingBusinessDays(dayKeys) {
+    const present = new Set(dayKeys);
+    const sorted = Array.from(present).sort();
+    const missing = [];
+    if (sorted.length < 2) {
+      return missing;
+    }
+
+    const last = sorted[sorted.length - 1];
+    for (let day = this.addDays(sorted[0], 1); day < last; day = this.addDays(day, 1)) {
+      if (!present.has(day) && this.coversDay(day) && this.isBusinessDay(day)) {
+        missing.push(day);
+      }
+    }
+    return missing;
+  }
+
+  holidaysFor(year) {
+    return Array.from(this.holidays.entries())
+      .filter(([date]) => !year || date.startsWith(String(year)))
+      .map(([date, name]) => ({
+        date,
+        name,
+        weekday: new Date(`${date}T00:00:00.000Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+      }))
+      .sort((a, b) => (a.date < b.date ? -1 : 1));
+  }
+
+  specialSessionsFor(year) {
+    return Array.from(this.specialSessions.values())
+      .filter(session => !year || session.date.startsWith(String(year)))
+      .sort((a, b) => (a.date < b.date ? -1 : 1));
+  }
+
+  // Snapshot for /api/market/status
+  getStatus(now = new Date()) {
+    const dayKey = this.istDateKey(now);
+    const { phase, session } = this.getPhase(now);
+    const nextOpen = this.nextOpen(now);
+    const nextClose = this.nextClose(now);
+    const year = dayKey.slice(0, 4);
+
+    return {
+      isOpen: phase === 'normal',
+      phase,
+      session,
+      isTradingDay: this.isTradingDay(now),
+      holiday: this.holidays.get(dayKey) || null,
+      date: dayKey,
+      currentTime: now.toISOString(),
+      nextOpen: nextOpen ? nextOpen.at.toISOString() : null,
+      nextClose: nextClose ? nextClose.at.toISOString() : null,
+      marketOpenTime: this.regularSession.find(p => p.phase === 'normal').start,
+      marketCloseTime: this.regularSession.find(p => p.phase === 'normal').end,
+      timezone: this.timezone,
+      // Holidays for a year not in the file are unknown, not absent
+      calendarCoversYear: this.coveredYears.has(year)
+    };
+  }
+}
+
+module.exports = new MarketCalendar();
@@ -0,0 +1,378 @@
+const fs = require('fs').promises;
+const axios = require('axios');
+const MutualFund = require('../models/MutualFund');
+const schemeClassifier = require('./schemeClassifier');
+const schemeVariantService = require('./schemeVariantService');
+const amfiService = require('./amfiService');
+const backfillService = require('./backfillService');
+const cache = require('./cache');
+const logger = require('../utils/logger');
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Ingests AMFI's NAVAll.txt: the latest NAV of every scheme in one file.
+//
+// The file is semicolon-delimited with one scheme per row:
+//
+//   Scheme Code;ISIN Div Payout/ ISIN Growth;ISIN Div Reinvestment;Scheme Name;Net Asset Value;Date
+//   Open Ended Schemes(Equity Scheme - Large Cap Fund)
+//   Axis Mutual Fund
+//   120465;INF846K01DP8;-;Axis Bluechip Fund - Direct Plan - Growth;58.12;17-Oct-2024
+//
+// Rows are grouped under a scheme type header (type and AMFI category) and
+// then a fund house line; both apply to every row until the next header.
+class NavAllService {
+  constructor() {
+    this.defaultUrl = process.env.AMFI_NAVALL_URL || 'https://www.amfiindia.com/spages/NAVAll.txt';
+    this.timeout = 60000;
+    this.batchSize = 1000;
+    // Only deactivate missing schemes when the file covers at least this share
+    // of the active ones, so a truncated download cannot retire the catalogue
+    this.minCoverage = 0.5;
+  }
+
+  // Read NAVAll text from an http(s) URL or a local file path
+  async load(source = this.defaultUrl) {
+    if (/^https?:\/\//i.test(source)) {
+      logger.info(`Downloading NAVAll data from ${source}`);
+      const response = await axios.get(source, {
+        timeout: this.timeout,
+        responseType: 'text',
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; StockInfoBot/1.0)' }
+      });
+      return response.data;
+    }
+
+    logger.info(`Reading NAVAll data from ${source}`);
+    return fs.readFile(source, 'utf8');
+  }
+
+  // Parse NAVAll text into scheme rows. Rows that cannot be parsed are
+  // returned in `invalid`; schemes without a NAV ('N.A.') keep nav: null.
+  parse(text) {
+    const schemes = [];
+    const invalid = [];
+    let schemeType = null;
+    let amfiCategory = null;
+    let fundHouse = null;
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || /^Scheme Code;/i.test(line)) {
+        return;
+      }
+
+      if (!line.includes(';')) {
+        const header = line.match(/^(.*Schemes?)\s*\((.*)\)$/i);
+        if (header) {
+          schemeType = header[1].trim();
+          amfiCategory = header[2].trim();
+          fundHouse = null;
+        } else {
+          fundHouse = line;
+        }
+        return;
+      }
+
+      const fields = line.split(';').map(field => field.trim());
+      const [schemeCode, isinGrowth, isinDivReinvestment, schemeName, navText, dateText] = fields;
+      const lineNumber = index + 1;
+
+      if (fields.length < 6 || !/^\d+$/.test(schemeCode) || !schemeName) {
+        invalid.push({ line: lineNumber, symbol: schemeCode || null, reason: 'Malformed row' });
+        return;
+      }
+      if (!fundHouse) {
+        invalid.push({ line: lineNumber, symbol: schemeCode, reason: 'Row before any fund house header' });
+        return;
+      }
+
+      const nav = parseFloat(navText);
+      const navDate = this.parseDate(dateText);
+      const hasNav = nav > 0 && navDate !== null;
+
+      schemes.push({
+        schemeCode,
+        isinGrowth: this.parseIsin(isinGrowth),
+        isinDivReinvestment: this.parseIsin(isinDivReinvestment),
+        schemeName,
+        nav: hasNav ? nav : null,
+        navDate: hasNav ? navDate : null,
+        fundHouse,
+        schemeType,
+        amfiCategory
+      });
+    });
+
+    return { schemes, invalid };
+  }
+
+  // '17-Oct-2024' -> 2024-10-17T00:00:00Z, matching how NAV history is stored
+  parseDate(text) {
+    const match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec(text || '');
+    if (!match || MONTHS[match[2].toLowerCase()] === undefined) {
+      return null;
+    }
+
+    const date = new Date(Date.UTC(Number(match[3]), MONTHS[match[2].toLowerCase()], Number(match[1])));
+    return date.getUTCDate() === Number(match[1]) ? date : null;
+  }
+
+  parseIsin(text) {
+    return /^IN[A-Z0-9]{10}$/i.test(text || '') ? text.toUpperCase() : null;
+  }
+
+  // SEBI category from the file's header, falling back to the scheme name
+  classify(scheme) {
+    const { category, subCategory, source } = schemeClassifier.classify(scheme);
+    return { category, subCategory, categorySource: source };
+  }
+
+  // Create or update every scheme in the file and deactivate schemes no
+  // longer listed. `report` is a SyncReport when run by dataSync.
+  async ingest({ source = this.defaultUrl, deactivateMissing = true, dryRun = false, report = null } = {}) {
+    const text = await this.load(source);
+    const { schemes, invalid } = this.parse(text);
+
+    if (schemes.length === 0) {
+      throw new Error('No schemes found in NAVAll data');
+    }
+    logger.info(`Parsed ${schemes.length} schemes from NAVAll (${invalid.length} invalid rows)`);
+
+    invalid.forEach(row => {
+      if (report) {
+        report.fail(row.symbol || `line ${row.line}`, new Error(`${row.reason} (line ${row.line})`));
+      }
+    });
+
+    // historyLength caps the NAV history appended to (see fundUpdate)
+    const existing = await MutualFund.aggregate([
+      {
+        $project: {
+          schemeCode: 1,
+          nav: 1,
+          previousNav: 1,
+          navDate: 1,
+          isActive: 1,
+          historyLength: { $size: { $ifNull: ['$navHistory', []] } }
+        }
+      }
+    ]);
+    const byCode = new Map(existing.map(fund => [fund.schemeCode, fund]));
+
+    const summary = {
+      source,
+      schemes: schemes.length,
+      invalid: invalid.length,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      reactivated: 0,
+      deactivated: 0,
+      withoutNav: 0,
+      latestNavDate: null,
+      dryRun
+    };
+
+    const operations = [];
+    const createdCodes = [];
+    for (const scheme of schemes) {
+      const fund = byCode.get(scheme.schemeCode);
+
+      if (scheme.nav === null) {
+        summary.withoutNav += 1;
+      } else if (!summary.latestNavDate || scheme.navDate > summary.latestNavDate) {
+        summary.latestNavDate = scheme.navDate;
+      }
+
+      if (!fund) {
+        // A scheme needs a NAV before it can be stored
+        if (scheme.nav === null) {
+          continue;
+        }
+        operations.push({ insertOne: { document: this.newFund(scheme) } });
+        createdCodes.push(scheme.schemeCode);
+        summary.created += 1;
+        if (report) {
+          report.record({ symbol: scheme.schemeCode, added: 1 });
+        }
+        continue;
+      }
+
+      const { update, arrayFilters, navAdded, navChanged } = this.fundUpdate(fund, scheme);
+      operations.push({
+        updateOne: {
+          filter: { _id: fund._id },
+          update,
+          ...(arrayFilters && { arrayFilters })
+        }
+      });
+
+      if (!fund.isActive) {
+        summary.reactivated += 1;
+      }
+      if (navAdded || navChanged) {
+        summary.updated += 1;
+      } else {
+        summary.unchanged += 1;
+      }
+      if (report) {
+        report.record({
+          symbol: scheme.schemeCode,
+          added: navAdded ? 1 : 0,
+          revised: navChanged
+            ? [{ date: scheme.navDate, changes: [{ field: 'nav', from: fund.nav, to: scheme.nav }] }]
+            : []
+        });
+      }
+    }
+
+    if (!dryRun) {
+      for (let i = 0; i < operations.length; i += this.batchSize) {
+        await MutualFund.bulkWrite(operations.slice(i, i + this.batchSize), { ordered: false });
+      }
+    }
+
+    if (deactivateMissing) {
+      summary.deactivated = await this.deactivateMissing(existing, schemes, { dryRun });
+    }
+
+    // Link new and renamed schemes to their parent scheme and plan/option
+    if (!dryRun && (summary.created > 0 || summary.updated > 0)) {
+      summary.linked = await schemeVariantService.linkVariants();
+    }
+
+    // New schemes hold a single NAV: queue a one-off backfill of their history,
+    // which the nightly append keeps current from then on
+    if (!dryRun && createdCodes.length > 0) {
+      summary.backfillJob = await this.queueBackfill(createdCodes);
+    }
+
+    if (!dryRun) {
+      await cache.invalidate('mutual-funds');
+    }
+
+    logger.info(`NAVAll ingestion${dryRun ? ' (dry run)' : ''}: ${summary.created} created, ${summary.updated} updated, ` +
+      `${summary.unchanged} unchanged, ${summary.reactivated} reactivated, ${summary.deactivated} deactivated`);
+    return summary;
+  }
+
+  // Queue (not start) a NAV history backfill; the job id, or null when it
+  // could not be created
+  async queueBackfill(schemeCodes) {
+    try {
+      const job = await backfillService.createJob({ assetType: 'mutualFund', symbols: schemeCodes, source: 'nav-all' });
+      return job._id;
+    } catch (error) {
+      logger.warn(`Could not queue a backfill for ${schemeCodes.length} new schemes: ${error.message}`);
+      return null;
+    }
+  }
+
+  newFund(scheme) {
+    return {
+      schemeCode: scheme.schemeCode,
+      schemeName: scheme.schemeName,
+      fundHouse: scheme.fundHouse,
+      ...this.classify(scheme),
+      isinGrowth: scheme.isinGrowth,
+      isinDivReinvestment: scheme.isinDivReinvestment,
+      schemeType: scheme.schemeType,
+      amfiCategory: scheme.amfiCategory,
+      inNavAll: true,
+      nav: scheme.nav,
+      previousNav: scheme.nav,
+      navChange: 0,
+      navChangePercent: 0,
+      navDate: scheme.navDate,
+      navHistory: [{ date: scheme.navDate, nav: scheme.nav }],
+      isActive: true,
+      lastUpdated: new Date()
+    };
+  }
+
+  // Master fields and classification always follow the file. A newer NAV is
+  // appended to the history; a different NAV for the stored date replaces it.
+  // Appending keeps the stored depth (at least historyLimit rows), as the
+  // per-scheme sync does, so backfilled history is not cut short.
+  fundUpdate(fund, scheme) {
+    const set = {
+      schemeName: scheme.schemeName,
+      fundHouse: scheme.fundHouse,
+      ...this.classify(scheme),
+      isinGrowth: scheme.isinGrowth,
+      isinDivReinvestment: scheme.isinDivReinvestment,
+      schemeType: scheme.schemeType,
+      amfiCategory: scheme.amfiCategory,
+      inNavAll: true,
+      isActive: true,
+      inactiveSince: null
+    };
+    const update = { $set: set };
+    let arrayFilters = null;
+    let navAdded = false;
+    let navChanged = false;
+
+    if (scheme.nav !== null) {
+      const storedDate = fund.navDate ? new Date(fund.navDate).getTime() : 0;
+      const previousNav = scheme.navDate.getTime() > storedDate ? fund.nav : fund.previousNav;
+      const navFields = {
+        nav: scheme.nav,
+        previousNav,
+        navChange: parseFloat((scheme.nav - previousNav).toFixed(4)),
+        navChangePercent: previousNav > 0
+          ? parseFloat(((scheme.nav - previousNav) / previousNav * 100).toFixed(2))
+          : 0,
+        navDate: scheme.navDate,
+        lastUpdated: new Date()
+      };
+
+      if (scheme.navDate.getTime() > storedDate) {
+        Object.assign(set, navFields);
+        update.$push = {
+          navHistory: {
+            $each: [{ date: scheme.navDate, nav: scheme.nav }],
+            $slice: -Math.max(amfiService.historyLimit, fund.historyLength || 0)
+          }
+        };
+        navAdded = true;
+      } else if (scheme.navDate.getTime() === storedDate && scheme.nav !== fund.nav) {
+        Object.assign(set, navFields, { 'navHistory.$[row].nav': scheme.nav });
+        arrayFilters = [{ 'row.date': scheme.navDate }];
+        navChanged = true;
+      }
+    }
+
+    return { update, arrayFilters, navAdded, navChanged };
+  }
+
+  async deactivateMissing(existing, schemes, { dryRun = false } = {}) {
+    const listed = new Set(schemes.map(scheme => scheme.schemeCode));
+    const active = existing.filter(fund => fund.isActive);
+    const missing = active.filter(fund => !listed.has(fund.schemeCode));
+
+    if (missing.length === 0) {
+      return 0;
+    }
+    if (schemes.length < active.length * this.minCoverage) {
+      logger.warn(`NAVAll lists ${schemes.length} schemes against ${active.length} active; ` +
+        `not deactivating ${missing.length} missing schemes`);
+      return 0;
+    }
+
+    if (!dryRun) {
+      await MutualFund.updateMany(
+        { _id: { $in: missing.map(fund => fund._id) } },
+        { $set: { isActive: false, inNavAll: false, inactiveSince: new Date() } }
+      );
+    }
+
+    logger.info(`${dryRun ? 'Would deactivate' : 'Deactivated'} ${missing.length} schemes no longer listed in NAVAll`);
+    return missing.length;
+  }
+}
+
+module.exports = new NavAllService();
@@ -0,0 +1,262 @@
+const marketCalendar = require('./marketCalendar');
+const { dateKey } = require('../utils/series');
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Cleans NAV rows from data providers, aligns NAV series to the business-day
+// calendar and reports data-quality problems in stored NAV history.
+//
+// Rows that cannot be parsed are rejected, never given a default date: a NAV
+// stamped with the day it was fetched would look like a real observation.
+class NavNormalizer {
+  constructor() {
+    // A day-on-day NAV move larger than this (in %) is reported as suspicious
+    this.jumpThreshold = parseFloat(process.env.NAV_JUMP_THRESHOLD) || 10;
+    // Unchanged NAV for this many consecutive observations is reported as stale
+    this.staleObservations = 5;
+    // Problems listed per kind in a report; counts are always complete
+    this.maxListed = 50;
+  }
+
+  // 'DD-MM-YYYY' (mfapi), 'DD-Mon-YYYY' (AMFI NAVAll), 'YYYY-MM-DD' or a Date,
+  // as a UTC-midnight Date. Anything else, or an impossible date, is null.
+  parseDate(input) {
+    if (input instanceof Date) {
+      return isNaN(input.getTime()) ? null : new Date(Date.UTC(input.getUTCFullYear(), input.getUTCMonth(), input.getUTCDate()));
+    }
+
+    const text = String(input || '').trim();
+    let day;
+    let month;
+    let year;
+    let match;
+
+    if ((match = /^(\d{1,2})-(\d{1,2})-(\d{4})$/.exec(text))) {
+      [, day, month, year] = match.map(Number);
+    } else if ((match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec(text))) {
+      day = Number(match[1]);
+      month = MONTHS[match[2].toLowerCase()];
+      year = Number(match[3]);
+    } else if ((match = /^(\d{4})-(\d{2})-(\d{2})(T.*)?$/.exec(text))) {
+      [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    } else {
+      return null;
+    }
+
+    if (!month || year < 1900) {
+      return null;
+    }
+
+    // Reject rollovers such as 31-02-2024
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+      ? date
+      : null;
+  }
+
+  // Parse provider rows ({ date, nav }) in their original order. Returns the
+  // valid rows and the rejected ones with a reason. For duplicate dates the
+  // first row wins (providers list the latest publication first).
+  normalize(rows, { now = new Date() } = {}) {
+    const valid = [];
+    const rejected = [];
+    const seen = new Set();
+    // NAVs are published for the previous business day at the latest today (IST)
+    const latestAllowed = Date.parse(`${marketCalendar.istDateKey(now)}T00:00:00.000Z`);
+
+    (Array.isArray(rows) ? rows : []).forEach(row => {
+      const date = row ? this.parseDate(row.date) : null;
+      const nav = row ? parseFloat(row.nav) : NaN;
+      const reject = reason => rejected.push({ date: row ? row.date : null, nav: row ? row.nav : null, reason });
+
+      if (!date) {
+        return reject('Unparseable date');
+      }
+      if (!isFinite(nav) || nav <= 0) {
+        return reject('Missing or non-positive NAV');
+      }
+      if (date.getTime() > latestAllowed) {
+        return reject('Date in the future');
+      }
+
+      const key = dateKey(date);
+      if (seen.has(key)) {
+        return reject('Duplicate date');
+      }
+      seen.add(key);
+      valid.push({ date, nav });
+    });
+
+    return { rows: valid, rejected };
+  }
+
+  // One row per business day from the first NAV (or `from`) to the last (or
+  // `to`), ascending. Days without a published NAV carry the previous NAV
+  // forward with filled: true; NAVs published on non-business days are only
+  // used as the value carried into the next business day.
+  //
+  // In years the holiday file does not cover, a weekday only counts as a
+  // business day when a NAV was published on it: in this series, or in
+  // `publishedDays` (day keys) when several series are aligned together.
+  align(history, { from = null, to = null, valueKey = 'nav', publishedDays = null } = {}) {
+    const series = (Array.isArray(history) ? history : [])
+      .map(row => ({ date: this.parseDate(row.date), value: Number(row[valueKey]) }))
+      .filter(point => point.date && isFinite(point.value) && point.value > 0)
+      .sort((a, b) => a.date - b.date);
+
+    if (series.length === 0) {
+      return [];
+    }
+
+    const byDay = new Map(series.map(point => [dateKey(point.date), point.value]));
+    const firstDay = dateKey(from || series[0].date);
+    const lastDay = dateKey(to || series[series.length - 1].date);
+
+    const aligned = [];
+    let index = 0;
+    let carried = null;
+    for (let day = firstDay; day <= lastDay; day = marketCalendar.addDays(day, 1)) {
+      // Advance the carried value through every point up to this day
+      while (index < series.length && dateKey(series[index].date) <= day) {
+        carried = series[index].value;
+        index += 1;
+      }
+
+      if (!marketCalendar.isBusinessDay(day) || carried === null) {
+        continue;
+      }
+      if (!marketCalendar.coversDay(day) && !(publishedDays || byDay).has(day)) {
+        continue;
+      }
+
+      aligned.push({
+        date: new Date(`${day}T00:00:00.000Z`),
+        [valueKey]: carried,
+        filled: !byDay.has(day)
+      });
+    }
+
+    return aligned;
+  }
+
+  // Data-quality report for a stored NAV history (raw rows, any order):
+  // duplicate and invalid rows, future dates, business-day gaps, stale runs
+  // and suspicious day-on-day jumps.
+  qualityReport(navHistory, { now = new Date() } = {}) {
+    const rows = Array.isArray(navHistory) ? navHistory : [];
+    const latestAllowed = Date.parse(`${marketCalendar.istDateKey(now)}T00:00:00.000Z`);
+
+    const invalid = [];
+    const futureDates = [];
+    const byDay = new Map();
+    rows.forEach(row => {
+      const date = row ? this.parseDate(row.date) : null;
+      const nav = row ? Number(row.nav) : NaN;
+      if (!date || !isFinite(nav) || nav <= 0) {
+        invalid.push({ date: row ? row.date : null, nav: row ? row.nav : null });
+        return;
+      }
+      if (date.getTime() > latestAllowed) {
+        futureDates.push(dateKey(date));
+      }
+
+      const key = dateKey(date);
+      if (!byDay.has(key)) {
+        byDay.set(key, []);
+      }
+      byDay.get(key).push(nav);
+    });
+
+    const days = Array.from(byDay.keys()).sort();
+    const series = days.map(day => ({ day, nav: byDay.get(day)[byDay.get(day).length - 1] }));
+
+    const duplicates = days
+      .filter(day => byDay.get(day).length > 1)
+      .map(day => ({ date: day, count: byDay.get(day).length, navs: byDay.get(day) }));
+
+    const gapRanges = this.ranges(marketCalendar.missingBusinessDays(days));
+    const nonBusinessDays = days.filter(day => !marketCalendar.isBusinessDay(day));
+
+    const jumps = [];
+    const staleRuns = [];
+    let runStart = 0;
+    for (let i = 1; i <= series.length; i++) {
+      if (i < series.length) {
+        const changePercent = (series[i].nav / series[i - 1].nav - 1) * 100;
+        if (Math.abs(changePercent) >= this.jumpThreshold) {
+          jumps.push({
+            date: series[i].day,
+            previousDate: series[i - 1].day,
+            from: series[i - 1].nav,
+            to: series[i].nav,
+            changePercent: parseFloat(changePercent.toFixed(2))
+          });
+        }
+      }
+
+      if (i === series.length || series[i].nav !== series[runStart].nav) {
+        if (i - runStart >= this.staleObservations) {
+          staleRuns.push({ from: series[runStart].day, to: series[i - 1].day, observations: i - runStart, nav: series[runStart].nav });
+        }
+        runStart = i;
+      }
+    }
+
+    const issues = {
+      invalid: invalid.length,
+      duplicates: duplicates.length,
+      futureDates: futureDates.length,
+      gaps: gapRanges.length,
+      missingDays: gapRanges.reduce((sum, range) => sum + range.days, 0),
+      jumps: jumps.length,
+      staleRuns: staleRuns.length,
+      nonBusinessDays: nonBusinessDays.length
+    };
+
+    return {
+      observations: rows.length,
+      firstDate: days[0] || null,
+      lastDate: days[days.length - 1] || null,
+      // Non-business-day NAVs are reported but legitimate (e.g. special sessions)
+      issueCount: issues.invalid + issues.duplicates + issues.futureDates + issues.gaps + issues.jumps + issues.staleRuns,
+      issues,
+      invalid: invalid.slice(0, this.maxListed),
+      duplicates: duplicates.slice(0, this.maxListed),
+      futureDates: futureDates.slice(0, this.maxListed),
+      gaps: gapRanges.slice(0, this.maxListed),
+      jumps: jumps.slice(0, this.maxListed),
+      staleRuns: staleRuns.slice(0, this.maxListed),
+      nonBusinessDays: nonBusinessDays.slice(0, this.maxListed),
+      jumpThreshold: this.jumpThreshold
+    };
+  }
+
+  // Collapse sorted day keys into runs of consecutive business days
+  ranges(dayKeys) {
+    const ranges = [];
+    dayKeys.forEach(day => {
+      const current = ranges[ranges.length - 1];
+      if (current && this.nextBusinessDay(current.to) === day) {
+        current.to = day;
+        current.days += 1;
+      } else {
+        ranges.push({ from: day, to: day, days: 1 });
+      }
+    });
+    return ranges;
+  }
+
+  nextBusinessDay(dayKey) {
+    let day = marketCalendar.addDays(dayKey, 1);
+    // Bounded by the longest possible run of weekends and holidays
+    for (let i = 0; i < 14 && !marketCalendar.isBusinessDay(day); i++) {
+      day = marketCalendar.addDays(day, 1);
+    }
+    return day;
+  }
+}
+
+module.exports = new NavNormalizer();
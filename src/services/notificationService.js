@@ -0,0 +1,83 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+class NotificationService {
+  constructor() {
+    // Outbound email goes through an HTTP relay (e.g. a transactional mail API)
+    this.emailWebhookUrl = process.env.ALERT_EMAIL_WEBHOOK_URL || null;
+    this.timeout = 10000;
+  }
+
+  // Channels the user has switched on for price alerts
+  channelsFor(user) {
+    const notifications = user?.preferences?.notifications || {};
+    if (notifications.priceAlerts === false) {
+      return [];
+    }
+
+    const channels = [];
+    if (notifications.push !== false) channels.push('push');
+    if (notifications.email !== false) channels.push('email');
+    return channels;
+  }
+
+  // Deliver an alert on every enabled channel; returns one delivery record per channel
+  async deliver(user, alert) {
+    const deliveries = [];
+
+    for (const channel of this.channelsFor(user)) {
+      try {
+        const result = channel === 'push'
+          ? this.sendPush(user, alert)
+          : await this.sendEmail(user, alert);
+        deliveries.push({ channel, ...result });
+      } catch (error) {
+        logger.error(`Failed to deliver ${channel} alert to user ${user._id}: ${error.message}`);
+        deliveries.push({ channel, status: 'failed', detail: error.message });
+      }
+    }
+
+    return deliveries;
+  }
+
+  // Alerts are evaluated on one instance but the user's WebSocket connections
+  // may be held by any of them, so pushes are queued on the stored trigger
+  // and each instance delivers them to its own clients (see websocketService)
+  sendPush() {
+    return { status: 'queued' };
+  }
+
+  // Message sent to the user's authenticated WebSocket connections
+  pushMessage(alert) {
+    return {
+      type: 'price_alert',
+      data: {
+        id: alert._id,
+        assetType: alert.assetType,
+        symbol: alert.symbol,
+        condition: alert.condition,
+        threshold: alert.threshold,
+        value: alert.value,
+        changePercent: alert.changePercent,
+        message: alert.message,
+        triggeredAt: alert.triggeredAt
+      }
+    };
+  }
+
+  async sendEmail(user, alert) {
+    if (!this.emailWebhookUrl) {
+      return { status: 'skipped', detail: 'Email delivery not configured' };
+    }
+
+    await axios.post(this.emailWebhookUrl, {
+      to: user.email,
+      subject: `Price alert: ${alert.symbol}`,
+      text: `Hi ${user.name},\n\n${alert.message}\n\n- Stock Info India`
+    }, { timeout: this.timeout });
+
+    return { status: 'sent' };
+  }
+}
+
+module.exports = new NotificationService();
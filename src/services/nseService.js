@@ -1,107 +1,53 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
+const indexCatalog = require('../config/indices');
+const providers = require('./providers');
+const { dateKey } = require('../utils/series');
 const logger = require('../utils/logger');
 
+// Stock and index data for NSE listings. Requests go through the provider
+// registry, which falls back to the next configured source on failure.
 class NSEService {
-  constructor() {
-    // Base URLs for different data sources
-    this.yahooFinanceBase = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-    this.rapidApiBase = 'https://indian-stock-exchange.p.rapidapi.com';
-    this.nseIndiaBase = 'https://www.nseindia.com/api';
-    
-    // Default request timeout
-    this.timeout = 10000; // 10 seconds
-  }
-
-  // Helper method to add Indian stock suffix
-  formatTickerForYahoo(ticker) {
-    // Yahoo Finance requires .NS suffix for NSE stocks
-    return ticker.includes('.') ? ticker : `${ticker}.NS`;
-  }
-
-  // Get single stock data from Yahoo Finance
+  // Get single stock data
   async getStockData(ticker) {
     try {
-      const formattedTicker = this.formatTickerForYahoo(ticker);
-      logger.info(`Fetching stock data for: ${formattedTicker}`);
-
-      const response = await axios.get(
-        `${this.yahooFinanceBase}${formattedTicker}?interval=1d&range=1y`,
-        {
-          timeout: this.timeout,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        }
-      );
-
-      const data = response.data.chart.result[0];
-      const meta = data.meta;
-      const quotes = data.indicators.quote[0];
-      
-      // Extract current price and calculate changes
-      const currentPrice = meta.regularMarketPrice || quotes.close[quotes.close.length - 1];
-      const previousClose = meta.previousClose || quotes.close[quotes.close.length - 2];
-      const change = currentPrice - previousClose;
-      const changePercent = ((change / previousClose) * 100);
-
-      // Format the data according to our Stock model
-      return {
-        ticker: ticker.toUpperCase(),
-        name: meta.longName || meta.shortName || ticker,
-        exchange: 'NSE',
-        currentPrice: parseFloat(currentPrice.toFixed(2)),
-        previousClose: parseFloat(previousClose.toFixed(2)),
-        dayChange: parseFloat(change.toFixed(2)),
-        dayChangePercent: parseFloat(changePercent.toFixed(2)),
-        volume: quotes.volume[quotes.volume.length - 1] || 0,
-        high52Week: meta.fiftyTwoWeekHigh || null,
-        low52Week: meta.fiftyTwoWeekLow || null,
-        marketCap: meta.marketCap || null,
-        lastUpdated: new Date(),
-        // Generate price history from the data
-        priceHistory: this.formatPriceHistory(data.timestamp, quotes)
-      };
+      logger.info(`Fetching stock data for: ${ticker}`);
+      return await providers.call('quote', ticker);
     } catch (error) {
-      logger.error(`Error fetching stock data for ${ticker}:`, error.message);
-      throw new Error(`Failed to fetch data for ${ticker}`);
-    }
-  }
-
-  // Format price history data
-  formatPriceHistory(timestamps, quotes) {
-    const history = [];
-    
-    for (let i = 0; i < timestamps.length; i++) {
-      if (quotes.open[i] && quotes.close[i]) {
-        history.push({
-          date: new Date(timestamps[i] * 1000),
-          open: quotes.open[i],
-          high: quotes.high[i],
-          low: quotes.low[i],
-          close: quotes.close[i],
-          volume: quotes.volume[i] || 0
-        });
+      // Breaker rejections are summarised by the batch callers
+      if (error.code !== 'PROVIDERS_UNAVAILABLE') {
+        logger.error(`Error fetching stock data for ${ticker}:`, error.message);
       }
+      throw Object.assign(new Error(`Failed to fetch data for ${ticker}`), { code: error.code });
     }
-    
-    // Return last 90 days of data
-    return history.slice(-90);
   }
 
-  // Get multiple stocks data
-  async getMultipleStocks(tickers) {
+  // Get multiple stocks data. `onError(ticker, error)` is called for each
+  // ticker that could not be fetched.
+  async getMultipleStocks(tickers, { onError = null } = {}) {
     try {
       logger.info(`Fetching data for ${tickers.length} stocks`);
       
+      // Requests are paced by the shared request budget; once every quote
+      // provider's breaker is open the rest fail fast and are counted, not logged
+      let unavailable = 0;
       const promises = tickers.map(ticker => 
         this.getStockData(ticker).catch(error => {
-          logger.warn(`Failed to fetch data for ${ticker}: ${error.message}`);
+          if (onError) {
+            onError(ticker, error);
+          }
+          if (error.code === 'PROVIDERS_UNAVAILABLE') {
+            unavailable += 1;
+          } else {
+            logger.warn(`Failed to fetch data for ${ticker}: ${error.message}`);
+          }
           return null; // Return null for failed requests
         })
       );
 
       const results = await Promise.all(promises);
+
+      if (unavailable > 0) {
+        logger.warn(`Skipped ${unavailable}/${tickers.length} stocks while quote providers are unavailable`);
+      }
       
       // Filter out null results (failed requests)
       return results.filter(result => result !== null);
@@ -111,55 +57,32 @@ class NSEService {
     }
   }
 
-  // Get market indices (NIFTY, SENSEX, etc.)
-  async getMarketIndices() {
+  // Get market indices (NIFTY, SENSEX, etc.) from the index catalog
+  async getMarketIndices(indices = indexCatalog, { onError = null } = {}) {
     try {
-      logger.info('Fetching market indices data');
-      
-      // List of major Indian indices with their Yahoo Finance symbols
-      const indices = [
-        { symbol: '^NSEI', name: 'NIFTY 50' },
-        { symbol: '^BSESN', name: 'BSE SENSEX' },
-        { symbol: '^NSEBANK', name: 'NIFTY BANK' },
-        { symbol: '^CNXIT', name: 'NIFTY IT' }
-      ];
-
-      const promises = indices.map(async (index) => {
-        try {
-          const response = await axios.get(
-            `${this.yahooFinanceBase}${index.symbol}?interval=1d&range=5d`,
-            {
-              timeout: this.timeout,
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-              }
-            }
-          );
-
-          const data = response.data.chart.result[0];
-          const meta = data.meta;
-          const quotes = data.indicators.quote[0];
-          
-          const currentPrice = meta.regularMarketPrice;
-          const previousClose = meta.previousClose;
-          const change = currentPrice - previousClose;
-          const changePercent = ((change / previousClose) * 100);
-
-          return {
-            name: index.name,
-            symbol: index.symbol,
-            value: parseFloat(currentPrice.toFixed(2)),
-            change: parseFloat(change.toFixed(2)),
-            changePercent: parseFloat(changePercent.toFixed(2)),
-            lastUpdated: new Date()
-          };
-        } catch (error) {
-          logger.warn(`Failed to fetch data for ${index.name}:`, error.message);
+      logger.info(`Fetching market indices data for ${indices.length} indices`);
+
+      let unavailable = 0;
+      const promises = indices.map(index =>
+        this.getIndexQuote(index).catch(error => {
+          if (onError) {
+            onError(index.code, error);
+          }
+          if (error.code === 'PROVIDERS_UNAVAILABLE') {
+            unavailable += 1;
+          } else {
+            logger.warn(`Failed to fetch data for ${index.name}: ${error.message}`);
+          }
           return null;
-        }
-      });
+        })
+      );
 
       const results = await Promise.all(promises);
+
+      if (unavailable > 0) {
+        logger.warn(`Skipped ${unavailable}/${indices.length} indices while index providers are unavailable`);
+      }
+
       return results.filter(result => result !== null);
     } catch (error) {
       logger.error('Error fetching market indices:', error.message);
@@ -167,39 +90,45 @@ class NSEService {
     }
   }
 
+  // Latest quote for an index with the current session in 5-minute bars
+  async getIndexQuote(index) {
+    return providers.call('indices', index);
+  }
+
+  // Get daily closing values for an index (used as a benchmark series)
+  async getIndexHistory(symbol, range = '5y') {
+    try {
+      logger.info(`Fetching index history for ${symbol} (${range})`);
+
+      return await providers.call('history', symbol, { range, interval: '1d' });
+    } catch (error) {
+      logger.error(`Error fetching index history for ${symbol}:`, error.message);
+      throw new Error(`Failed to fetch history for index ${symbol}`);
+    }
+  }
+
+  // Get daily OHLCV bars for a stock, oldest first. `range` is a named range
+  // ('5y') or a { from, to } window of dates.
+  async getStockHistory(ticker, range = '5y') {
+    const options = typeof range === 'string' ? { range } : range;
+    const label = options.range || `${dateKey(options.from)} to ${dateKey(options.to)}`;
+
+    try {
+      logger.info(`Fetching price history for ${ticker} (${label})`);
+
+      return await providers.call('history', ticker, { ...options, interval: '1d' });
+    } catch (error) {
+      logger.error(`Error fetching price history for ${ticker}:`, error.message);
+      throw Object.assign(new Error(`Failed to fetch history for ${ticker}`), { code: error.code });
+    }
+  }
+
   // Search stocks by name or ticker
   async searchStocks(query) {
     try {
       logger.info(`Searching stocks with query: ${query}`);
       
-      // Use Yahoo Finance search endpoint
-      const response = await axios.get(
-        `https://query2.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(query)}`,
-        {
-          timeout: this.timeout,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        }
-      );
-
-      const quotes = response.data.quotes || [];
-      
-      // Filter for Indian stocks (those with .NS, .BO suffix or Indian exchanges)
-      const indianStocks = quotes.filter(quote => 
-        quote.symbol.includes('.NS') || 
-        quote.symbol.includes('.BO') ||
-        quote.exchange === 'NSI' ||
-        quote.exchange === 'BSE'
-      );
-
-      return indianStocks.slice(0, 10).map(quote => ({
-        ticker: quote.symbol.replace(/\.(NS|BO)$/, ''),
-        name: quote.shortname || quote.longname,
-        exchange: quote.symbol.includes('.NS') ? 'NSE' : 'BSE',
-        marketCap: quote.marketCap,
-        sector: quote.sector
-      }));
+      return await providers.call('search', query);
     } catch (error) {
       logger.error(`Error searching stocks with query ${query}:`, error.message);
       return [];
@@ -0,0 +1,204 @@
+const { toSeries, pointOnOrBefore, subtractMonths, daysBetween } = require('../utils/series');
+
+class PerformanceService {
+  constructor() {
+    // Trailing periods reported on every fund. Periods up to a year are
+    // quoted as absolute returns, longer ones are annualised (CAGR).
+    this.periods = [
+      { key: '1Month', months: 1 },
+      { key: '3Month', months: 3 },
+      { key: '6Month', months: 6 },
+      { key: '1Year', months: 12 },
+      { key: '3Year', months: 36 },
+      { key: '5Year', months: 60 }
+    ];
+
+    // How far the nearest available NAV may sit before the period start
+    // (weekends, holidays and missing days) before we treat it as no data
+    this.maxLookbackGapDays = 7;
+
+    // Rolling return windows, in months
+    this.rollingWindows = { '1Y': 12, '3Y': 36, '5Y': 60 };
+    this.rollingPercentiles = [5, 10, 25, 75, 90, 95];
+  }
+
+  // Absolute return in percent between two values
+  absoluteReturn(startValue, endValue) {
+    return ((endValue / startValue) - 1) * 100;
+  }
+
+  // Compound annual growth rate in percent
+  cagr(startValue, endValue, days) {
+    if (days <= 0) {
+      return null;
+    }
+    return (Math.pow(endValue / startValue, 365 / days) - 1) * 100;
+  }
+
+  round(value) {
+    return value === null || value === undefined || !isFinite(value)
+      ? null
+      : parseFloat(value.toFixed(2));
+  }
+
+  // Return for a single trailing period ending at the latest point in the series
+  calculatePeriodReturn(series, months) {
+    const latest = series[series.length - 1];
+    const periodStart = subtractMonths(latest.date, months);
+    const start = pointOnOrBefore(series, periodStart);
+
+    if (!start || daysBetween(start.date, periodStart) > this.maxLookbackGapDays) {
+      return { absolute: null, annualised: null };
+    }
+
+    const absolute = this.absoluteReturn(start.value, latest.value);
+    const annualised = months > 12
+      ? this.cagr(start.value, latest.value, daysBetween(start.date, latest.date))
+      : absolute;
+
+    return { absolute, annualised };
+  }
+
+  // Derive trailing and since-inception returns from a fund's NAV history.
+  // inceptionDate/inceptionNav override the first point of the series when the
+  // stored history does not reach back to the fund's launch.
+  calculatePerformance(navHistory, { inceptionDate, inceptionNav } = {}) {
+    const series = toSeries(navHistory, 'nav');
+
+    if (series.length < 2) {
+      return null;
+    }
+
+    const latest = series[series.length - 1];
+    const performance = {};
+
+    this.periods.forEach(({ key, months }) => {
+      const { absolute, annualised } = this.calculatePeriodReturn(series, months);
+      performance[`returns${key}`] = this.round(annualised);
+      if (months > 12) {
+        performance[`absoluteReturns${key}`] = this.round(absolute);
+      }
+    });
+
+    const start = inceptionDate && inceptionNav > 0
+      ? { date: new Date(inceptionDate), value: inceptionNav }
+      : series[0];
+    const daysSinceInception = daysBetween(start.date, latest.date);
+    const absoluteSinceInception = this.absoluteReturn(start.value, latest.value);
+
+    performance.absoluteReturnsSinceInception = this.round(absoluteSinceInception);
+    performance.returnsSinceInception = this.round(
+      daysSinceInception > 365
+        ? this.cagr(start.value, latest.value, daysSinceInception)
+        : absoluteSinceInception
+    );
+    performance.asOfDate = latest.date;
+    performance.calculatedAt = new Date();
+
+    return performance;
+  }
+
+  // CAGR over every window of `window` length that starts on a stored NAV
+  // date, with its distribution. A window counts only when a NAV exists
+  // within maxLookbackGapDays before its end. benchmarkHistory ({ date, close })
+  // and hurdle (annual %) are optional yardsticks for the same windows.
+  calculateRollingReturns(navHistory, { window = '3Y', benchmarkHistory = null, hurdle = null } = {}) {
+    const series = toSeries(navHistory, 'nav');
+    const months = this.rollingWindows[window];
+    if (series.length < 2 || !months) {
+      return null;
+    }
+
+    const benchmarkSeries = benchmarkHistory ? toSeries(benchmarkHistory, 'close') : [];
+    const valueAt = (points, date) => {
+      const point = pointOnOrBefore(points, date);
+      return point && daysBetween(point.date, date) <= this.maxLookbackGapDays ? point : null;
+    };
+
+    const latest = series[series.length - 1];
+    const periods = [];
+    for (const start of series) {
+      // Same calendar day `months` later
+      const endDate = subtractMonths(start.date, -months);
+      if (endDate > latest.date) {
+        break;
+      }
+
+      const end = valueAt(series, endDate);
+      if (!end) {
+        continue;
+      }
+
+      const period = {
+        startDate: start.date,
+        endDate: end.date,
+        return: this.cagr(start.value, end.value, daysBetween(start.date, end.date)),
+        benchmarkReturn: null
+      };
+
+      const benchmarkStart = benchmarkSeries.length > 0 ? valueAt(benchmarkSeries, start.date) : null;
+      const benchmarkEnd = benchmarkStart ? valueAt(benchmarkSeries, end.date) : null;
+      if (benchmarkEnd) {
+        period.benchmarkReturn = this.cagr(benchmarkStart.value, benchmarkEnd.value, daysBetween(benchmarkStart.date, benchmarkEnd.date));
+      }
+
+      periods.push(period);
+    }
+
+    if (periods.length === 0) {
+      return null;
+    }
+
+    const returns = periods.map(period => period.return).sort((a, b) => a - b);
+    const share = (count, total) => (total > 0 ? this.round(count / total * 100) : null);
+    const benchmarked = periods.filter(period => period.benchmarkReturn !== null);
+
+    return {
+      window,
+      periods: periods.length,
+      firstStartDate: periods[0].startDate,
+      lastEndDate: periods[periods.length - 1].endDate,
+      distribution: {
+        min: this.round(returns[0]),
+        max: this.round(returns[returns.length - 1]),
+        mean: this.round(returns.reduce((sum, value) => sum + value, 0) / returns.length),
+        median: this.round(this.percentile(returns, 50)),
+        percentiles: Object.fromEntries(this.rollingPercentiles
+          .map(p => [`p${p}`, this.round(this.percentile(returns, p))])),
+        positivePercent: share(returns.filter(value => value > 0).length, returns.length)
+      },
+      benchmark: benchmarked.length > 0
+        ? {
+          periods: benchmarked.length,
+          beatPercent: share(benchmarked.filter(period => period.return > period.benchmarkReturn).length, benchmarked.length),
+          medianExcess: this.round(this.percentile(
+            benchmarked.map(period => period.return - period.benchmarkReturn).sort((a, b) => a - b),
+            50
+          ))
+        }
+        : null,
+      hurdle: hurdle !== null
+        ? {
+          rate: hurdle,
+          beatPercent: share(returns.filter(value => value > hurdle).length, returns.length)
+        }
+        : null,
+      series: periods.map(period => ({
+        startDate: period.startDate,
+        endDate: period.endDate,
+        return: this.round(period.return),
+        benchmarkReturn: this.round(period.benchmarkReturn)
+      }))
+    };
+  }
+
+  // Linear-interpolated percentile of an ascending array
+  percentile(sorted, p) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+}
+
+module.exports = new PerformanceService();
@@ -0,0 +1,294 @@
+const Stock = require('../models/Stocks');
+const MutualFund = require('../models/MutualFund');
+
+class PortfolioService {
+  constructor() {
+    this.acquisitionTypes = ['buy', 'sip', 'switch_in'];
+    this.disposalTypes = ['sell', 'switch_out'];
+    this.corporateActionTypes = ['bonus', 'split'];
+
+    // Order of same-day entries: acquisitions, then corporate actions, then disposals
+    this.typePriority = {
+      buy: 0, sip: 0, switch_in: 0,
+      bonus: 1, split: 1,
+      sell: 2, switch_out: 2,
+      dividend: 3
+    };
+
+    // Tolerance for floating point unit balances (MF units have 3-4 decimals)
+    this.epsilon = 1e-6;
+  }
+
+  holdingKey(assetType, symbol) {
+    return `${assetType}:${symbol}`;
+  }
+
+  // Check a single ledger entry has the fields its type needs
+  validateTransaction(transaction) {
+    const { type, quantity, price, amount, ratio } = transaction;
+
+    if ([...this.acquisitionTypes, ...this.disposalTypes].includes(type)) {
+      if (!(quantity > 0)) {
+        throw this.badRequest(`${type} needs a quantity greater than 0`);
+      }
+      if (price === undefined || price === null || price < 0) {
+        throw this.badRequest(`${type} needs a price`);
+      }
+    }
+
+    if (type === 'dividend' && !(amount > 0)) {
+      throw this.badRequest('dividend needs an amount greater than 0');
+    }
+
+    if (this.corporateActionTypes.includes(type)) {
+      if (!ratio || !(ratio.from > 0) || !(ratio.to > 0)) {
+        throw this.badRequest(`${type} needs a ratio with from and to greater than 0`);
+      }
+      if (transaction.assetType !== 'stock') {
+        throw this.badRequest(`${type} is only supported for stocks`);
+      }
+    }
+  }
+
+  // Ledger entries in the order they should be applied
+  sortTransactions(transactions) {
+    return [...transactions].sort((a, b) => {
+      const byDate = new Date(a.date) - new Date(b.date);
+      if (byDate !== 0) return byDate;
+      return this.typePriority[a.type] - this.typePriority[b.type];
+    });
+  }
+
+  // Replay the ledger into FIFO lots per holding.
+  // Returns a Map of holdingKey -> { assetType, symbol, lots, realized, dividends }.
+  // Throws a 400 error if a disposal sells more units than are held.
+  buildLedger(transactions) {
+    const holdings = new Map();
+
+    const getHolding = (assetType, symbol) => {
+      const key = this.holdingKey(assetType, symbol);
+      if (!holdings.has(key)) {
+        holdings.set(key, { assetType, symbol, lots: [], realized: [], dividends: 0 });
+      }
+      return holdings.get(key);
+    };
+
+    this.sortTransactions(transactions).forEach(transaction => {
+      this.validateTransaction(transaction);
+      const holding = getHolding(transaction.assetType, transaction.symbol);
+      const fees = transaction.fees || 0;
+
+      if (this.acquisitionTypes.includes(transaction.type)) {
+        holding.lots.push({
+          date: new Date(transaction.date),
+          quantity: transaction.quantity,
+          // Purchase costs are folded into the lot's cost basis
+          costPerUnit: (transaction.quantity * transaction.price + fees) / transaction.quantity,
+          source: transaction.type,
+          transactionId: transaction._id
+        });
+        return;
+      }
+
+      if (this.disposalTypes.includes(transaction.type)) {
+        this.disposeFifo(holding, transaction);
+        return;
+      }
+
+      if (transaction.type === 'dividend') {
+        holding.dividends += transaction.amount;
+        return;
+      }
+
+      if (transaction.type === 'bonus') {
+        const held = this.openQuantity(holding);
+        const bonusQuantity = Math.floor(held * transaction.ratio.to / transaction.ratio.from);
+        if (bonusQuantity > 0) {
+          // Bonus shares are a new zero-cost lot acquired on the allotment date
+          holding.lots.push({
+            date: new Date(transaction.date),
+            quantity: bonusQuantity,
+            costPerUnit: 0,
+            source: 'bonus',
+            transactionId: transaction._id
+          });
+        }
+        return;
+      }
+
+      if (transaction.type === 'split') {
+        // Splits keep the original acquisition dates and total cost of every lot
+        const factor = transaction.ratio.to / transaction.ratio.from;
+        holding.lots.forEach(lot => {
+          lot.quantity *= factor;
+          lot.costPerUnit /= factor;
+        });
+      }
+    });
+
+    return holdings;
+  }
+
+  // Consume open lots oldest first, recording a realized entry per lot touched
+  disposeFifo(holding, transaction) {
+    const fees = transaction.fees || 0;
+    let remaining = transaction.quantity;
+
+    if (remaining - this.openQuantity(holding) > this.epsilon) {
+      throw this.badRequest(
+        `Cannot ${transaction.type.replace('_', ' ')} ${transaction.quantity} of ${holding.symbol} on ` +
+        `${new Date(transaction.date).toISOString().slice(0, 10)}: only ${this.round(this.openQuantity(holding), 4)} held`
+      );
+    }
+
+    while (remaining > this.epsilon && holding.lots.length > 0) {
+      const lot = holding.lots[0];
+      const quantity = Math.min(lot.quantity, remaining);
+      // Selling costs are shared across lots in proportion to units sold
+      const proceeds = quantity * transaction.price - fees * (quantity / transaction.quantity);
+      const costBasis = quantity * lot.costPerUnit;
+
+      holding.realized.push({
+        assetType: holding.assetType,
+        symbol: holding.symbol,
+        quantity,
+        acquiredDate: lot.date,
+        acquisitionSource: lot.source,
+        acquisitionTransactionId: lot.transactionId,
+        costPerUnit: lot.costPerUnit,
+        costBasis,
+        disposedDate: new Date(transaction.date),
+        disposalType: transaction.type,
+        salePrice: transaction.price,
+        proceeds,
+        gain: proceeds - costBasis,
+        transactionId: transaction._id
+      });
+
+      lot.quantity -= quantity;
+      remaining -= quantity;
+      if (lot.quantity <= this.epsilon) {
+        holding.lots.shift();
+      }
+    }
+  }
+
+  openQuantity(holding) {
+    return holding.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  }
+
+  // Current prices for every holding: Stock.currentPrice and MutualFund.nav
+  async getCurrentPrices(holdings) {
+    const tickers = [];
+    const schemeCodes = [];
+    holdings.forEach(holding => {
+      if (holding.assetType === 'stock') tickers.push(holding.symbol);
+      else schemeCodes.push(holding.symbol);
+    });
+
+    const [stocks, funds] = await Promise.all([
+      tickers.length > 0
+        ? Stock.find({ ticker: { $in: tickers } }).select('ticker name currentPrice lastUpdated')
+        : [],
+      schemeCodes.length > 0
+        ? MutualFund.find({ schemeCode: { $in: schemeCodes } }).select('schemeCode schemeName nav navDate category')
+        : []
+    ]);
+
+    const prices = new Map();
+    stocks.forEach(stock => prices.set(this.holdingKey('stock', stock.ticker), {
+      name: stock.name,
+      price: stock.currentPrice,
+      priceDate: stock.lastUpdated
+    }));
+    funds.forEach(fund => prices.set(this.holdingKey('mutualFund', fund.schemeCode), {
+      name: fund.schemeName,
+      price: fund.nav,
+      priceDate: fund.navDate,
+      category: fund.category
+    }));
+
+    return prices;
+  }
+
+  // Derive holdings, P&L and totals for a portfolio's transactions
+  async getHoldings(transactions) {
+    const ledger = this.buildLedger(transactions);
+    const prices = await this.getCurrentPrices(ledger);
+
+    const holdings = [];
+    const summary = {
+      investedAmount: 0,
+      currentValue: 0,
+      unrealizedPnL: 0,
+      realizedPnL: 0,
+      dividends: 0
+    };
+
+    ledger.forEach((holding, key) => {
+      const quantity = this.openQuantity(holding);
+      const investedAmount = holding.lots.reduce((sum, lot) => sum + lot.quantity * lot.costPerUnit, 0);
+      const realizedPnL = holding.realized.reduce((sum, entry) => sum + entry.gain, 0);
+      const market = prices.get(key) || {};
+      const currentPrice = market.price !== undefined ? market.price : null;
+      const currentValue = currentPrice !== null ? quantity * currentPrice : null;
+      const unrealizedPnL = currentValue !== null ? currentValue - investedAmount : null;
+
+      summary.investedAmount += investedAmount;
+      summary.currentValue += currentValue || 0;
+      summary.unrealizedPnL += unrealizedPnL || 0;
+      summary.realizedPnL += realizedPnL;
+      summary.dividends += holding.dividends;
+
+      holdings.push({
+        assetType: holding.assetType,
+        symbol: holding.symbol,
+        name: market.name || null,
+        quantity: this.round(quantity, 4),
+        averageCost: quantity > this.epsilon ? this.round(investedAmount / quantity, 4) : null,
+        investedAmount: this.round(investedAmount),
+        currentPrice,
+        priceDate: market.priceDate || null,
+        currentValue: this.round(currentValue),
+        unrealizedPnL: this.round(unrealizedPnL),
+        unrealizedPnLPercent: investedAmount > 0 && unrealizedPnL !== null
+          ? this.round(unrealizedPnL / investedAmount * 100)
+          : null,
+        realizedPnL: this.round(realizedPnL),
+        dividends: this.round(holding.dividends),
+        lots: holding.lots.map(lot => ({
+          date: lot.date,
+          quantity: this.round(lot.quantity, 4),
+          costPerUnit: this.round(lot.costPerUnit, 4),
+          source: lot.source
+        }))
+      });
+    });
+
+    summary.unrealizedPnLPercent = summary.investedAmount > 0
+      ? summary.unrealizedPnL / summary.investedAmount * 100
+      : null;
+    Object.keys(summary).forEach(key => {
+      summary[key] = this.round(summary[key]);
+    });
+
+    return {
+      holdings: holdings.sort((a, b) => (b.currentValue || 0) - (a.currentValue || 0)),
+      summary
+    };
+  }
+
+  round(value, digits = 2) {
+    return value === null || value === undefined || !isFinite(value)
+      ? null
+      : parseFloat(value.toFixed(digits));
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new PortfolioService();
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const CircuitBreaker = require('./circuitBreaker');
+const requestBudget = require('./requestBudget');
+const logger = require('../../utils/logger');
+
+const defaultFixturesDir = path.join(__dirname, 'fixtures');
+
+// Common plumbing for market data adapters. Set MARKET_DATA_MODE=fixtures to
+// serve responses from ./fixtures (or MARKET_DATA_FIXTURES_DIR) instead of the
+// network, or MARKET_DATA_MODE=record to save live responses as new fixtures.
+// The committed fixtures are a small trimmed set: NIFTY 50, RELIANCE and two
+// schemes.
+//
+// Live requests take a token from the shared request budget, are retried with
+// exponential backoff and jitter when the upstream is throttling or failing,
+// and feed the provider's circuit breaker (see providers/index.js).
+class BaseProvider {
+  constructor(name, { timeout = 10000, headers = {} } = {}) {
+    this.name = name;
+    this.timeout = timeout;
+    this.headers = headers;
+    // Capabilities this adapter implements; see providers/index.js
+    this.capabilities = [];
+
+    this.breaker = new CircuitBreaker(name);
+    this.maxRetries = parseInt(process.env.MARKET_DATA_MAX_RETRIES, 10) || 2;
+    this.backoffBaseMs = 500;
+    this.backoffMaxMs = 8000;
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  get mode() {
+    return process.env.MARKET_DATA_MODE || 'live';
+  }
+
+  // GET a JSON payload, or its recorded fixture when running offline
+  async fetchJson(url, fixtureKey) {
+    if (this.mode === 'fixtures') {
+      return this.loadFixture(fixtureKey);
+    }
+
+    const response = await this.getWithRetry(url);
+
+    if (this.mode === 'record') {
+      this.saveFixture(fixtureKey, response.data);
+    }
+
+    return response.data;
+  }
+
+  async getWithRetry(url) {
+    for (let attempt = 0; ; attempt++) {
+      await requestBudget.acquire();
+
+      // The breaker may have opened while this request waited for budget
+      if (this.breaker.state === 'open') {
+        throw Object.assign(new Error('circuit open'), { code: 'CIRCUIT_OPEN' });
+      }
+
+      try {
+        return await axios.get(url, {
+          timeout: this.timeout,
+          headers: this.headers
+        });
+      } catch (error) {
+        if (attempt >= this.maxRetries || !BaseProvider.isUpstreamFailure(error)) {
+          throw error;
+        }
+
+        const delay = this.backoffDelay(attempt, error);
+        logger.debug(`${this.name} request failed (${error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Full-jitter exponential backoff, stretched to honour a Retry-After header
+  backoffDelay(attempt, error) {
+    const ceiling = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** attempt);
+    const delay = Math.round(Math.random() * ceiling);
+
+    const retryAfter = error.response && parseInt(error.response.headers && error.response.headers['retry-after'], 10);
+    return retryAfter > 0 ? Math.max(delay, Math.min(retryAfter * 1000, this.backoffMaxMs)) : delay;
+  }
+
+  // Throttling, server errors and network failures say the upstream is
+  // unhealthy; anything else (404, bad symbol) is about the request itself
+  static isUpstreamFailure(error) {
+    if (!error.response) {
+      return Boolean(error.code || error.request);
+    }
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
+  fixturePath(key) {
+    const fixturesDir = process.env.MARKET_DATA_FIXTURES_DIR || defaultFixturesDir;
+    return path.join(fixturesDir, this.name, `${key.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  loadFixture(key) {
+    const file = this.fixturePath(key);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No ${this.name} fixture for ${key}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  saveFixture(key, data) {
+    const file = this.fixturePath(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    logger.info(`Recorded ${this.name} fixture ${path.basename(file)}`);
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,92 @@
+// Per-provider circuit breaker.
+//   closed     requests flow; consecutive upstream failures are counted
+//   open       requests are refused until the cooldown has passed
+//   half_open  a single probe request is let through; success closes the
+//              breaker, failure opens it again
+class CircuitBreaker {
+  constructor(name, {
+    failureThreshold = parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5,
+    cooldownMs = parseInt(process.env.BREAKER_COOLDOWN_MS, 10) || 60000
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.lastFailureAt = null;
+    this.tripCount = 0;
+  }
+
+  // Whether a request may be sent now; moves an expired open breaker to half_open
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      this.probeInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  // True when allowRequest() would let a request through, without claiming the probe
+  isAvailable(now = Date.now()) {
+    if (this.state === 'open') {
+      return now - this.openedAt >= this.cooldownMs;
+    }
+    return this.state === 'closed' || !this.probeInFlight;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.failures += 1;
+    this.lastFailure = error ? error.message : null;
+    this.lastFailureAt = new Date(now);
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.open(now);
+    }
+  }
+
+  open(now = Date.now()) {
+    this.state = 'open';
+    this.openedAt = now;
+    this.probeInFlight = false;
+    this.tripCount += 1;
+  }
+
+  // Snapshot for /health
+  status(now = Date.now()) {
+    return {
+      provider: this.name,
+      state: this.state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      tripCount: this.tripCount,
+      lastFailure: this.lastFailure,
+      lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null,
+      checkedAt: new Date(now).toISOString()
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
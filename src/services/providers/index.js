@@ -0,0 +1,163 @@
+const YahooProvider = require('./yahooProvider');
+const MfapiProvider = require('./mfapiProvider');
+const BaseProvider = require('./baseProvider');
+const requestBudget = require('./requestBudget');
+const logger = require('../../utils/logger');
+
+// Routes market data requests to adapters in priority order, moving on to the
+// next adapter when one errors or times out.
+//
+// Capabilities and the adapter method that serves each:
+//   quote    getQuote(ticker)              stock quote with recent daily bars
+//   history  getHistory(symbol, options)   OHLCV bars for a stock or index
+//   search   search(query)                 listed stocks matching a query
+//   indices  getIndexQuote(index)          index quote with intraday bars
+//   nav      getNavHistory(schemeCode)     mutual fund details and NAV rows
+//
+// Priority lists come from MARKET_DATA_<CAPABILITY>_PROVIDERS, e.g.
+// MARKET_DATA_QUOTE_PROVIDERS=yahoo,backup
+//
+// Providers whose circuit breaker is open are skipped. When every provider for
+// a capability is skipped the call fails fast with code PROVIDERS_UNAVAILABLE
+// so batch callers can stop instead of queueing more requests. When every
+// provider tried rejected the request itself (HTTP 4xx) the code is
+// REQUEST_REJECTED.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    this.methods = {
+      quote: 'getQuote',
+      history: 'getHistory',
+      search: 'search',
+      indices: 'getIndexQuote',
+      nav: 'getNavHistory'
+    };
+
+    this.defaultPriority = {
+      quote: ['yahoo'],
+      history: ['yahoo'],
+      search: ['yahoo'],
+      indices: ['yahoo'],
+      nav: ['mfapi']
+    };
+
+    this.register(new YahooProvider());
+    this.register(new MfapiProvider());
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  priorityFor(capability) {
+    const configured = process.env[`MARKET_DATA_${capability.toUpperCase()}_PROVIDERS`];
+    if (!configured) {
+      return this.defaultPriority[capability] || [];
+    }
+    return configured.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  // Adapters that can serve a capability, in the order they will be tried
+  providersFor(capability) {
+    return this.priorityFor(capability)
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.supports(capability));
+  }
+
+  async call(capability, ...args) {
+    const method = this.methods[capability];
+    if (!method) {
+      throw new Error(`Unknown market data capability: ${capability}`);
+    }
+
+    const candidates = this.providersFor(capability);
+    if (candidates.length === 0) {
+      throw new Error(`No provider configured for ${capability}`);
+    }
+
+    const failures = [];
+    let attempted = 0;
+    let rejected = 0;
+    for (const provider of candidates) {
+      if (!provider.breaker.allowRequest()) {
+        failures.push(`${provider.name}: circuit open`);
+        continue;
+      }
+
+      attempted += 1;
+      try {
+        const result = await provider[method](...args);
+        provider.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        failures.push(`${provider.name}: ${error.message}`);
+
+        if (error.code === 'CIRCUIT_OPEN') {
+          attempted -= 1;
+          continue;
+        }
+
+        if (BaseProvider.isUpstreamFailure(error)) {
+          const wasOpen = provider.breaker.state === 'open';
+          provider.breaker.recordFailure(error);
+          if (!wasOpen && provider.breaker.state === 'open') {
+            logger.warn(`Circuit opened for ${provider.name} after ${provider.breaker.failures} failures: ${error.message}`);
+          }
+        } else {
+          // The provider answered; the request itself was bad
+          provider.breaker.recordSuccess();
+          if (error.response && error.response.status >= 400 && error.response.status < 500) {
+            rejected += 1;
+          }
+        }
+
+        if (candidates.length > failures.length) {
+          logger.warn(`${capability} via ${provider.name} failed, trying next provider: ${error.message}`);
+        }
+      }
+    }
+
+    if (attempted === 0) {
+      const error = new Error(`All ${capability} providers unavailable (${failures.join('; ')})`);
+      error.code = 'PROVIDERS_UNAVAILABLE';
+      throw error;
+    }
+
+    const error = new Error(`All ${capability} providers failed (${failures.join('; ')})`);
+    // Every provider asked answered with a 4xx, e.g. Yahoo's 400 for a
+    // history window before the first trade date
+    if (rejected === attempted) {
+      error.code = 'REQUEST_REJECTED';
+    }
+    throw error;
+  }
+
+  // True when at least one provider for the capability would accept a request now
+  isAvailable(capability) {
+    return this.providersFor(capability).some(provider => provider.breaker.isAvailable());
+  }
+
+  // Configured order and capabilities, for diagnostics
+  describe() {
+    return Object.keys(this.methods).reduce((summary, capability) => {
+      summary[capability] = this.providersFor(capability).map(provider => provider.name);
+      return summary;
+    }, {});
+  }
+
+  // Breaker states and request budget, for /health
+  status() {
+    const breakers = Array.from(this.providers.values()).map(provider => provider.breaker.status());
+
+    return {
+      status: breakers.some(breaker => breaker.state !== 'closed') ? 'degraded' : 'ok',
+      mode: process.env.MARKET_DATA_MODE || 'live',
+      priority: this.describe(),
+      breakers,
+      budget: requestBudget.status()
+    };
+  }
+}
+
+module.exports = new ProviderRegistry();
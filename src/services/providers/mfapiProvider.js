@@ -0,0 +1,33 @@
+const BaseProvider = require('./baseProvider');
+
+// mfapi.in: scheme details and full NAV history for mutual funds
+class MfapiProvider extends BaseProvider {
+  constructor() {
+    super('mfapi', { timeout: 15000 });
+
+    this.baseUrl = 'https://api.mfapi.in';
+    this.capabilities = ['nav'];
+  }
+
+  // Scheme details with NAV rows as published (DD-MM-YYYY dates, newest first)
+  async getNavHistory(schemeCode) {
+    const data = await this.fetchJson(`${this.baseUrl}/mf/${schemeCode}`, `mf_${schemeCode}`);
+
+    if (!data || !data.meta || !Array.isArray(data.data) || data.data.length === 0) {
+      throw new Error(`No NAV data available for scheme ${schemeCode}`);
+    }
+
+    return {
+      schemeCode: String(data.meta.scheme_code),
+      schemeName: data.meta.scheme_name,
+      fundHouse: data.meta.fund_house,
+      schemeType: data.meta.scheme_type || null,
+      schemeCategory: data.meta.scheme_category || null,
+      isinGrowth: data.meta.isin_growth || null,
+      isinDivReinvestment: data.meta.isin_div_reinvestment || null,
+      navs: data.data.map(row => ({ date: row.date, nav: row.nav }))
+    };
+  }
+}
+
+module.exports = MfapiProvider;
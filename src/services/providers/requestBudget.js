@@ -0,0 +1,61 @@
+// Process-wide requests-per-second budget for upstream market data calls.
+// Every adapter request (from dataSync, websocketService or a controller)
+// takes a token before it goes out; callers beyond the budget wait in FIFO
+// order instead of being fired in parallel.
+class RequestBudget {
+  constructor() {
+    this.requestsPerSecond = parseFloat(process.env.MARKET_DATA_RPS) || 5;
+    // Allow short bursts up to one second's worth of requests
+    this.capacity = Math.max(1, Math.ceil(this.requestsPerSecond));
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.waiting = [];
+    this.timer = null;
+    this.granted = 0;
+  }
+
+  refill(now = Date.now()) {
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  // Resolves once a request may be sent
+  acquire() {
+    return new Promise(resolve => {
+      this.waiting.push(resolve);
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.waiting.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.granted += 1;
+      this.waiting.shift()();
+    }
+
+    if (this.waiting.length > 0 && !this.timer) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  // Snapshot for /health
+  status() {
+    this.refill();
+    return {
+      requestsPerSecond: this.requestsPerSecond,
+      availableTokens: parseFloat(this.tokens.toFixed(2)),
+      queued: this.waiting.length,
+      granted: this.granted
+    };
+  }
+}
+
+module.exports = new RequestBudget();
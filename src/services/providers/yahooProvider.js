@@ -0,0 +1,176 @@
+const BaseProvider = require('./baseProvider');
+const { dateKey } = require('../../utils/series');
+
+// Yahoo Finance chart and search APIs: stock quotes, OHLC history, search and index quotes
+class YahooProvider extends BaseProvider {
+  constructor() {
+    super('yahoo', {
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    });
+
+    this.chartBase = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+    this.searchBase = 'https://query2.finance.yahoo.com/v1/finance/search';
+    this.capabilities = ['quote', 'history', 'search', 'indices'];
+  }
+
+  // Yahoo Finance requires .NS suffix for NSE stocks
+  formatTicker(ticker) {
+    return ticker.includes('.') || ticker.startsWith('^') ? ticker : `${ticker}.NS`;
+  }
+
+  // Chart data for a named range ('1y', '5y', ...) or an explicit from/to window
+  async fetchChart(symbol, { interval, range, from = null, to = null }) {
+    let query = `range=${range}`;
+    let key = range;
+    if (from && to) {
+      query = `period1=${Math.floor(from.getTime() / 1000)}&period2=${Math.floor(to.getTime() / 1000)}`;
+      key = `${dateKey(from)}_${dateKey(to)}`;
+    }
+
+    const data = await this.fetchJson(
+      `${this.chartBase}${encodeURIComponent(symbol)}?interval=${interval}&${query}`,
+      `chart_${symbol}_${interval}_${key}`
+    );
+
+    const result = data && data.chart && data.chart.result && data.chart.result[0];
+    if (!result) {
+      const reason = data && data.chart && data.chart.error ? data.chart.error.description : 'empty chart response';
+      throw new Error(`Yahoo chart for ${symbol}: ${reason}`);
+    }
+    return result;
+  }
+
+  // Stock quote with one year of daily bars
+  async getQuote(ticker) {
+    const data = await this.fetchChart(this.formatTicker(ticker), { interval: '1d', range: '1y' });
+    const meta = data.meta;
+    const quotes = data.indicators.quote[0];
+
+    // Extract current price and calculate changes
+    const currentPrice = meta.regularMarketPrice || quotes.close[quotes.close.length - 1];
+    const previousClose = meta.previousClose || quotes.close[quotes.close.length - 2];
+    const change = currentPrice - previousClose;
+    const changePercent = ((change / previousClose) * 100);
+
+    // Format the data according to our Stock model
+    return {
+      ticker: ticker.toUpperCase(),
+      name: meta.longName || meta.shortName || ticker,
+      exchange: 'NSE',
+      currentPrice: parseFloat(currentPrice.toFixed(2)),
+      previousClose: parseFloat(previousClose.toFixed(2)),
+      dayChange: parseFloat(change.toFixed(2)),
+      dayChangePercent: parseFloat(changePercent.toFixed(2)),
+      volume: quotes.volume[quotes.volume.length - 1] || 0,
+      avgVolume: this.averageVolume(quotes.volume),
+      high52Week: meta.fiftyTwoWeekHigh || null,
+      low52Week: meta.fiftyTwoWeekLow || null,
+      marketCap: meta.marketCap || null,
+      lastUpdated: new Date(),
+      // Last 90 sessions of daily bars
+      priceHistory: this.formatBars(data.timestamp, quotes).slice(-90)
+    };
+  }
+
+  // Daily (or intraday) OHLCV bars, oldest first, for a range or a from/to window
+  async getHistory(symbol, { range = '5y', interval = '1d', from = null, to = null } = {}) {
+    const data = await this.fetchChart(this.formatTicker(symbol), { interval, range, from, to });
+    return this.formatBars(data.timestamp, data.indicators.quote[0]);
+  }
+
+  // Latest quote for an index with the current session in 5-minute bars
+  async getIndexQuote(index) {
+    const data = await this.fetchChart(index.symbol, { interval: '5m', range: '1d' });
+    const meta = data.meta;
+    const closes = data.indicators.quote[0].close || [];
+
+    const currentPrice = meta.regularMarketPrice;
+    const previousClose = meta.previousClose || meta.chartPreviousClose;
+    const change = currentPrice - previousClose;
+    const changePercent = ((change / previousClose) * 100);
+
+    return {
+      code: index.code,
+      name: index.name,
+      symbol: index.symbol,
+      exchange: index.exchange,
+      category: index.category,
+      value: parseFloat(currentPrice.toFixed(2)),
+      previousClose: parseFloat(previousClose.toFixed(2)),
+      change: parseFloat(change.toFixed(2)),
+      changePercent: parseFloat(changePercent.toFixed(2)),
+      dayHigh: meta.regularMarketDayHigh || null,
+      dayLow: meta.regularMarketDayLow || null,
+      high52Week: meta.fiftyTwoWeekHigh || null,
+      low52Week: meta.fiftyTwoWeekLow || null,
+      quoteTime: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000) : null,
+      intraday: (data.timestamp || [])
+        .map((timestamp, i) => ({
+          time: new Date(timestamp * 1000),
+          value: closes[i] ? parseFloat(closes[i].toFixed(2)) : null
+        }))
+        .filter(point => point.value !== null),
+      lastUpdated: new Date()
+    };
+  }
+
+  // Search NSE/BSE listed stocks by name or ticker
+  async search(query) {
+    const data = await this.fetchJson(
+      `${this.searchBase}?q=${encodeURIComponent(query)}`,
+      `search_${query.toLowerCase()}`
+    );
+
+    const quotes = data.quotes || [];
+
+    // Filter for Indian stocks (those with .NS, .BO suffix or Indian exchanges)
+    const indianStocks = quotes.filter(quote =>
+      quote.symbol.includes('.NS') ||
+      quote.symbol.includes('.BO') ||
+      quote.exchange === 'NSI' ||
+      quote.exchange === 'BSE'
+    );
+
+    return indianStocks.slice(0, 10).map(quote => ({
+      ticker: quote.symbol.replace(/\.(NS|BO)$/, ''),
+      name: quote.shortname || quote.longname,
+      exchange: quote.symbol.includes('.NS') ? 'NSE' : 'BSE',
+      marketCap: quote.marketCap,
+      sector: quote.sector
+    }));
+  }
+
+  // Average daily volume over the sessions before the latest one (20 by default)
+  averageVolume(volumes, sessions = 20) {
+    const previous = (volumes || []).slice(0, -1).filter(v => v > 0).slice(-sessions);
+    if (previous.length === 0) {
+      return 0;
+    }
+    return Math.round(previous.reduce((sum, v) => sum + v, 0) / previous.length);
+  }
+
+  // Chart arrays to bars, skipping sessions with no trades
+  formatBars(timestamps, quotes) {
+    const bars = [];
+
+    for (let i = 0; i < (timestamps || []).length; i++) {
+      if (quotes.open[i] && quotes.close[i]) {
+        bars.push({
+          date: new Date(timestamps[i] * 1000),
+          open: quotes.open[i],
+          high: quotes.high[i],
+          low: quotes.low[i],
+          close: quotes.close[i],
+          volume: (quotes.volume && quotes.volume[i]) || 0
+        });
+      }
+    }
+
+    return bars;
+  }
+}
+
+module.exports = YahooProvider;
@@ -0,0 +1,322 @@
+const Stock = require('../models/Stocks');
+const MutualFund = require('../models/MutualFund');
+const portfolioService = require('./portfolioService');
+const candleService = require('./candleService');
+const { DAY_MS, dateKey, toSeries, pointOnOrBefore, daysBetween } = require('../utils/series');
+
+class ReturnsService {
+  constructor() {
+    this.maxIterations = 100;
+    this.tolerance = 1e-7;
+  }
+
+  // Net present value of dated cash flows at an annual rate
+  npv(rate, cashFlows, origin) {
+    return cashFlows.reduce((sum, flow) => {
+      const years = daysBetween(origin, flow.date) / 365;
+      return sum + flow.amount / Math.pow(1 + rate, years);
+    }, 0);
+  }
+
+  npvDerivative(rate, cashFlows, origin) {
+    return cashFlows.reduce((sum, flow) => {
+      const years = daysBetween(origin, flow.date) / 365;
+      return sum - years * flow.amount / Math.pow(1 + rate, years + 1);
+    }, 0);
+  }
+
+  // Annualised internal rate of return for irregular cash flows, in percent.
+  // Investments are negative amounts, redemptions and the current value positive.
+  xirr(cashFlows) {
+    const flows = cashFlows
+      .filter(flow => flow.amount !== 0 && !isNaN(new Date(flow.date).getTime()))
+      .map(flow => ({ date: new Date(flow.date), amount: flow.amount }))
+      .sort((a, b) => a.date - b.date);
+
+    const hasOutflow = flows.some(flow => flow.amount < 0);
+    const hasInflow = flows.some(flow => flow.amount > 0);
+    if (flows.length < 2 || !hasOutflow || !hasInflow) {
+      return null;
+    }
+
+    const origin = flows[0].date;
+
+    // Newton-Raphson from a 10% guess
+    let rate = 0.1;
+    for (let i = 0; i < this.maxIterations; i++) {
+      const value = this.npv(rate, flows, origin);
+      const derivative = this.npvDerivative(rate, flows, origin);
+      if (derivative === 0 || !isFinite(derivative)) break;
+
+      const next = rate - value / derivative;
+      if (!isFinite(next) || next <= -1) break;
+      if (Math.abs(next - rate) < this.tolerance) {
+        return this.round(next * 100);
+      }
+      rate = next;
+    }
+
+    // Fall back to bisection when Newton does not converge
+    let low = -0.9999;
+    let high = 10;
+    let lowValue = this.npv(low, flows, origin);
+    const highValue = this.npv(high, flows, origin);
+    if (lowValue * highValue > 0) {
+      return null;
+    }
+
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      const midValue = this.npv(mid, flows, origin);
+      if (Math.abs(midValue) < this.tolerance || (high - low) / 2 < this.tolerance) {
+        return this.round(mid * 100);
+      }
+      if (midValue * lowValue < 0) {
+        high = mid;
+      } else {
+        low = mid;
+        lowValue = midValue;
+      }
+    }
+
+    return null;
+  }
+
+  // Time-weighted return from valuation points, in percent.
+  // Each point is { date, valueBefore, valueAfter }: market value just before and
+  // just after that day's external flows. Sub-period returns are chain-linked so
+  // the size and timing of contributions do not affect the result.
+  timeWeightedReturn(points) {
+    if (points.length < 2) {
+      return null;
+    }
+
+    let growth = 1;
+    for (let i = 1; i < points.length; i++) {
+      const start = points[i - 1].valueAfter;
+      if (start > 0) {
+        growth *= points[i].valueBefore / start;
+      }
+    }
+
+    const days = daysBetween(points[0].date, points[points.length - 1].date);
+    const total = (growth - 1) * 100;
+
+    return {
+      totalReturn: this.round(total),
+      annualisedReturn: days > 365 ? this.round((Math.pow(growth, 365 / days) - 1) * 100) : null,
+      startDate: points[0].date,
+      endDate: points[points.length - 1].date
+    };
+  }
+
+  // External cash flow of a ledger entry from the investor's point of view
+  cashFlowOf(transaction) {
+    const fees = transaction.fees || 0;
+    switch (transaction.type) {
+      case 'buy':
+      case 'sip':
+      case 'switch_in':
+        return -(transaction.quantity * transaction.price + fees);
+      case 'sell':
+      case 'switch_out':
+        return transaction.quantity * transaction.price - fees;
+      case 'dividend':
+        return transaction.amount;
+      default:
+        return 0;
+    }
+  }
+
+  // Price/NAV series for every instrument in a set of transactions
+  async loadPriceSeries(transactions) {
+    const tickers = new Set();
+    const schemeCodes = new Set();
+    transactions.forEach(t => (t.assetType === 'stock' ? tickers : schemeCodes).add(t.symbol));
+
+    const [stocks, candles, funds] = await Promise.all([
+      tickers.size > 0
+        ? Stock.find({ ticker: { $in: Array.from(tickers) } }).select('ticker currentPrice lastUpdated')
+        : [],
+      tickers.size > 0 ? candleService.getCandlesForTickers(Array.from(tickers)) : new Map(),
+      schemeCodes.size > 0
+        ? MutualFund.find({ schemeCode: { $in: Array.from(schemeCodes) } }).select('schemeCode nav navDate navHistory')
+        : []
+    ]);
+
+    const series = new Map();
+    stocks.forEach(stock => {
+      const points = [...(candles.get(stock.ticker) || []), { date: stock.lastUpdated || new Date(), close: stock.currentPrice }];
+      series.set(portfolioService.holdingKey('stock', stock.ticker), toSeries(points, 'close'));
+    });
+    funds.forEach(fund => {
+      const points = [...(fund.navHistory || []), { date: fund.navDate, nav: fund.nav }];
+      series.set(portfolioService.holdingKey('mutualFund', fund.schemeCode), toSeries(points, 'nav'));
+    });
+
+    return series;
+  }
+
+  // Market value of the units held in a ledger on a date. Prices come from stored
+  // history, falling back to the latest transaction price for the instrument.
+  valueLedger(ledger, date, priceSeries, transactions) {
+    let value = 0;
+    ledger.forEach((holding, key) => {
+      const quantity = portfolioService.openQuantity(holding);
+      if (quantity <= 0) return;
+
+      const point = pointOnOrBefore(priceSeries.get(key) || [], date);
+      let price = point ? point.value : null;
+      if (price === null) {
+        const lastTrade = transactions
+          .filter(t => portfolioService.holdingKey(t.assetType, t.symbol) === key && t.price > 0 && new Date(t.date) <= date)
+          .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+        price = lastTrade ? lastTrade.price : 0;
+      }
+      value += quantity * price;
+    });
+    return value;
+  }
+
+  // XIRR and time-weighted return over a portfolio, or one holding when
+  // assetType/symbol are given
+  async getPortfolioReturns(allTransactions, { assetType, symbol, asOf = new Date() } = {}) {
+    const transactions = allTransactions
+      .filter(t => !symbol || (t.symbol === symbol && (!assetType || t.assetType === assetType)))
+      .map(t => (t.toObject ? t.toObject() : t));
+
+    if (transactions.length === 0) {
+      return null;
+    }
+
+    const priceSeries = await this.loadPriceSeries(transactions);
+    const flowDates = Array.from(new Set(transactions.map(t => dateKey(t.date)))).sort();
+
+    // Valuation just before and after each day that has flows
+    const points = flowDates.map(key => {
+      const day = new Date(`${key}T00:00:00.000Z`);
+      const endOfDay = new Date(day.getTime() + DAY_MS - 1);
+      const before = transactions.filter(t => new Date(t.date) < day);
+      const through = transactions.filter(t => new Date(t.date) <= endOfDay);
+      const dividends = through
+        .filter(t => t.type === 'dividend' && dateKey(t.date) === key)
+        .reduce((sum, t) => sum + t.amount, 0);
+
+      return {
+        date: day,
+        // Dividends paid out that day count towards the period's return
+        valueBefore: this.valueLedger(portfolioService.buildLedger(before), endOfDay, priceSeries, transactions) + dividends,
+        valueAfter: this.valueLedger(portfolioService.buildLedger(through), endOfDay, priceSeries, transactions)
+      };
+    });
+
+    const finalLedger = portfolioService.buildLedger(transactions);
+    const currentValue = this.valueLedger(finalLedger, asOf, priceSeries, transactions);
+    points.push({ date: asOf, valueBefore: currentValue, valueAfter: currentValue });
+
+    const cashFlows = transactions
+      .map(t => ({ date: t.date, amount: this.cashFlowOf(t) }))
+      .filter(flow => flow.amount !== 0);
+    const invested = cashFlows.filter(f => f.amount < 0).reduce((sum, f) => sum - f.amount, 0);
+    const returned = cashFlows.filter(f => f.amount > 0).reduce((sum, f) => sum + f.amount, 0);
+
+    // Current holdings count as a final redemption
+    if (currentValue > 0) {
+      cashFlows.push({ date: asOf, amount: currentValue });
+    }
+
+    return {
+      asOf,
+      totalInvested: this.round(invested),
+      totalWithdrawn: this.round(returned),
+      currentValue: this.round(currentValue),
+      xirr: this.xirr(cashFlows),
+      timeWeighted: this.timeWeightedReturn(points)
+    };
+  }
+
+  // Installment date for a month, clamping day-of-month to the month's length
+  installmentDate(year, month, dayOfMonth) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay)));
+  }
+
+  // Replay a monthly SIP against NAV history. Installments falling on a
+  // non-business day are allotted at the next available NAV.
+  simulateSip(navHistory, { amount, dayOfMonth, startDate, endDate }) {
+    const series = toSeries(navHistory, 'nav');
+    if (series.length === 0) {
+      return null;
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(Math.min(new Date(endDate).getTime(), series[series.length - 1].date.getTime()));
+    const installments = [];
+    let totalUnits = 0;
+
+    const year = start.getUTCFullYear();
+    let month = start.getUTCMonth();
+    let scheduled = this.installmentDate(year, month, dayOfMonth);
+    if (scheduled < start) {
+      month += 1;
+      scheduled = this.installmentDate(year, month, dayOfMonth);
+    }
+
+    let cursor = 0;
+    while (scheduled <= end) {
+      while (cursor < series.length && series[cursor].date < scheduled) {
+        cursor += 1;
+      }
+      if (cursor >= series.length || series[cursor].date > end) {
+        break;
+      }
+
+      const allotment = series[cursor];
+      // Units are allotted to 3 decimal places
+      const units = Math.floor((amount / allotment.value) * 1000) / 1000;
+      totalUnits += units;
+      installments.push({
+        scheduledDate: scheduled,
+        allotmentDate: allotment.date,
+        nav: allotment.value,
+        amount,
+        units,
+        cumulativeUnits: parseFloat(totalUnits.toFixed(3))
+      });
+
+      month += 1;
+      scheduled = this.installmentDate(year, month, dayOfMonth);
+    }
+
+    if (installments.length === 0) {
+      return null;
+    }
+
+    const valuation = pointOnOrBefore(series, end);
+    const invested = installments.length * amount;
+    const currentValue = totalUnits * valuation.value;
+
+    const cashFlows = installments.map(i => ({ date: i.allotmentDate, amount: -i.amount }));
+    cashFlows.push({ date: valuation.date, amount: currentValue });
+
+    return {
+      installmentCount: installments.length,
+      totalUnits: parseFloat(totalUnits.toFixed(3)),
+      investedAmount: this.round(invested),
+      valuationDate: valuation.date,
+      valuationNav: valuation.value,
+      currentValue: this.round(currentValue),
+      absoluteReturn: this.round((currentValue / invested - 1) * 100),
+      xirr: this.xirr(cashFlows),
+      installments
+    };
+  }
+
+  round(value) {
+    return value === null || value === undefined || !isFinite(value)
+      ? null
+      : parseFloat(value.toFixed(2));
+  }
+}
+
+module.exports = new ReturnsService();
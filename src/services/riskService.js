@@ -0,0 +1,225 @@
+const nseService = require('./nseService');
+const Index = require('../models/Index');
+const indexCatalog = require('../config/indices');
+const logger = require('../utils/logger');
+const { dateKey, toSeries, subtractMonths, daysBetween } = require('../utils/series');
+
+class RiskService {
+  constructor() {
+    this.tradingDaysPerYear = 252;
+    this.minObservations = 30;
+
+    // Annual risk-free rate in percent (roughly the 91-day T-bill yield)
+    this.defaultRiskFreeRate = parseFloat(process.env.RISK_FREE_RATE) || 6.5;
+    this.defaultBenchmark = process.env.RISK_BENCHMARK || '^NSEI';
+    this.defaultPeriod = '3Y';
+
+    this.periods = { '1Y': 12, '3Y': 36, '5Y': 60 };
+
+    // Indices a fund can be measured against: every tracked index except volatility
+    this.benchmarks = Object.fromEntries(indexCatalog
+      .filter(index => index.category !== 'volatility')
+      .map(index => [index.symbol, index.name]));
+
+    // Benchmark history is shared by every fund, so keep it for a while
+    this.benchmarkCache = new Map();
+    this.benchmarkCacheTtl = 60 * 60 * 1000; // 1 hour
+  }
+
+  isSupportedBenchmark(symbol) {
+    return Object.prototype.hasOwnProperty.call(this.benchmarks, symbol);
+  }
+
+  // Daily closes for a benchmark index, cached per symbol. Uses the history
+  // dataSync stores on the Index model, falling back to Yahoo.
+  async getBenchmarkHistory(symbol = this.defaultBenchmark) {
+    const cached = this.benchmarkCache.get(symbol);
+    if (cached && Date.now() - cached.fetchedAt < this.benchmarkCacheTtl) {
+      return cached.history;
+    }
+
+    const stored = await Index.findOne({ symbol }).select('history').lean();
+    const history = stored && stored.history.length >= this.minObservations
+      ? stored.history.map(bar => ({ date: bar.date, close: bar.close }))
+      : await nseService.getIndexHistory(symbol, '5y');
+    this.benchmarkCache.set(symbol, { history, fetchedAt: Date.now() });
+    return history;
+  }
+
+  // Daily simple returns keyed by the date of the later observation
+  dailyReturns(series) {
+    const returns = [];
+    for (let i = 1; i < series.length; i++) {
+      returns.push({
+        date: series[i].date,
+        value: series[i].value / series[i - 1].value - 1
+      });
+    }
+    return returns;
+  }
+
+  mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  // Sample standard deviation
+  standardDeviation(values) {
+    const avg = this.mean(values);
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  // Largest peak-to-trough fall, with the dates it happened and when it recovered
+  maxDrawdown(series) {
+    let peak = series[0];
+    let worst = { value: 0, peakDate: null, troughDate: null, recoveryDate: null };
+    let worstPeakValue = null;
+
+    series.forEach(point => {
+      if (point.value > peak.value) {
+        peak = point;
+      }
+
+      const drawdown = point.value / peak.value - 1;
+      if (drawdown < worst.value) {
+        worst = { value: drawdown, peakDate: peak.date, troughDate: point.date, recoveryDate: null };
+        worstPeakValue = peak.value;
+      }
+    });
+
+    if (worst.troughDate) {
+      const recovery = series.find(point => point.date > worst.troughDate && point.value >= worstPeakValue);
+      worst.recoveryDate = recovery ? recovery.date : null;
+    }
+
+    return {
+      value: this.round(worst.value * 100),
+      peakDate: worst.peakDate,
+      troughDate: worst.troughDate,
+      recoveryDate: worst.recoveryDate
+    };
+  }
+
+  // Beta and Jensen's alpha against a benchmark, using days where both have a value
+  calculateBeta(fundSeries, benchmarkSeries, dailyRiskFree) {
+    const benchmarkByDate = new Map(benchmarkSeries.map(point => [dateKey(point.date), point]));
+    const paired = fundSeries
+      .filter(point => benchmarkByDate.has(dateKey(point.date)))
+      .map(point => ({ fund: point, benchmark: benchmarkByDate.get(dateKey(point.date)) }));
+
+    if (paired.length <= this.minObservations) {
+      return { beta: null, alpha: null, observations: paired.length };
+    }
+
+    const fundReturns = [];
+    const benchmarkReturns = [];
+    for (let i = 1; i < paired.length; i++) {
+      fundReturns.push(paired[i].fund.value / paired[i - 1].fund.value - 1);
+      benchmarkReturns.push(paired[i].benchmark.value / paired[i - 1].benchmark.value - 1);
+    }
+
+    const fundMean = this.mean(fundReturns);
+    const benchmarkMean = this.mean(benchmarkReturns);
+    let covariance = 0;
+    let benchmarkVariance = 0;
+    for (let i = 0; i < fundReturns.length; i++) {
+      covariance += (fundReturns[i] - fundMean) * (benchmarkReturns[i] - benchmarkMean);
+      benchmarkVariance += Math.pow(benchmarkReturns[i] - benchmarkMean, 2);
+    }
+
+    if (benchmarkVariance === 0) {
+      return { beta: null, alpha: null, observations: fundReturns.length };
+    }
+
+    const beta = covariance / benchmarkVariance;
+    const alpha = (fundMean - (dailyRiskFree + beta * (benchmarkMean - dailyRiskFree))) * this.tradingDaysPerYear;
+
+    return {
+      beta: this.round(beta),
+      alpha: this.round(alpha * 100),
+      observations: fundReturns.length
+    };
+  }
+
+  // Compute the risk profile of a fund over the trailing period from its NAV history.
+  // benchmarkHistory is an array of { date, close } for the chosen index.
+  calculateRiskMetrics(navHistory, {
+    period = this.defaultPeriod,
+    riskFreeRate = this.defaultRiskFreeRate,
+    benchmark = this.defaultBenchmark,
+    benchmarkHistory = null
+  } = {}) {
+    const fullSeries = toSeries(navHistory, 'nav');
+    if (fullSeries.length === 0) {
+      return null;
+    }
+
+    const latest = fullSeries[fullSeries.length - 1];
+    const periodStart = subtractMonths(latest.date, this.periods[period] || this.periods[this.defaultPeriod]);
+    const series = fullSeries.filter(point => point.date >= periodStart);
+
+    if (series.length <= this.minObservations) {
+      return null;
+    }
+
+    const returns = this.dailyReturns(series).map(r => r.value);
+    const dailyRiskFree = Math.pow(1 + riskFreeRate / 100, 1 / this.tradingDaysPerYear) - 1;
+    const excessReturns = returns.map(r => r - dailyRiskFree);
+
+    const dailyVolatility = this.standardDeviation(returns);
+    const annualisedVolatility = dailyVolatility * Math.sqrt(this.tradingDaysPerYear);
+    const annualisedExcess = this.mean(excessReturns) * this.tradingDaysPerYear;
+
+    const downsideDeviation = Math.sqrt(
+      this.mean(excessReturns.map(r => Math.pow(Math.min(0, r), 2)))
+    ) * Math.sqrt(this.tradingDaysPerYear);
+
+    const years = daysBetween(series[0].date, latest.date) / 365;
+    const annualisedReturn = years > 0
+      ? Math.pow(latest.value / series[0].value, 1 / years) - 1
+      : null;
+
+    let beta = { beta: null, alpha: null };
+    if (benchmarkHistory && benchmarkHistory.length > 0) {
+      const benchmarkSeries = toSeries(benchmarkHistory, 'close')
+        .filter(point => point.date >= series[0].date);
+      beta = this.calculateBeta(series, benchmarkSeries, dailyRiskFree);
+    }
+
+    return {
+      period,
+      startDate: series[0].date,
+      asOfDate: latest.date,
+      observations: returns.length,
+      annualisedReturn: annualisedReturn === null ? null : this.round(annualisedReturn * 100),
+      standardDeviation: this.round(annualisedVolatility * 100),
+      sharpeRatio: annualisedVolatility > 0 ? this.round(annualisedExcess / annualisedVolatility) : null,
+      sortinoRatio: downsideDeviation > 0 ? this.round(annualisedExcess / downsideDeviation) : null,
+      maxDrawdown: this.maxDrawdown(series),
+      beta: beta.beta,
+      alpha: beta.alpha,
+      benchmark,
+      benchmarkName: this.benchmarks[benchmark] || benchmark,
+      riskFreeRate,
+      calculatedAt: new Date()
+    };
+  }
+
+  // Load the default benchmark for a sync run; risk metrics are still computed without it
+  async getDefaultBenchmarkHistory() {
+    try {
+      return await this.getBenchmarkHistory(this.defaultBenchmark);
+    } catch (error) {
+      logger.warn(`Benchmark ${this.defaultBenchmark} unavailable, skipping beta/alpha: ${error.message}`);
+      return null;
+    }
+  }
+
+  round(value) {
+    return value === null || value === undefined || !isFinite(value)
+      ? null
+      : parseFloat(value.toFixed(2));
+  }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,92 @@
+const schemeCategories = require('../config/schemeCategories');
+
+// Broad groups stored in MutualFund.category, keyed by AMFI header prefix
+const HEADER_GROUPS = [
+  { pattern: /^equity scheme/i, group: 'Equity' },
+  { pattern: /^debt scheme/i, group: 'Debt' },
+  { pattern: /^hybrid scheme/i, group: 'Hybrid' },
+  { pattern: /^solution oriented scheme/i, group: 'Solution Oriented' }
+];
+
+// Close-ended and interval schemes carry older one-word headers such as
+// 'Income' or 'Growth' instead of a SEBI category
+const LEGACY_HEADERS = [
+  { pattern: /^income$/i, group: 'Debt', subCategory: 'Income' },
+  { pattern: /^(growth|equity)$/i, group: 'Equity', subCategory: 'Equity' },
+  { pattern: /^balanced$/i, group: 'Hybrid', subCategory: 'Balanced' }
+];
+
+// Index funds and ETFs whose index is not Indian equity (taxed as non-equity)
+const NON_EQUITY_INDEX = /\b(gilt|g-?sec|sdl|bond|debt|liquid|crisil|money market|treasury|t-?bill|gold|silver|nasdaq|s&p|hang seng|msci|nyse|international|global|overseas|us)\b/i;
+
+// Classifies schemes into SEBI categories: from AMFI's category header when
+// one is known (NAVAll, mfapi's scheme_category), otherwise from the scheme
+// name. The plan and option ('Direct', 'Growth', 'IDCW') never decide the
+// category.
+class SchemeClassifier {
+  constructor() {
+    this.categories = schemeCategories;
+    this.groups = ['Equity', 'Debt', 'Hybrid', 'Solution Oriented', 'Index', 'Fund of Funds', 'Other'];
+  }
+
+  // { category, subCategory, source: 'amfi' | 'name' | 'default' }
+  classify({ schemeName = '', amfiCategory = null } = {}) {
+    const fromHeader = amfiCategory ? this.fromAmfiCategory(amfiCategory, schemeName) : null;
+    if (fromHeader) {
+      return { ...fromHeader, source: 'amfi' };
+    }
+
+    const entry = this.categories.find(category => category.keywords.test(schemeName));
+    if (entry) {
+      return { category: entry.group, subCategory: entry.name, source: 'name' };
+    }
+
+    return { category: 'Other', subCategory: 'Other', source: 'default' };
+  }
+
+  // 'Equity Scheme - Large Cap Fund' -> Equity / Large Cap Fund
+  fromAmfiCategory(amfiCategory, schemeName = '') {
+    const [prefix, ...rest] = amfiCategory.split(/\s+-\s+/);
+    const detail = rest.join(' - ') || prefix;
+
+    const entry = this.categories.find(category => category.amfi.test(detail));
+    if (entry) {
+      return { category: entry.group, subCategory: entry.name };
+    }
+
+    const legacy = LEGACY_HEADERS.find(header => header.pattern.test(detail.trim()));
+    if (legacy) {
+      // The name usually says more, e.g. a close-ended 'Income' FMP
+      const byName = this.categories.find(category => category.group === legacy.group && category.keywords.test(schemeName));
+      if (legacy.group === 'Debt' && /\b(fmp|fixed maturity|fixed term|fixed horizon)\b/i.test(schemeName)) {
+        return { category: 'Debt', subCategory: 'Fixed Maturity Plan' };
+      }
+      return byName
+        ? { category: byName.group, subCategory: byName.name }
+        : { category: legacy.group, subCategory: legacy.subCategory };
+    }
+
+    const group = HEADER_GROUPS.find(header => header.pattern.test(prefix));
+    return group ? { category: group.group, subCategory: detail.trim() } : null;
+  }
+
+  // Whether a fund is taxed as equity-oriented. `rules` is taxRules.equityOriented.
+  isEquityOriented(fund, rules) {
+    if (!fund) {
+      return false;
+    }
+
+    if (rules.subCategories.includes(fund.subCategory)) {
+      return true;
+    }
+    if (!rules.categories.includes(fund.category)) {
+      return false;
+    }
+    if (fund.category === 'Index') {
+      return !NON_EQUITY_INDEX.test(fund.schemeName || '');
+    }
+    return true;
+  }
+}
+
+module.exports = new SchemeClassifier();
@@ -0,0 +1,299 @@
+const MutualFund = require('../models/MutualFund');
+const Scheme = require('../models/Scheme');
+const { toSeries, pointOnOrBefore, subtractMonths, daysBetween, DAY_MS } = require('../utils/series');
+const logger = require('../utils/logger');
+
+// Words that describe a plan or option rather than the scheme itself.
+// 'Dividend Yield' is a fund strategy, not an IDCW option.
+const VARIANT_WORDS = /\b(direct|regular|retail|institutional|growth|cumulative|idcw|dividend(?!\s+yield)|payout|reinvest(ment)?|bonus|income distribution)\b/i;
+const FREQUENCIES = ['Daily', 'Weekly', 'Fortnightly', 'Monthly', 'Quarterly', 'Half Yearly', 'Annual'];
+
+// Groups scheme codes into parent schemes by plan (Direct/Regular) and option
+// (Growth/IDCW), and compares what the regular plan's higher expense ratio
+// costs against the direct plan.
+class SchemeVariantService {
+  constructor() {
+    this.batchSize = 1000;
+  }
+
+  // 'Axis Bluechip Fund - Direct Plan - Growth' ->
+  // { baseName: 'Axis Bluechip Fund', plan: 'Direct', option: 'Growth', idcwFrequency: null }
+  parseVariant(schemeName) {
+    const name = String(schemeName || '').trim();
+    const segments = name.split(/\s*-\s*|\s*\(\s*|\s*\)\s*/).filter(Boolean);
+
+    // The base name runs up to the first segment that names a plan or option
+    const first = segments.findIndex(segment => VARIANT_WORDS.test(segment));
+    let baseName;
+    let variant;
+    if (first === -1) {
+      baseName = segments.join(' - ');
+      variant = '';
+    } else if (first > 0) {
+      baseName = segments.slice(0, first).join(' - ');
+      variant = segments.slice(first).join(' ');
+    } else {
+      // No separator before the variant words: cut after 'Fund' (or similar)
+      const match = /^(.*\b(fund|scheme|fof|etf)\b)/i.exec(segments[0]) ||
+        new RegExp(`^(.*?)\\s*${VARIANT_WORDS.source}`, 'i').exec(segments[0]);
+      baseName = match ? match[1] : segments[0];
+      variant = [segments[0].slice(baseName.length), ...segments.slice(1)].join(' ');
+    }
+    baseName = baseName.trim() || name;
+
+    const isIdcw = /\b(idcw|dividend(?!\s+yield)|income distribution)\b/i.test(variant);
+
+    let option = 'Growth';
+    if (isIdcw && /reinvest/i.test(variant)) option = 'IDCW Reinvestment';
+    else if (isIdcw && /payout|paying/i.test(variant)) option = 'IDCW Payout';
+    else if (isIdcw) option = 'IDCW';
+    else if (/\bbonus\b/i.test(variant)) option = 'Bonus';
+
+    const frequency = isIdcw
+      ? FREQUENCIES.find(candidate => new RegExp(`\\b${candidate.replace(' ', '[\\s-]?')}\\b`, 'i').test(variant))
+      : null;
+
+    return {
+      baseName,
+      plan: /\bdirect\b/i.test(variant) ? 'Direct' : 'Regular',
+      option,
+      idcwFrequency: frequency || null
+    };
+  }
+
+  schemeKey(fundHouse, baseName) {
+    const normalise = value => String(value || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '');
+    return `${normalise(fundHouse)}:${normalise(baseName)}`;
+  }
+
+  // Create parent schemes and link every fund (or every fund of one fund
+  // house) to its scheme with its plan and option
+  async linkVariants({ fundHouse = null } = {}) {
+    const funds = await MutualFund.find(fundHouse ? { fundHouse } : {})
+      .select('schemeCode schemeName fundHouse category subCategory isinGrowth isinDivReinvestment')
+      .lean();
+
+    const groups = new Map();
+    funds.forEach(fund => {
+      const variant = this.parseVariant(fund.schemeName);
+      const key = this.schemeKey(fund.fundHouse, variant.baseName);
+      if (!groups.has(key)) {
+        groups.set(key, { key, name: variant.baseName, members: [] });
+      }
+      groups.get(key).members.push({ fund, variant });
+    });
+
+    const groupList = Array.from(groups.values());
+    for (let i = 0; i < groupList.length; i += this.batchSize) {
+      await Scheme.bulkWrite(groupList.slice(i, i + this.batchSize).map(group => {
+        // Describe the scheme by its direct growth plan when there is one
+        const lead = group.members.find(({ variant }) => variant.plan === 'Direct' && variant.option === 'Growth') ||
+          group.members[0];
+        const isins = group.members
+          .flatMap(({ fund }) => [fund.isinGrowth, fund.isinDivReinvestment])
+          .filter(Boolean);
+
+        return {
+          updateOne: {
+            filter: { key: group.key },
+            update: {
+              $set: {
+                name: group.name,
+                fundHouse: lead.fund.fundHouse,
+                category: lead.fund.category,
+                subCategory: lead.fund.subCategory,
+                variantCount: group.members.length
+              },
+              $addToSet: { isins: { $each: isins } }
+            },
+            upsert: true
+          }
+        };
+      }), { ordered: false });
+    }
+
+    const schemeIds = new Map();
+    for (let i = 0; i < groupList.length; i += this.batchSize) {
+      const keys = groupList.slice(i, i + this.batchSize).map(group => group.key);
+      (await Scheme.find({ key: { $in: keys } }).select('key').lean())
+        .forEach(scheme => schemeIds.set(scheme.key, scheme._id));
+    }
+
+    const updates = groupList.flatMap(group => group.members.map(({ fund, variant }) => ({
+      updateOne: {
+        filter: { _id: fund._id },
+        update: {
+          $set: {
+            scheme: schemeIds.get(group.key),
+            plan: variant.plan,
+            option: variant.option,
+            idcwFrequency: variant.idcwFrequency
+          }
+        }
+      }
+    })));
+    for (let i = 0; i < updates.length; i += this.batchSize) {
+      await MutualFund.bulkWrite(updates.slice(i, i + this.batchSize), { ordered: false });
+    }
+
+    logger.info(`Linked ${funds.length} funds to ${groupList.length} schemes${fundHouse ? ` (${fundHouse})` : ''}`);
+    return { schemes: groupList.length, funds: funds.length };
+  }
+
+  // The fund, its parent scheme and all of the scheme's variants. Funds are
+  // linked by the NAVAll ingest and `npm run link-variants`; until then a fund
+  // has no scheme and no variants.
+  async getVariants(schemeCode, { select = '' } = {}) {
+    const fund = await MutualFund.findOne({ schemeCode }).select('schemeCode fundHouse scheme plan option idcwFrequency').lean();
+    if (!fund) {
+      throw this.error(404, 'Mutual fund not found');
+    }
+
+    if (!fund.scheme) {
+      return { fund, scheme: null, variants: [] };
+    }
+
+    const [scheme, variants] = await Promise.all([
+      Scheme.findById(fund.scheme).lean(),
+      MutualFund.find({ scheme: fund.scheme })
+        .select(`schemeCode schemeName plan option idcwFrequency isinGrowth isinDivReinvestment nav navDate expenseRatio isActive ${select}`)
+        .sort({ plan: 1, option: 1, idcwFrequency: 1 })
+        .lean()
+    ]);
+
+    return { fund, scheme, variants };
+  }
+
+  // What holding the regular plan instead of the direct plan of the same
+  // option costs over `years`: realised from both NAV histories when they
+  // cover the horizon, and projected from the expense ratio gap.
+  async compareCosts(schemeCode, { amount = 100000, years = 5, expectedReturn = null } = {}) {
+    const { fund, scheme, variants } = await this.getVariants(schemeCode, { select: 'navHistory performance' });
+    if (!scheme) {
+      throw this.error(404, 'Fund has not been linked to its scheme variants yet');
+    }
+
+    const pick = plan => {
+      const candidates = variants.filter(variant => variant.plan === plan && variant.option === fund.option);
+      return candidates.find(variant => variant.isActive && variant.idcwFrequency === fund.idcwFrequency) ||
+        candidates.find(variant => variant.isActive) ||
+        candidates[0] ||
+        null;
+    };
+    const direct = pick('Direct');
+    const regular = pick('Regular');
+
+    if (!direct || !regular) {
+      throw this.error(400, `Scheme has no ${direct ? 'regular' : 'direct'} plan with the ${fund.option} option to compare`);
+    }
+
+    const historical = this.historicalComparison(direct, regular, { amount, years });
+
+    const expenseRatioGap = direct.expenseRatio !== undefined && direct.expenseRatio !== null &&
+      regular.expenseRatio !== undefined && regular.expenseRatio !== null
+      ? this.round(regular.expenseRatio - direct.expenseRatio)
+      : null;
+
+    // Gross return for the projection: as given, else what the direct plan
+    // actually returned over the horizon
+    let assumedReturn = expectedReturn;
+    if (assumedReturn === null && historical) {
+      assumedReturn = historical.direct.annualisedReturn;
+    }
+    if (assumedReturn === null && direct.performance && direct.performance[`returns${years}Year`] !== undefined) {
+      assumedReturn = direct.performance[`returns${years}Year`];
+    }
+
+    let projected = null;
+    if (expenseRatioGap !== null && assumedReturn !== null && assumedReturn !== undefined) {
+      const directValue = amount * Math.pow(1 + assumedReturn / 100, years);
+      const regularValue = amount * Math.pow(1 + (assumedReturn - expenseRatioGap) / 100, years);
+      projected = {
+        assumedReturn: this.round(assumedReturn),
+        directValue: this.round(directValue),
+        regularValue: this.round(regularValue),
+        cost: this.round(directValue - regularValue),
+        costPercent: this.round((directValue - regularValue) / directValue * 100)
+      };
+    }
+
+    const describe = variant => ({
+      schemeCode: variant.schemeCode,
+      schemeName: variant.schemeName,
+      plan: variant.plan,
+      option: variant.option,
+      idcwFrequency: variant.idcwFrequency,
+      expenseRatio: variant.expenseRatio !== undefined ? variant.expenseRatio : null,
+      nav: variant.nav
+    });
+
+    return {
+      scheme: scheme ? { name: scheme.name, fundHouse: scheme.fundHouse, category: scheme.category, subCategory: scheme.subCategory } : null,
+      amount,
+      years,
+      direct: describe(direct),
+      regular: describe(regular),
+      expenseRatioGap,
+      historical,
+      projected
+    };
+  }
+
+  // Growth of `amount` in each plan over the trailing horizon both histories cover
+  historicalComparison(direct, regular, { amount, years }) {
+    const directSeries = toSeries(direct.navHistory);
+    const regularSeries = toSeries(regular.navHistory);
+    if (directSeries.length < 2 || regularSeries.length < 2) {
+      return null;
+    }
+
+    const endDate = new Date(Math.min(
+      directSeries[directSeries.length - 1].date.getTime(),
+      regularSeries[regularSeries.length - 1].date.getTime()
+    ));
+    const startDate = subtractMonths(endDate, years * 12);
+
+    // Both histories must reach back to (about) the start of the horizon
+    const covers = series => series[0].date.getTime() <= startDate.getTime() + 7 * DAY_MS;
+    if (!covers(directSeries) || !covers(regularSeries)) {
+      return null;
+    }
+
+    const growth = series => {
+      const start = pointOnOrBefore(series, startDate) || series[0];
+      const end = pointOnOrBefore(series, endDate);
+      const multiple = end.value / start.value;
+      const elapsedYears = daysBetween(start.date, end.date) / 365.25;
+      return {
+        startNav: start.value,
+        endNav: end.value,
+        value: this.round(amount * multiple),
+        annualisedReturn: this.round((Math.pow(multiple, 1 / elapsedYears) - 1) * 100)
+      };
+    };
+
+    const directGrowth = growth(directSeries);
+    const regularGrowth = growth(regularSeries);
+
+    return {
+      startDate,
+      endDate,
+      direct: directGrowth,
+      regular: regularGrowth,
+      cost: this.round(directGrowth.value - regularGrowth.value),
+      annualisedReturnGap: this.round(directGrowth.annualisedReturn - regularGrowth.annualisedReturn)
+    };
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(2));
+  }
+
+  error(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new SchemeVariantService();
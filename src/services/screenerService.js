@@ -0,0 +1,530 @@
+const Stock = require('../models/Stocks');
+const indicatorService = require('./indicatorService');
+const candleService = require('./candleService');
+const { DAY_MS } = require('../utils/series');
+
+class ScreenerService {
+  constructor() {
+    // Fields stored on the Stock document that can be screened on directly
+    this.storedFields = [
+      'currentPrice', 'previousClose', 'marketCap', 'peRatio', 'pbRatio', 'eps',
+      'dividendYield', 'beta', 'dayChange', 'dayChangePercent', 'volume', 'avgVolume',
+      'high52Week', 'low52Week'
+    ];
+    this.textFields = ['sector', 'industry', 'exchange'];
+    this.booleanFields = ['isPennyStock'];
+
+    // Fields derived from stored values
+    this.derivedFields = {
+      volumeRatio: stock => (stock.avgVolume > 0 ? stock.volume / stock.avgVolume : null),
+      pctFromHigh52Week: stock => (stock.high52Week > 0
+        ? (stock.currentPrice - stock.high52Week) / stock.high52Week * 100
+        : null),
+      pctFromLow52Week: stock => (stock.low52Week > 0
+        ? (stock.currentPrice - stock.low52Week) / stock.low52Week * 100
+        : null)
+    };
+    // The same derived fields as aggregation expressions, so filters and sorts
+    // on them run in the database
+    this.derivedExpressions = {
+      volumeRatio: {
+        $cond: [{ $gt: ['$avgVolume', 0] }, { $divide: ['$volume', '$avgVolume'] }, null]
+      },
+      pctFromHigh52Week: {
+        $cond: [
+          { $gt: ['$high52Week', 0] },
+          { $multiply: [{ $divide: [{ $subtract: ['$currentPrice', '$high52Week'] }, '$high52Week'] }, 100] },
+          null
+        ]
+      },
+      pctFromLow52Week: {
+        $cond: [
+          { $gt: ['$low52Week', 0] },
+          { $multiply: [{ $divide: [{ $subtract: ['$currentPrice', '$low52Week'] }, '$low52Week'] }, 100] },
+          null
+        ]
+      }
+    };
+
+    // Indicator fields use the latest value, e.g. rsi14, sma50, ema20, atr14.
+    // priceToSma50 / priceToEma20 give the % distance of price from the average.
+    this.indicatorPattern = /^(sma|ema|rsi|atr)(\d+)$/;
+    this.priceToAveragePattern = /^priceTo(Sma|Ema)(\d+)$/;
+    // Indicators precomputed on Stock.indicators after each session closes
+    // (see indicatorSnapshot), so screens on them run in the database. Other
+    // periods are computed from candles for a capped set of candidates.
+    this.snapshotIndicators = ['sma20', 'sma50', 'sma200', 'ema20', 'ema50', 'ema200', 'rsi14', 'atr14'];
+    this.maxCandleCandidates = parseInt(process.env.SCREENER_MAX_CANDLE_CANDIDATES, 10) || 200;
+
+    this.operators = ['gt', 'gte', 'lt', 'lte', 'eq', 'ne', 'between', 'in'];
+
+    this.defaultFields = [
+      'currentPrice', 'dayChangePercent', 'marketCap', 'volume', 'sector', 'exchange'
+    ];
+
+    this.maxDepth = 5;
+    this.maxConditions = 50;
+    this.maxLimit = 100;
+    // Daily bars loaded for indicator fields (enough to warm up a 200-day average)
+    this.historyLookbackDays = 550;
+
+    this.presets = {
+      'near-52-week-low': {
+        name: 'Near 52-week low',
+        description: 'Stocks trading within 10% of their 52-week low',
+        filter: { field: 'pctFromLow52Week', op: 'lte', value: 10 },
+        sort: { field: 'pctFromLow52Week', order: 'asc' },
+        fields: ['currentPrice', 'low52Week', 'high52Week', 'pctFromLow52Week', 'sector']
+      },
+      'volume-breakout': {
+        name: 'Volume breakout',
+        description: 'Advancing stocks trading at least twice their average volume',
+        filter: {
+          and: [
+            { field: 'volumeRatio', op: 'gte', value: 2 },
+            { field: 'dayChangePercent', op: 'gt', value: 0 }
+          ]
+        },
+        sort: { field: 'volumeRatio', order: 'desc' },
+        fields: ['currentPrice', 'dayChangePercent', 'volume', 'avgVolume', 'volumeRatio', 'sector']
+      },
+      'low-pe-dividend-payers': {
+        name: 'Low PE dividend payers',
+        description: 'Profitable companies with PE under 15 and a dividend yield of 2% or more',
+        filter: {
+          and: [
+            { field: 'peRatio', op: 'gt', value: 0 },
+            { field: 'peRatio', op: 'lte', value: 15 },
+            { field: 'dividendYield', op: 'gte', value: 2 }
+          ]
+        },
+        sort: { field: 'dividendYield', order: 'desc' },
+        fields: ['currentPrice', 'peRatio', 'dividendYield', 'marketCap', 'sector']
+      },
+      'oversold-rsi': {
+        name: 'Oversold (RSI)',
+        description: 'Stocks with a 14-day RSI below 30',
+        filter: { field: 'rsi14', op: 'lt', value: 30 },
+        sort: { field: 'rsi14', order: 'asc' },
+        fields: ['currentPrice', 'dayChangePercent', 'rsi14', 'sector']
+      }
+    };
+  }
+
+  getPresets() {
+    return Object.entries(this.presets).map(([id, preset]) => ({ id, ...preset }));
+  }
+
+  getPreset(id) {
+    const preset = this.presets[id];
+    if (!preset) {
+      throw this.badRequest(`Unknown preset: ${id}`);
+    }
+    return preset;
+  }
+
+  isIndicatorField(field) {
+    return this.indicatorPattern.test(field) || this.priceToAveragePattern.test(field);
+  }
+
+  // The snapshot indicator a field reads, e.g. priceToSma50 -> sma50; null
+  // when the field needs candles
+  snapshotIndicatorFor(field) {
+    const relative = field.match(this.priceToAveragePattern);
+    const indicator = relative ? `${relative[1].toLowerCase()}${relative[2]}` : field;
+    return this.indicatorPattern.test(indicator) && this.snapshotIndicators.includes(indicator) ? indicator : null;
+  }
+
+  needsCandles(field) {
+    return this.isIndicatorField(field) && !this.snapshotIndicatorFor(field);
+  }
+
+  isKnownField(field) {
+    return this.storedFields.includes(field) ||
+      this.textFields.includes(field) ||
+      this.booleanFields.includes(field) ||
+      Object.prototype.hasOwnProperty.call(this.derivedFields, field) ||
+      this.isIndicatorField(field);
+  }
+
+  // Validate a filter tree and collect the fields it references
+  validateFilter(node, depth = 1, state = { conditions: 0, fields: new Set() }) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw this.badRequest('Filter must be an object');
+    }
+
+    if (depth > this.maxDepth) {
+      throw this.badRequest(`Filter cannot be nested more than ${this.maxDepth} levels`);
+    }
+
+    const group = node.and || node.or;
+    if (group !== undefined) {
+      if (node.and && node.or) {
+        throw this.badRequest('A filter group must use either "and" or "or", not both');
+      }
+      if (!Array.isArray(group) || group.length === 0) {
+        throw this.badRequest('Filter groups must be non-empty arrays');
+      }
+      group.forEach(child => this.validateFilter(child, depth + 1, state));
+      return state;
+    }
+
+    const { field, op, value } = node;
+    if (!this.isKnownField(field)) {
+      throw this.badRequest(`Unknown screen field: ${field}`);
+    }
+    if (!this.operators.includes(op)) {
+      throw this.badRequest(`Unknown operator "${op}" for ${field}. Use one of: ${this.operators.join(', ')}`);
+    }
+
+    const isNumeric = !this.textFields.includes(field) && !this.booleanFields.includes(field);
+
+    if (op === 'between') {
+      if (!isNumeric) {
+        throw this.badRequest(`"between" is only supported on numeric fields`);
+      }
+      if (!Array.isArray(value) || value.length !== 2 || value.some(v => typeof v !== 'number')) {
+        throw this.badRequest(`"between" on ${field} needs a [min, max] pair of numbers`);
+      }
+    } else if (op === 'in') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw this.badRequest(`"in" on ${field} needs a non-empty array`);
+      }
+    } else if (this.textFields.includes(field)) {
+      if (typeof value !== 'string' || !['eq', 'ne'].includes(op)) {
+        throw this.badRequest(`${field} supports eq, ne and in with string values`);
+      }
+    } else if (this.booleanFields.includes(field)) {
+      if (typeof value !== 'boolean' || !['eq', 'ne'].includes(op)) {
+        throw this.badRequest(`${field} supports eq and ne with a boolean value`);
+      }
+    } else if (typeof value !== 'number' || !isFinite(value)) {
+      throw this.badRequest(`Value for ${field} must be a number`);
+    }
+
+    state.conditions += 1;
+    if (state.conditions > this.maxConditions) {
+      throw this.badRequest(`A screen can have at most ${this.maxConditions} conditions`);
+    }
+    state.fields.add(field);
+    return state;
+  }
+
+  validateSort(sort) {
+    if (!sort) return null;
+
+    if (!this.isKnownField(sort.field)) {
+      throw this.badRequest(`Unknown sort field: ${sort.field}`);
+    }
+    if (sort.order && !['asc', 'desc'].includes(sort.order)) {
+      throw this.badRequest('Sort order must be asc or desc');
+    }
+    return { field: sort.field, order: sort.order || 'desc' };
+  }
+
+  validateFields(fields) {
+    if (fields === undefined || fields === null) {
+      return this.defaultFields;
+    }
+    if (!Array.isArray(fields)) {
+      throw this.badRequest('fields must be an array of field names');
+    }
+
+    const unknown = fields.filter(field => !this.isKnownField(field));
+    if (unknown.length > 0) {
+      throw this.badRequest(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    return fields;
+  }
+
+  // Normalise and validate a screen definition ({ filter, sort, fields })
+  buildDefinition({ filter, sort, fields } = {}) {
+    const state = filter ? this.validateFilter(filter) : { fields: new Set() };
+
+    return {
+      filter: filter || null,
+      sort: this.validateSort(sort),
+      fields: this.validateFields(fields),
+      referencedFields: state.fields
+    };
+  }
+
+  // Latest value of an indicator field for one stock
+  resolveIndicator(field, stock, cache) {
+    if (cache.has(field)) {
+      return cache.get(field);
+    }
+
+    const candles = stock.candles || [];
+
+    let value = null;
+    const relative = field.match(this.priceToAveragePattern);
+    if (this.snapshotIndicators.includes(field)) {
+      value = stock.indicators && typeof stock.indicators[field] === 'number' ? stock.indicators[field] : null;
+    } else if (relative) {
+      const average = this.resolveIndicator(`${relative[1].toLowerCase()}${relative[2]}`, stock, cache);
+      value = average ? (stock.currentPrice - average) / average * 100 : null;
+    } else if (candles.length > 0) {
+      const [spec] = indicatorService.parseSet(field);
+      const series = indicatorService.calculate(candles, [spec])[spec.key];
+      value = series[series.length - 1];
+    }
+
+    cache.set(field, value);
+    return value;
+  }
+
+  resolveField(field, stock, cache) {
+    if (Object.prototype.hasOwnProperty.call(this.derivedFields, field)) {
+      return this.derivedFields[field](stock);
+    }
+    if (this.isIndicatorField(field)) {
+      return this.resolveIndicator(field, stock, cache);
+    }
+    const value = stock[field];
+    return value === undefined ? null : value;
+  }
+
+  matches(node, stock, cache) {
+    if (node.and) return node.and.every(child => this.matches(child, stock, cache));
+    if (node.or) return node.or.some(child => this.matches(child, stock, cache));
+
+    const actual = this.resolveField(node.field, stock, cache);
+    if (actual === null || actual === undefined || (typeof actual === 'number' && !isFinite(actual))) {
+      return false;
+    }
+
+    const { op, value } = node;
+    switch (op) {
+      case 'gt': return actual > value;
+      case 'gte': return actual >= value;
+      case 'lt': return actual < value;
+      case 'lte': return actual <= value;
+      case 'eq': return actual === value;
+      case 'ne': return actual !== value;
+      case 'between': return actual >= value[0] && actual <= value[1];
+      case 'in': return value.includes(actual);
+      default: return false;
+    }
+  }
+
+  round(value) {
+    return typeof value === 'number' && isFinite(value) ? parseFloat(value.toFixed(4)) : value;
+  }
+
+  // Aggregation expression for a field computed from other values (derived
+  // fields and the price's distance from a snapshot average), else null
+  expressionFor(field) {
+    if (Object.prototype.hasOwnProperty.call(this.derivedExpressions, field)) {
+      return this.derivedExpressions[field];
+    }
+    if (this.priceToAveragePattern.test(field)) {
+      const average = `$indicators.${this.snapshotIndicatorFor(field)}`;
+      return {
+        $cond: [
+          { $gt: [average, 0] },
+          { $multiply: [{ $divide: [{ $subtract: ['$currentPrice', average] }, average] }, 100] },
+          null
+        ]
+      };
+    }
+    return null;
+  }
+
+  // Document path of a stored or snapshot field
+  pathFor(field) {
+    return this.snapshotIndicators.includes(field) ? `indicators.${field}` : field;
+  }
+
+  // Mongo query condition for a filter node, or null for a node that needs
+  // candles (computed in memory). An "and" group keeps the conditions that
+  // translate; an "or" group translates only whole. Missing values never
+  // match, as in matches().
+  toQuery(node) {
+    if (node.and) {
+      const parts = node.and.map(child => this.toQuery(child)).filter(Boolean);
+      return parts.length > 0 ? { $and: parts } : null;
+    }
+    if (node.or) {
+      const parts = node.or.map(child => this.toQuery(child));
+      return parts.every(Boolean) ? { $or: parts } : null;
+    }
+
+    const { field, op, value } = node;
+    if (this.needsCandles(field)) {
+      return null;
+    }
+
+    const expression = this.expressionFor(field);
+    if (expression) {
+      let test;
+      if (op === 'between') {
+        test = { $and: [{ $gte: [expression, value[0]] }, { $lte: [expression, value[1]] }] };
+      } else if (op === 'in') {
+        test = { $in: [expression, value] };
+      } else {
+        test = { [`$${op}`]: [expression, value] };
+      }
+      return { $expr: { $and: [{ $isNumber: expression }, test] } };
+    }
+
+    const path = this.pathFor(field);
+    switch (op) {
+      case 'between': return { [path]: { $gte: value[0], $lte: value[1] } };
+      case 'in': return { [path]: { $in: value } };
+      case 'eq': return { [path]: value };
+      case 'ne': return { [path]: { $nin: [value, null] } };
+      default: return { [path]: { [`$${op}`]: value } };
+    }
+  }
+
+  // Latest values of the snapshot indicators over ascending daily candles
+  indicatorSnapshot(candles) {
+    const specs = indicatorService.parseSet(this.snapshotIndicators.join(','));
+    const series = indicatorService.calculate(candles, specs);
+    const snapshot = { asOf: candles.length > 0 ? candles[candles.length - 1].date : null };
+    specs.forEach(spec => {
+      const latest = series[spec.key][series[spec.key].length - 1];
+      snapshot[spec.key] = typeof latest === 'number' && isFinite(latest) ? latest : null;
+    });
+    return snapshot;
+  }
+
+  toRow(stock, fields, cache) {
+    const row = { ticker: stock.ticker, name: stock.name };
+    fields.forEach(field => {
+      row[field] = this.round(this.resolveField(field, stock, cache));
+    });
+    return row;
+  }
+
+  async attachCandles(stocks) {
+    const candles = await candleService.getCandlesForTickers(stocks.map(stock => stock.ticker), {
+      from: new Date(Date.now() - this.historyLookbackDays * DAY_MS)
+    });
+    stocks.forEach(stock => {
+      stock.candles = candles.get(stock.ticker) || [];
+    });
+  }
+
+  // Run a screen definition against active stocks. Conditions and sorts on
+  // stored, derived and snapshot indicator fields run in the database with
+  // skip/limit; only when the filter or sort uses another indicator period
+  // are the (pre-filtered, capped) candidates loaded with their candles and
+  // filtered, sorted and paged in memory.
+  async run(definition, { page = 1, limit = 20 } = {}) {
+    const { filter, sort, fields, referencedFields } = this.buildDefinition(definition);
+    const pageSize = Math.min(Math.max(limit, 1), this.maxLimit);
+    const pageNumber = Math.max(page, 1);
+    const startIndex = (pageNumber - 1) * pageSize;
+
+    const condition = filter ? this.toQuery(filter) : null;
+    const match = condition ? { $and: [{ isActive: true }, condition] } : { isActive: true };
+    const projection = ['ticker', 'name', ...this.storedFields, ...this.textFields, ...this.booleanFields, 'indicators'];
+
+    const inMemory = Array.from(referencedFields).some(field => this.needsCandles(field)) ||
+      Boolean(sort && this.needsCandles(sort.field));
+
+    let total;
+    let data;
+    if (inMemory) {
+      ({ total, data } = await this.runInMemory(match, projection, { filter, sort, fields, startIndex, pageSize }));
+    } else {
+      const direction = sort && sort.order === 'asc' ? 1 : -1;
+      const [result] = await Stock.aggregate([
+        { $match: match },
+        ...(sort ? [
+          { $addFields: { _sortValue: this.expressionFor(sort.field) || `$${this.pathFor(sort.field)}` } },
+          // Missing values always sink to the bottom
+          { $addFields: { _sortMissing: { $eq: [{ $ifNull: ['$_sortValue', null] }, null] } } }
+        ] : []),
+        { $sort: sort ? { _sortMissing: 1, _sortValue: direction, ticker: 1 } : { ticker: 1 } },
+        {
+          $facet: {
+            total: [{ $count: 'count' }],
+            stocks: [
+              { $skip: startIndex },
+              { $limit: pageSize },
+              { $project: Object.fromEntries(projection.map(field => [field, 1])) }
+            ]
+          }
+        }
+      ]);
+
+      total = result.total.length > 0 ? result.total[0].count : 0;
+      // Indicator columns outside the snapshot are only computed for the
+      // stocks on this page
+      if (fields.some(field => this.needsCandles(field))) {
+        await this.attachCandles(result.stocks);
+      }
+      data = result.stocks.map(stock => this.toRow(stock, fields, new Map()));
+    }
+
+    const totalPages = Math.ceil(total / pageSize);
+
+    return {
+      data,
+      total,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalItems: total,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1
+      }
+    };
+  }
+
+  // Filters and sorts on indicators outside the snapshot: load the stocks
+  // that pass the database conditions with their candles and finish the
+  // screen in memory. The candidates must be narrowed by other conditions.
+  async runInMemory(match, projection, { filter, sort, fields, startIndex, pageSize }) {
+    const candidates = await Stock.countDocuments(match);
+    if (candidates > this.maxCandleCandidates) {
+      throw this.badRequest(`Screens on indicators other than ${this.snapshotIndicators.join(', ')} ` +
+        `must match at most ${this.maxCandleCandidates} stocks on their other conditions (${candidates} do)`);
+    }
+
+    const stocks = await Stock.find(match).select(projection.join(' ')).sort({ ticker: 1 }).lean();
+    await this.attachCandles(stocks);
+
+    const rows = [];
+    stocks.forEach(stock => {
+      const cache = new Map();
+      if (filter && !this.matches(filter, stock, cache)) {
+        return;
+      }
+
+      const row = this.toRow(stock, fields, cache);
+      if (sort) {
+        row._sortValue = this.resolveField(sort.field, stock, cache);
+      }
+      rows.push(row);
+    });
+
+    if (sort) {
+      const direction = sort.order === 'asc' ? 1 : -1;
+      rows.sort((a, b) => {
+        // Missing values always sink to the bottom
+        if (a._sortValue === null || a._sortValue === undefined) return 1;
+        if (b._sortValue === null || b._sortValue === undefined) return -1;
+        if (a._sortValue < b._sortValue) return -direction;
+        if (a._sortValue > b._sortValue) return direction;
+        return 0;
+      });
+    }
+
+    return {
+      total: rows.length,
+      data: rows.slice(startIndex, startIndex + pageSize).map(({ _sortValue, ...row }) => row)
+    };
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new ScreenerService();
@@ -0,0 +1,153 @@
+const logger = require('../utils/logger');
+
+// What one sync run changed: rows added, values revised upstream, business
+// days missing from stored history, and instruments that failed. dataSync
+// persists it as a SyncRun document when the run finishes.
+class SyncReport {
+  constructor(type, { trigger = 'cron', requestedBy = null, retryOf = null, symbols = null } = {}) {
+    this.type = type;
+    this.trigger = trigger;
+    this.requestedBy = requestedBy;
+    this.retryOf = retryOf;
+    this.symbols = symbols;
+    this.runId = null;
+    // Lease held by dataSync while the run is active
+    this.lease = null;
+    this.startedAt = new Date();
+    this.finishedAt = null;
+    this.instruments = 0;
+    this.added = 0;
+    this.live = 0;
+    this.revisions = [];
+    this.gaps = [];
+    // Every failure is kept so a retry can target exactly these instruments
+    this.failures = [];
+    this.skipped = 0;
+    this.cancelRequested = false;
+    this.cancelled = false;
+    this.error = null;
+    this.message = null;
+    // Detail rows kept per report; the counts stay exact
+    this.maxDetails = 100;
+    this.revisedCount = 0;
+    this.gapCount = 0;
+    this.settled = new Set();
+  }
+
+  // Changes for one instrument, as returned by mergeByDate-based writers
+  record({ symbol, added = 0, revised = [], live = 0, gaps = [] }) {
+    if (this.settled.has(symbol)) {
+      return;
+    }
+    this.settled.add(symbol);
+
+    this.instruments += 1;
+    this.added += added;
+    this.live += live;
+
+    revised.forEach(revision => {
+      this.revisedCount += 1;
+      if (this.revisions.length < this.maxDetails) {
+        this.revisions.push({ symbol, ...revision });
+      }
+    });
+
+    if (gaps.length > 0) {
+      this.gapCount += gaps.length;
+      if (this.gaps.length < this.maxDetails) {
+        this.gaps.push({ symbol, dates: gaps });
+      }
+    }
+  }
+
+  fail(symbol, error) {
+    if (this.settled.has(symbol)) {
+      return;
+    }
+    this.settled.add(symbol);
+    this.failures.push({ symbol, error: error.message || String(error) });
+  }
+
+  isSettled(symbol) {
+    return this.settled.has(symbol);
+  }
+
+  // Stop the run; `remaining` instruments are counted as skipped
+  cancel(remaining = 0) {
+    this.cancelled = true;
+    this.skipped += remaining;
+  }
+
+  // The run itself failed (not just some of its instruments)
+  abort(error) {
+    this.error = error.message || String(error);
+  }
+
+  get attempted() {
+    return this.instruments + this.failures.length;
+  }
+
+  get status() {
+    if (this.cancelled) return 'cancelled';
+    if (this.error) return 'failed';
+    if (this.failures.length === 0) return 'completed';
+    return this.instruments === 0 ? 'failed' : 'completed_with_errors';
+  }
+
+  finish() {
+    this.finishedAt = new Date();
+
+    logger.info(`${this.type} sync report: ${this.instruments} instruments, ${this.added} rows added, ` +
+      `${this.revisedCount} revised, ${this.gapCount} missing business days, ${this.failures.length} failures`);
+    if (this.revisedCount > 0) {
+      logger.warn(`${this.type} sync corrected ${this.revisedCount} previously stored values`);
+    }
+
+    return this;
+  }
+
+  // Fields written to the SyncRun document
+  toRun() {
+    return {
+      status: this.status,
+      finishedAt: this.finishedAt,
+      attempted: this.attempted,
+      succeeded: this.instruments,
+      failed: this.failures.length,
+      skipped: this.skipped,
+      failures: this.failures,
+      changes: {
+        added: this.added,
+        live: this.live,
+        revised: this.revisedCount,
+        missingDays: this.gapCount,
+        revisions: this.revisions,
+        gaps: this.gaps
+      },
+      message: this.error || this.message
+    };
+  }
+
+  toJSON() {
+    return {
+      runId: this.runId,
+      type: this.type,
+      trigger: this.trigger,
+      status: this.finishedAt ? this.status : 'running',
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      instruments: this.instruments,
+      added: this.added,
+      live: this.live,
+      revised: this.revisedCount,
+      missingDays: this.gapCount,
+      revisions: this.revisions,
+      gaps: this.gaps,
+      failures: this.failures.slice(0, this.maxDetails),
+      failed: this.failures.length,
+      skipped: this.skipped
+    };
+  }
+}
+
+module.exports = SyncReport;
@@ -0,0 +1,332 @@
+const Stock = require('../models/Stocks');
+const MutualFund = require('../models/MutualFund');
+const portfolioService = require('./portfolioService');
+const candleService = require('./candleService');
+const schemeClassifier = require('./schemeClassifier');
+const taxRules = require('../config/taxRules');
+const { DAY_MS, toSeries, pointOnOrBefore, subtractMonths, daysBetween } = require('../utils/series');
+
+class TaxService {
+  constructor(rules = taxRules) {
+    this.rules = rules;
+
+    this.lotColumns = [
+      'financialYear', 'assetType', 'symbol', 'name', 'assetClass', 'term', 'section',
+      'acquiredDate', 'disposedDate', 'holdingDays', 'quantity', 'costBasis',
+      'grandfatheredCost', 'indexedCost', 'proceeds', 'gain', 'rate', 'note'
+    ];
+    this.summaryColumns = [
+      'financialYear', 'equityShortTermGain', 'equityLongTermGain', 'debtShortTermGain',
+      'debtLongTermGain', 'longTermExemption', 'slabRateIncome', 'lossCarriedForward', 'estimatedTax'
+    ];
+  }
+
+  // Indian financial year (April to March) of a date, e.g. "2024-25"
+  financialYear(date) {
+    const d = new Date(date);
+    const startYear = d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  // Latest rule set in effect on the transfer date. Before the earliest one
+  // there is no rule: no rates, and the lot is left out of the tax estimate.
+  ruleFor(assetClass, disposedDate) {
+    const rules = this.rules[assetClass]
+      .slice()
+      .sort((a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom));
+    const applicable = rules.find(rule => new Date(rule.effectiveFrom) <= new Date(disposedDate));
+    if (applicable) {
+      return applicable;
+    }
+
+    return {
+      effectiveFrom: null,
+      noRule: true,
+      longTermAfterMonths: rules[rules.length - 1].longTermAfterMonths,
+      shortTermRate: null,
+      longTermRate: null
+    };
+  }
+
+  longTermExemptionFor(financialYear) {
+    const applicable = this.rules.longTermExemption
+      .filter(entry => entry.fromFinancialYear <= financialYear)
+      .sort((a, b) => (a.fromFinancialYear < b.fromFinancialYear ? 1 : -1));
+    return applicable.length > 0 ? applicable[0].amount : 0;
+  }
+
+  assetClassOf(assetType, fund) {
+    if (assetType === 'stock') return 'equity';
+    return schemeClassifier.isEquityOriented(fund, this.rules.equityOriented) ? 'equity' : 'debt';
+  }
+
+  // Classify one realized lot and work out its taxable gain
+  classifyLot(lot, { fund, fmvSeries }) {
+    const assetClass = this.assetClassOf(lot.assetType, fund);
+    const rule = this.ruleFor(assetClass, lot.disposedDate);
+
+    // Long-term means held for more than the threshold number of months
+    const longTermFrom = subtractMonths(lot.acquiredDate, -rule.longTermAfterMonths);
+    let term = lot.disposedDate > longTermFrom ? 'long' : 'short';
+    const deemedShortTerm = assetClass === 'debt' &&
+      lot.acquiredDate >= new Date(this.rules.debtDeemedShortTermFrom);
+    if (deemedShortTerm) {
+      term = 'short';
+    }
+
+    let costBasis = lot.costBasis;
+    let grandfatheredCost = null;
+    const grandfathering = this.rules.grandfathering;
+    if (grandfathering.enabled && assetClass === 'equity' && term === 'long' && !rule.longTermExempt && !rule.noRule &&
+      lot.acquiredDate <= new Date(grandfathering.cutoffDate)) {
+      const fmv = lot.grandfatheredFmv || this.fmvOnCutoff(fmvSeries);
+      if (fmv) {
+        const perUnit = Math.max(lot.costPerUnit, Math.min(fmv, lot.salePrice));
+        grandfatheredCost = perUnit * lot.quantity;
+        costBasis = grandfatheredCost;
+      }
+    }
+
+    // Long-term debt sold while indexation applied: cost scaled by the CII of
+    // the sale year over that of the acquisition year
+    let indexedCost = null;
+    let note = null;
+    let excluded = rule.noRule;
+    if (assetClass === 'debt' && term === 'long' && rule.indexation) {
+      const acquiredYear = this.financialYear(lot.acquiredDate);
+      const disposedYear = this.financialYear(lot.disposedDate);
+      const cii = this.rules.costInflationIndex;
+      if (cii[acquiredYear] && cii[disposedYear]) {
+        indexedCost = lot.costBasis * cii[disposedYear] / cii[acquiredYear];
+        costBasis = indexedCost;
+      } else {
+        excluded = true;
+        note = `No cost inflation index for ${cii[acquiredYear] ? disposedYear : acquiredYear}; not included in the estimate`;
+      }
+    }
+
+    let section = '112';
+    if (excluded) section = 'none';
+    else if (assetClass === 'equity' && term === 'long') section = rule.longTermExempt ? '10(38)' : '112A';
+    else if (assetClass === 'equity') section = '111A';
+    else if (term === 'short') section = deemedShortTerm ? '50AA' : 'slab';
+
+    return {
+      assetClass,
+      term,
+      section,
+      rate: excluded ? null : (term === 'long' ? rule.longTermRate : rule.shortTermRate),
+      costBasis,
+      grandfatheredCost,
+      indexedCost,
+      gain: lot.proceeds - costBasis,
+      note
+    };
+  }
+
+  fmvOnCutoff(series) {
+    if (!series || series.length === 0) return null;
+    const cutoff = new Date(this.rules.grandfathering.cutoffDate);
+    const point = pointOnOrBefore(series, new Date(cutoff.getTime() + DAY_MS - 1));
+    // Only trust a price from the cut-off week itself
+    return point && daysBetween(point.date, cutoff) <= 7 ? point.value : null;
+  }
+
+  // Fund categories and cut-off prices for the instruments in the ledger.
+  // Prices are only read for the week up to the grandfathering cut-off, the
+  // one window fmvOnCutoff looks at.
+  async loadReferenceData(transactions) {
+    const tickers = new Set();
+    const schemeCodes = new Set();
+    transactions.forEach(t => (t.assetType === 'stock' ? tickers : schemeCodes).add(t.symbol));
+
+    const cutoff = new Date(this.rules.grandfathering.cutoffDate);
+    const fmvWindow = { from: new Date(cutoff.getTime() - 7 * DAY_MS), to: new Date(cutoff.getTime() + DAY_MS - 1) };
+    const needPrices = this.rules.grandfathering.enabled &&
+      transactions.some(t => new Date(t.date) <= fmvWindow.to);
+
+    const [stocks, candles, funds] = await Promise.all([
+      tickers.size > 0
+        ? Stock.find({ ticker: { $in: Array.from(tickers) } }).select('ticker name')
+        : [],
+      tickers.size > 0 && needPrices
+        ? candleService.getCandlesForTickers(Array.from(tickers), fmvWindow)
+        : new Map(),
+      schemeCodes.size > 0
+        ? MutualFund.aggregate([
+          { $match: { schemeCode: { $in: Array.from(schemeCodes) } } },
+          {
+            $project: {
+              schemeCode: 1,
+              schemeName: 1,
+              category: 1,
+              subCategory: 1,
+              navHistory: needPrices
+                ? {
+                  $filter: {
+                    input: '$navHistory',
+                    as: 'row',
+                    cond: { $and: [{ $gte: ['$$row.date', fmvWindow.from] }, { $lte: ['$$row.date', fmvWindow.to] }] }
+                  }
+                }
+                : { $literal: [] }
+            }
+          }
+        ])
+        : []
+    ]);
+
+    const reference = new Map();
+    stocks.forEach(stock => reference.set(portfolioService.holdingKey('stock', stock.ticker), {
+      name: stock.name,
+      // Grandfathering uses the highest price quoted on the cut-off date
+      fmvSeries: toSeries((candles.get(stock.ticker) || []).map(p => ({ date: p.date, high: p.high || p.close })), 'high')
+    }));
+    funds.forEach(fund => reference.set(portfolioService.holdingKey('mutualFund', fund.schemeCode), {
+      name: fund.schemeName,
+      fund,
+      fmvSeries: toSeries(fund.navHistory, 'nav')
+    }));
+
+    return reference;
+  }
+
+  // Apply losses and the equity LTCG exemption, highest tax rate first, then estimate tax.
+  // Exempt gains and losses (10(38)) and lots with no rule take no part in set-off.
+  summariseYear(financialYear, lots) {
+    const buckets = new Map();
+    lots.filter(lot => !['10(38)', 'none'].includes(lot.section)).forEach(lot => {
+      const key = `${lot.assetClass}:${lot.term}:${lot.rate}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { assetClass: lot.assetClass, term: lot.term, rate: lot.rate, gains: 0, losses: 0 });
+      }
+      const bucket = buckets.get(key);
+      if (lot.gain >= 0) bucket.gains += lot.gain;
+      else bucket.losses -= lot.gain;
+    });
+
+    const all = Array.from(buckets.values());
+    // Slab-rate income is treated as the most expensive to leave unrelieved
+    const byRate = list => list.sort((a, b) => (b.rate === null ? Infinity : b.rate) - (a.rate === null ? Infinity : a.rate));
+    const shortTerm = byRate(all.filter(b => b.term === 'short'));
+    const longTerm = byRate(all.filter(b => b.term === 'long'));
+
+    const absorb = (amount, targets) => {
+      let remaining = amount;
+      targets.forEach(bucket => {
+        const used = Math.min(bucket.gains, remaining);
+        bucket.gains -= used;
+        remaining -= used;
+      });
+      return remaining;
+    };
+
+    // Long-term losses only reduce long-term gains; short-term losses reduce either
+    const longTermLoss = longTerm.reduce((sum, b) => sum + b.losses, 0);
+    const shortTermLoss = shortTerm.reduce((sum, b) => sum + b.losses, 0);
+    const unusedLongTermLoss = absorb(longTermLoss, longTerm);
+    const unusedShortTermLoss = absorb(absorb(shortTermLoss, shortTerm), longTerm);
+
+    const exemptionLimit = this.longTermExemptionFor(financialYear);
+    const equityLongTerm = longTerm.filter(b => b.assetClass === 'equity');
+    const exemptionUsed = exemptionLimit - absorb(exemptionLimit, equityLongTerm);
+
+    const sumGross = (assetClass, term) => lots
+      .filter(lot => lot.assetClass === assetClass && lot.term === term)
+      .reduce((sum, lot) => sum + lot.gain, 0);
+
+    const estimatedTax = all.reduce((sum, b) => sum + (b.rate !== null ? b.gains * b.rate / 100 : 0), 0);
+    const slabRateIncome = all.filter(b => b.rate === null).reduce((sum, b) => sum + b.gains, 0);
+
+    return {
+      financialYear,
+      equityShortTermGain: this.round(sumGross('equity', 'short')),
+      equityLongTermGain: this.round(sumGross('equity', 'long')),
+      debtShortTermGain: this.round(sumGross('debt', 'short')),
+      debtLongTermGain: this.round(sumGross('debt', 'long')),
+      longTermExemption: this.round(exemptionUsed),
+      slabRateIncome: this.round(slabRateIncome),
+      lossCarriedForward: this.round(unusedLongTermLoss + unusedShortTermLoss),
+      estimatedTax: this.round(estimatedTax),
+      taxableByRate: all
+        .filter(b => b.gains > 0)
+        .map(b => ({
+          assetClass: b.assetClass,
+          term: b.term,
+          rate: b.rate,
+          taxableGain: this.round(b.gains)
+        }))
+    };
+  }
+
+  // Capital gains report for a portfolio ledger, optionally limited to one financial year
+  async generateReport(transactions, { financialYear } = {}) {
+    const ledger = portfolioService.buildLedger(transactions);
+    const realized = [];
+    ledger.forEach(holding => realized.push(...holding.realized));
+
+    const grandfatheredFmv = new Map(transactions
+      .filter(t => t.grandfatheredFmv)
+      .map(t => [String(t._id), t.grandfatheredFmv]));
+    const reference = await this.loadReferenceData(transactions);
+
+    const lots = realized
+      .map(lot => {
+        const ref = reference.get(portfolioService.holdingKey(lot.assetType, lot.symbol)) || {};
+        const classified = this.classifyLot({
+          ...lot,
+          grandfatheredFmv: grandfatheredFmv.get(String(lot.acquisitionTransactionId))
+        }, ref);
+
+        return {
+          financialYear: this.financialYear(lot.disposedDate),
+          assetType: lot.assetType,
+          symbol: lot.symbol,
+          name: ref.name || null,
+          assetClass: classified.assetClass,
+          term: classified.term,
+          section: classified.section,
+          acquiredDate: lot.acquiredDate,
+          disposedDate: lot.disposedDate,
+          holdingDays: Math.round(daysBetween(lot.acquiredDate, lot.disposedDate)),
+          quantity: this.round(lot.quantity, 4),
+          costBasis: this.round(lot.costBasis),
+          grandfatheredCost: this.round(classified.grandfatheredCost),
+          indexedCost: this.round(classified.indexedCost),
+          proceeds: this.round(lot.proceeds),
+          gain: this.round(classified.gain),
+          rate: classified.rate,
+          note: classified.note
+        };
+      })
+      .filter(lot => !financialYear || lot.financialYear === financialYear)
+      .sort((a, b) => a.disposedDate - b.disposedDate);
+
+    const years = Array.from(new Set(lots.map(lot => lot.financialYear))).sort();
+    const summary = years.map(year => this.summariseYear(year, lots.filter(lot => lot.financialYear === year)));
+
+    return { summary, lots };
+  }
+
+  // Render report rows as CSV
+  toCsv(rows, columns) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(','),
+      ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n');
+  }
+
+  round(value, digits = 2) {
+    return value === null || value === undefined || !isFinite(value)
+      ? null
+      : parseFloat(value.toFixed(digits));
+  }
+}
+
+module.exports = new TaxService();
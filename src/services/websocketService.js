@@ -1,6 +1,15 @@
 const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
 const Stock = require('../models/Stocks');
+const RealtimeSubscription = require('../models/RealtimeSubscription');
+const AlertTrigger = require('../models/AlertTrigger');
 const nseService = require('./nseService');
+const alertService = require('./alertService');
+const notificationService = require('./notificationService');
+const marketCalendar = require('./marketCalendar');
+const providers = require('./providers');
+const cache = require('./cache');
+const lockService = require('./lockService');
 const logger = require('../utils/logger');
 
 class WebSocketService {
@@ -9,6 +18,18 @@ class WebSocketService {
     this.clients = new Map(); // Store client connections with metadata
     this.updateInterval = null;
     this.isRunning = false;
+    // With several replicas only the leader polls the providers; the others
+    // broadcast prices the leader wrote to the database
+    this.leaderLease = 'websocket:prices';
+    this.pollIntervalMs = 30000;
+    this.isLeader = false;
+    this.lastDatabaseRead = null;
+    // Alerts are evaluated on the leader; every instance polls the triggers
+    // queued for its authenticated users and pushes them to its own sockets.
+    // Triggers older than the window are not pushed to late connections.
+    this.alertInterval = null;
+    this.alertPollIntervalMs = 5000;
+    this.alertPushWindowMs = 2 * 60 * 1000;
   }
 
   // Initialize WebSocket server
@@ -38,6 +59,7 @@ class WebSocketService {
       ip: req.socket.remoteAddress,
       connectedAt: new Date(),
       subscribedTickers: new Set(),
+      userId: null,
       isAlive: true
     };
 
@@ -104,6 +126,10 @@ class WebSocketService {
         this.unsubscribeFromTickers(ws, data.tickers || []);
         break;
       
+      case 'authenticate':
+        this.authenticateClient(ws, data.token);
+        break;
+
       case 'ping':
         this.sendToClient(ws, { type: 'pong', timestamp: Date.now() });
         break;
@@ -116,6 +142,29 @@ class WebSocketService {
     }
   }
 
+  // Associate the connection with a user so it receives their price alerts
+  authenticateClient(ws, token) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      client.userId = String(decoded.id);
+
+      this.sendToClient(ws, {
+        type: 'authentication_success',
+        message: 'Price alerts will be delivered on this connection'
+      });
+
+      this.startAlertDelivery();
+    } catch (error) {
+      this.sendToClient(ws, {
+        type: 'error',
+        message: 'Invalid or expired token'
+      });
+    }
+  }
+
   // Subscribe client to specific stock tickers
   subscribeToTickers(ws, tickers) {
     const client = this.clients.get(ws);
@@ -164,10 +213,10 @@ class WebSocketService {
     this.isRunning = true;
     logger.info('Starting real-time stock price updates');
 
-    // Update prices every 30 seconds during market hours
+    // Update prices every 30 seconds; skipped while the market is closed
     this.updateInterval = setInterval(async () => {
       await this.fetchAndBroadcastUpdates();
-    }, 30000); // 30 seconds
+    }, this.pollIntervalMs);
 
     // Heartbeat check every 30 seconds
     setInterval(() => {
@@ -175,19 +224,49 @@ class WebSocketService {
     }, 30000);
   }
 
+  // Poll for price alerts queued for this instance's authenticated clients
+  startAlertDelivery() {
+    if (this.alertInterval) return;
+
+    this.alertInterval = setInterval(async () => {
+      await this.pushQueuedAlerts();
+    }, this.alertPollIntervalMs);
+  }
+
   // Stop real-time updates
   stopRealTimeUpdates() {
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
     }
+    if (this.alertInterval) {
+      clearInterval(this.alertInterval);
+      this.alertInterval = null;
+    }
     this.isRunning = false;
+
+    // Hand leadership over without waiting for the lease to expire
+    if (this.isLeader) {
+      this.isLeader = false;
+      lockService.release(this.leaderLease)
+        .catch(error => logger.error('Error releasing price polling lease:', error.message));
+    }
+    RealtimeSubscription.deleteOne({ _id: lockService.instance })
+      .catch(error => logger.error('Error removing realtime subscriptions:', error.message));
+
     logger.info('Stopped real-time stock price updates');
   }
 
   // Fetch latest prices and broadcast to subscribed clients
   async fetchAndBroadcastUpdates() {
     try {
+      // Prices only move during pre-open and the normal session
+      const { phase } = marketCalendar.getPhase();
+      if (phase !== 'pre_open' && phase !== 'normal') {
+        logger.debug(`Market ${phase}, skipping price update`);
+        return;
+      }
+
       // Get all unique tickers that clients are subscribed to
       const allSubscribedTickers = new Set();
       this.clients.forEach(client => {
@@ -196,6 +275,30 @@ class WebSocketService {
         });
       });
 
+      await this.publishSubscriptions(allSubscribedTickers);
+
+      // The lease outlives a few missed polls before another instance takes over
+      const wasLeader = this.isLeader;
+      this.isLeader = await lockService.acquire(this.leaderLease, { ttlMs: this.pollIntervalMs * 3 });
+      if (this.isLeader !== wasLeader) {
+        logger.info(this.isLeader
+          ? 'Polling real-time prices for all instances'
+          : 'Another instance is polling real-time prices; reading them from the database');
+      }
+
+      if (!this.isLeader) {
+        await this.broadcastFromDatabase(allSubscribedTickers);
+        return;
+      }
+
+      if (!providers.isAvailable('quote')) {
+        logger.debug('Quote providers unavailable, skipping price update');
+        return;
+      }
+
+      // Poll for the subscriptions of every instance, not just this one
+      (await this.sharedSubscriptions()).forEach(ticker => allSubscribedTickers.add(ticker));
+
       if (allSubscribedTickers.size === 0) {
         logger.debug('No subscribed tickers, skipping price update');
         return;
@@ -215,11 +318,111 @@ class WebSocketService {
         await this.updateStockInDatabase(stockData);
       }
 
+      if (updatedStocks.length > 0) {
+        await cache.invalidate('stocks');
+      }
+
     } catch (error) {
       logger.error('Error in real-time price updates:', error);
     }
   }
 
+  // Share this instance's subscribed tickers with the polling leader
+  async publishSubscriptions(tickers) {
+    try {
+      if (tickers.size === 0) {
+        await RealtimeSubscription.deleteOne({ _id: lockService.instance });
+        return;
+      }
+
+      await RealtimeSubscription.updateOne(
+        { _id: lockService.instance },
+        {
+          tickers: Array.from(tickers),
+          expiresAt: new Date(Date.now() + this.pollIntervalMs * 3)
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Error publishing realtime subscriptions:', error.message);
+    }
+  }
+
+  // Tickers subscribed on other instances
+  async sharedSubscriptions() {
+    try {
+      return await RealtimeSubscription.distinct('tickers', {
+        _id: { $ne: lockService.instance },
+        expiresAt: { $gt: new Date() }
+      });
+    } catch (error) {
+      logger.error('Error reading realtime subscriptions:', error.message);
+      return [];
+    }
+  }
+
+  // Followers broadcast the prices the leader stored since the last poll
+  async broadcastFromDatabase(tickers) {
+    if (tickers.size === 0) {
+      return;
+    }
+
+    const readAt = new Date();
+    const since = this.lastDatabaseRead || new Date(readAt.getTime() - this.pollIntervalMs);
+
+    const stocks = await Stock.find({
+      ticker: { $in: Array.from(tickers) },
+      lastUpdated: { $gt: since }
+    })
+      .select('ticker currentPrice dayChange dayChangePercent volume lastUpdated')
+      .lean();
+
+    stocks.forEach(stock => this.broadcastStockUpdate(stock));
+    this.lastDatabaseRead = readAt;
+  }
+
+  // Push recent alerts this instance has not delivered yet. Triggers are
+  // matched on createdAt (set when the trigger is saved) so one stored while
+  // a poll was running is still picked up by the next.
+  async pushQueuedAlerts() {
+    try {
+      const userIds = new Set();
+      this.clients.forEach(client => {
+        if (client.userId) userIds.add(client.userId);
+      });
+      if (userIds.size === 0) {
+        return;
+      }
+
+      const alerts = await AlertTrigger.find({
+        user: { $in: Array.from(userIds) },
+        createdAt: { $gt: new Date(Date.now() - this.alertPushWindowMs) },
+        'deliveries.channel': 'push',
+        pushedBy: { $ne: lockService.instance }
+      })
+        .sort({ createdAt: 1 })
+        .lean();
+
+      for (const alert of alerts) {
+        const sent = this.sendToUser(String(alert.user), notificationService.pushMessage(alert));
+        if (sent === 0) {
+          continue;
+        }
+
+        await AlertTrigger.updateOne(
+          { _id: alert._id },
+          {
+            $addToSet: { pushedBy: lockService.instance },
+            $set: { 'deliveries.$[push].status': 'sent' }
+          },
+          { arrayFilters: [{ 'push.channel': 'push' }] }
+        );
+      }
+    } catch (error) {
+      logger.error('Error delivering price alerts:', error.message);
+    }
+  }
+
   // Broadcast stock update to subscribed clients
   broadcastStockUpdate(stockData) {
     const message = {
@@ -243,10 +446,10 @@ class WebSocketService {
     });
   }
 
-  // Update stock data in database
+  // Update stock data in database and evaluate alerts against the previous price
   async updateStockInDatabase(stockData) {
     try {
-      await Stock.findOneAndUpdate(
+      const previous = await Stock.findOneAndUpdate(
         { ticker: stockData.ticker },
         {
           currentPrice: stockData.currentPrice,
@@ -258,6 +461,16 @@ class WebSocketService {
         },
         { upsert: false }
       );
+
+      if (previous) {
+        await alertService.checkStock({
+          ticker: stockData.ticker,
+          name: previous.name,
+          previousPrice: previous.currentPrice,
+          currentPrice: stockData.currentPrice,
+          changePercent: stockData.dayChangePercent
+        });
+      }
     } catch (error) {
       logger.error(`Error updating ${stockData.ticker} in database:`, error);
     }
@@ -274,6 +487,18 @@ class WebSocketService {
     }
   }
 
+  // Send message to every connection authenticated as a user; returns how many were sent
+  sendToUser(userId, message) {
+    let sent = 0;
+    this.clients.forEach((client, ws) => {
+      if (client.userId === userId && ws.readyState === WebSocket.OPEN) {
+        this.sendToClient(ws, message);
+        sent += 1;
+      }
+    });
+    return sent;
+  }
+
   // Perform heartbeat check on all clients
   performHeartbeatCheck() {
     this.clients.forEach((client, ws) => {
@@ -299,6 +524,7 @@ class WebSocketService {
     const stats = {
       totalClients: this.clients.size,
       isRunning: this.isRunning,
+      isLeader: this.isLeader,
       clients: []
     };
 
@@ -308,6 +534,7 @@ class WebSocketService {
         ip: client.ip,
         connectedAt: client.connectedAt,
         subscribedTickers: Array.from(client.subscribedTickers),
+        authenticated: client.userId !== null,
         isAlive: client.isAlive
       });
     });
@@ -4,6 +4,10 @@ const Stock = require('../models/Stocks.js');
 const MutualFund = require('../models/MutualFund.js');
 const nseService = require('../services/nseService.js');
 const amfiService = require('../services/amfiService.js');
+const cache = require('../services/cache/index.js');
+const candleService = require('../services/candleService.js');
+const performanceService = require('../services/performanceService.js');
+const schemeVariantService = require('../services/schemeVariantService.js');
 const logger = require('./logger.js');
 
 class DataSeeder {
@@ -81,8 +85,8 @@ class DataSeeder {
             
             successCount++;
           } else {
-            // Use real NSE service
-            const stockData = await nseService.getStockData(ticker);
+            // Use real NSE service; daily bars go to the candles collection
+            const { priceHistory, ...stockData } = await nseService.getStockData(ticker);
             
             const existingStock = await Stock.findOne({ ticker: stockData.ticker });
             
@@ -107,6 +111,8 @@ class DataSeeder {
               
               await newStock.save();
             }
+
+            await candleService.upsertCandles(stockData.ticker, priceHistory, { source: 'seed' });
             
             successCount++;
           }
@@ -173,6 +179,10 @@ class DataSeeder {
           } else {
             // Use real AMFI service
             const fundData = await amfiService.getMutualFundData(schemeCode);
+            const performance = performanceService.calculatePerformance(fundData.navHistory, {
+              inceptionDate: fundData.inceptionDate,
+              inceptionNav: fundData.inceptionNav
+            });
             
             const existingFund = await MutualFund.findOne({ schemeCode: fundData.schemeCode });
             
@@ -195,6 +205,9 @@ class DataSeeder {
                 navChange: fundData.navChange,
                 navChangePercent: fundData.navChangePercent,
                 navDate: fundData.navDate,
+                inceptionDate: fundData.inceptionDate,
+                inceptionNav: fundData.inceptionNav,
+                ...(performance && { performance }),
                 lastUpdated: new Date(),
                 // Only update with valid nav history
                 $push: {
@@ -222,6 +235,7 @@ class DataSeeder {
               const newFund = new MutualFund({
                 ...fundData,
                 navHistory: validNavHistory.slice(0, 50), // Limit initial history
+                ...(performance && { performance }),
                 isActive: true
               });
               
@@ -301,7 +315,7 @@ class DataSeeder {
       navChangePercent: parseFloat(((change / (baseNav - change)) * 100).toFixed(2)),
       navDate: new Date(),
       fundHouse: this.getFundHouse(schemeCode),
-      category: this.getFundCategory(schemeCode),
+      ...this.getFundCategory(schemeCode),
       aum: Math.floor(Math.random() * 10000) + 500,
       expenseRatio: parseFloat((Math.random() * 2 + 0.5).toFixed(2)),
       isActive: true,
@@ -358,8 +372,11 @@ class DataSeeder {
   }
 
   getFundCategory(schemeCode) {
-    const categories = ['Large Cap', 'Mid Cap', 'Small Cap', 'Multi Cap', 'Sectoral'];
-    return categories[Math.floor(Math.random() * categories.length)];
+    const subCategories = ['Large Cap Fund', 'Mid Cap Fund', 'Small Cap Fund', 'Flexi Cap Fund', 'Sectoral/Thematic Fund'];
+    return {
+      category: 'Equity',
+      subCategory: subCategories[Math.floor(Math.random() * subCategories.length)]
+    };
   }
 
   getSector(ticker) {
@@ -429,6 +446,10 @@ class DataSeeder {
       
       const stockResult = await this.seedStocks();
       const mutualFundResult = await this.seedMutualFunds();
+      await schemeVariantService.linkVariants();
+
+      // Drop cached sector, category and fund-house lists
+      await cache.invalidate(['stocks', 'mutual-funds']);
       
       const totalSuccess = stockResult.stocks + mutualFundResult.mutualFunds;
       const totalErrors = stockResult.stockErrors + mutualFundResult.mutualFundErrors;
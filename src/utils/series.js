@@ -0,0 +1,126 @@
+// Helpers for working with dated price/NAV series stored on our models
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD key for a date (UTC, matches how NAV dates are stored)
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Convert a history array ({ date, [valueKey] }) into a clean ascending series of
+// { date, value }, dropping invalid rows and keeping the last value seen for a date
+const toSeries = (history, valueKey = 'nav') => {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  const byDate = new Map();
+  history.forEach(item => {
+    if (!item || !item.date) return;
+
+    const date = new Date(item.date);
+    const value = Number(item[valueKey]);
+    if (isNaN(date.getTime()) || !isFinite(value) || value <= 0) return;
+
+    byDate.set(dateKey(date), { date, value });
+  });
+
+  return Array.from(byDate.values()).sort((a, b) => a.date - b.date);
+};
+
+// Latest point on or before the given date (binary search on an ascending series)
+const pointOnOrBefore = (series, date) => {
+  const target = new Date(date).getTime();
+  let low = 0;
+  let high = series.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (series[mid].date.getTime() <= target) {
+      found = series[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+};
+
+// Same calendar day N months earlier (clamped to month end, e.g. 31-Mar -> 28/29-Feb)
+const subtractMonths = (date, months) => {
+  const source = new Date(date);
+  const result = new Date(Date.UTC(
+    source.getUTCFullYear(),
+    source.getUTCMonth() - months,
+    1
+  ));
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(source.getUTCDate(), lastDay));
+  return result;
+};
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+// Treat float noise from upstream feeds as equal
+const sameValue = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a));
+  }
+  return a === b;
+};
+
+// Merge dated rows by day (incoming values win), oldest first. Only `fields`
+// are kept on the merged rows. Returns the merged rows plus the day keys that
+// were added and the existing values that incoming rows revised.
+const mergeByDate = (existing, incoming, fields) => {
+  const byDate = new Map();
+  const pick = (row) => {
+    const picked = { date: new Date(row.date) };
+    fields.forEach(field => {
+      if (row[field] !== undefined && row[field] !== null) picked[field] = row[field];
+    });
+    return picked;
+  };
+  const isValid = (row) => row && row.date && !isNaN(new Date(row.date).getTime());
+
+  (existing || []).filter(isValid).forEach(row => byDate.set(dateKey(row.date), pick(row)));
+
+  const added = [];
+  const revised = [];
+  (incoming || []).filter(isValid).forEach(row => {
+    const key = dateKey(row.date);
+    const current = byDate.get(key);
+    const next = pick(row);
+
+    if (!current) {
+      added.push(key);
+      byDate.set(key, next);
+      return;
+    }
+
+    const changes = fields
+      .filter(field => next[field] !== undefined && !sameValue(current[field], next[field]))
+      .map(field => ({ field, from: current[field] === undefined ? null : current[field], to: next[field] }));
+
+    if (changes.length > 0) {
+      revised.push({ date: key, changes });
+    }
+    byDate.set(key, { ...current, ...next });
+  });
+
+  return {
+    rows: Array.from(byDate.values()).sort((a, b) => a.date - b.date),
+    added,
+    revised
+  };
+};
+
+module.exports = {
+  DAY_MS,
+  dateKey,
+  toSeries,
+  pointOnOrBefore,
+  subtractMonths,
+  daysBetween,
+  mergeByDate
+};